@@ -0,0 +1,111 @@
+// 보드 압축 - 오래 쓰는 방의 완성된 스트로크를 압축 스냅샷 하나와 최근 스트로크 리스트(꼬리)로 나누어 저장
+//
+// 스냅샷: room:<code>:strokes:snapshot 해시
+// {
+//     "id": "...",            // 압축할 때마다 새로 만드는 ID (인스턴스별 캐시 확인용)
+//     "gen": "3",             // 압축할 때의 보드 세대 (room:<code>:strokes:gen)
+//     "count": 12000,         // 스냅샷의 스트로크 수
+//     "rawBytes": 5242880,    // 압축 전 JSON 크기
+//     "bytes": 1048576,       // 압축한 크기 (base64)
+//     "compactedAt": 1700000000000,
+//     "data": "H4sI..."       // 스트로크 배열 JSON을 gzip으로 압축한 base64 문자열
+// }
+// 꼬리: room:<code>:strokes 리스트 - 새 스트로크는 여기에 추가하고, 쌓이면 앞부분을 스냅샷으로 옮긴다.
+//
+// 보드를 비울 때(지우기, 복원, 교체)마다 세대를 올린다. 세대가 다른 스냅샷은 비우기 전의 내용이므로 읽지 않는다.
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const COMPACTION_THRESHOLD = 500; // 꼬리에 이만큼 더 쌓이면 압축
+const COMPACTION_TAIL = 100; // 압축 후 꼬리에 남기는 최근 스트로크 수
+
+// 스트로크 배열 압축
+async function compressStrokes(strokes) {
+    const json = JSON.stringify(strokes);
+    const data = (await gzip(json)).toString('base64');
+
+    return { data, rawBytes: Buffer.byteLength(json), bytes: data.length };
+}
+
+// 압축한 스트로크 배열 풀기
+async function decompressStrokes(data) {
+    return JSON.parse((await gunzip(Buffer.from(data, 'base64'))).toString());
+}
+
+// 압축/불러오기 지표 (이 인스턴스 기준)
+// 불러오기 절감 시간은 압축할 때 잰 스트로크 항목별 파싱 시간으로 추정한다.
+function createCompactionMetrics() {
+    const compaction = { runs: 0, strokes: 0, rawBytes: 0, bytes: 0, durationMs: 0, lastRunAt: null };
+    const loads = { count: 0, snapshotLoads: 0, cacheHits: 0, snapshotStrokes: 0, tailStrokes: 0, durationMs: 0, savedMs: 0 };
+    let entryParseMs = null; // 꼬리 항목 하나를 파싱하는 평균 시간
+
+    return {
+        // 압축 한 번 - strokes: 스냅샷으로 옮긴 스트로크 수, rawBytes/bytes: 새 스냅샷의 압축 전/후 크기
+        recordCompaction({ strokes, rawBytes, bytes, parseMs, durationMs }) {
+            compaction.runs++;
+            compaction.strokes += strokes;
+            compaction.rawBytes += rawBytes;
+            compaction.bytes += bytes;
+            compaction.durationMs += durationMs;
+            compaction.lastRunAt = Date.now();
+
+            if (strokes > 0) {
+                entryParseMs = parseMs / strokes;
+            }
+        },
+
+        // 스트로크 불러오기 한 번 - decodeMs: 스냅샷을 읽고 푸는 데 걸린 시간 (캐시에 있으면 0)
+        recordLoad({ snapshotStrokes, tailStrokes, durationMs, decodeMs, cacheHit }) {
+            loads.count++;
+            loads.tailStrokes += tailStrokes;
+            loads.durationMs += durationMs;
+
+            if (snapshotStrokes > 0) {
+                loads.snapshotLoads++;
+                loads.snapshotStrokes += snapshotStrokes;
+                if (cacheHit) loads.cacheHits++;
+
+                if (entryParseMs !== null) {
+                    loads.savedMs += snapshotStrokes * entryParseMs - decodeMs;
+                }
+            }
+        },
+
+        summary() {
+            const round = value => Math.round(value * 100) / 100;
+
+            return {
+                compaction: {
+                    runs: compaction.runs,
+                    compactedStrokes: compaction.strokes,
+                    rawBytes: compaction.rawBytes,
+                    bytes: compaction.bytes,
+                    ratio: compaction.bytes > 0 ? round(compaction.rawBytes / compaction.bytes) : null,
+                    avgDurationMs: compaction.runs > 0 ? round(compaction.durationMs / compaction.runs) : null,
+                    lastRunAt: compaction.lastRunAt
+                },
+                boardLoad: {
+                    count: loads.count,
+                    snapshotLoads: loads.snapshotLoads,
+                    cacheHits: loads.cacheHits,
+                    avgSnapshotStrokes: loads.snapshotLoads > 0 ? Math.round(loads.snapshotStrokes / loads.snapshotLoads) : 0,
+                    avgTailStrokes: loads.count > 0 ? Math.round(loads.tailStrokes / loads.count) : 0,
+                    avgDurationMs: loads.count > 0 ? round(loads.durationMs / loads.count) : null,
+                    estimatedSavedMs: entryParseMs !== null ? round(loads.savedMs) : null
+                }
+            };
+        }
+    };
+}
+
+module.exports = {
+    COMPACTION_THRESHOLD,
+    COMPACTION_TAIL,
+    compressStrokes,
+    decompressStrokes,
+    createCompactionMetrics
+};
@@ -0,0 +1,176 @@
+// 보드 내보내기 - 저장된 스트로크와 이미지를 브라우저 없이 SVG/PDF로 변환
+// 보드 배경은 흰색이므로 지우개 스트로크는 흰색 선으로 그린다.
+
+const PDFDocument = require('pdfkit');
+
+const EXPORT_MARGIN = 20;
+const EMPTY_BOARD_SIZE = { width: 800, height: 600 };
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const IMAGE_DATA_PATTERN = /^data:(image\/(?:png|jpeg|gif|webp));base64,([A-Za-z0-9+/=]+)$/;
+
+// 스트로크 색상 (지우개는 배경색, 잘못된 값은 검은색)
+function strokeColor(stroke) {
+    if (stroke.tool === 'eraser') return '#ffffff';
+    return COLOR_PATTERN.test(stroke.color) ? stroke.color : '#000000';
+}
+
+// 스트로크와 이미지를 생성 시간 순서대로 정렬
+function orderedItems(board) {
+    const items = board.strokes.map(stroke => ({ type: 'stroke', createdAt: stroke.createdAt || 0, stroke }))
+        .concat(board.images.map(image => ({
+            type: 'image',
+            createdAt: image.createdAt || image.timestamp || 0,
+            image
+        })));
+
+    return items.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// 보드 내용 전체를 감싸는 영역 계산 (여백 포함)
+function getBounds(board) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+
+    for (const stroke of board.strokes) {
+        const half = (stroke.size || 1) / 2;
+        for (const [x, y] of stroke.points) {
+            minX = Math.min(minX, x - half);
+            minY = Math.min(minY, y - half);
+            maxX = Math.max(maxX, x + half);
+            maxY = Math.max(maxY, y + half);
+        }
+    }
+
+    for (const image of board.images) {
+        minX = Math.min(minX, image.x);
+        minY = Math.min(minY, image.y);
+        maxX = Math.max(maxX, image.x + image.width);
+        maxY = Math.max(maxY, image.y + image.height);
+    }
+
+    if (minX === Infinity) {
+        return { x: 0, y: 0, ...EMPTY_BOARD_SIZE };
+    }
+
+    return {
+        x: Math.floor(minX - EXPORT_MARGIN),
+        y: Math.floor(minY - EXPORT_MARGIN),
+        width: Math.ceil(maxX - minX + EXPORT_MARGIN * 2),
+        height: Math.ceil(maxY - minY + EXPORT_MARGIN * 2)
+    };
+}
+
+// XML 속성값 이스케이프
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 좌표를 소수점 둘째 자리까지 표기
+function formatNumber(value) {
+    return Number(value.toFixed(2));
+}
+
+// 스트로크를 SVG path로 변환
+function strokeToSvg(stroke) {
+    if (stroke.points.length === 0) return '';
+
+    const [first, ...rest] = stroke.points;
+    // 점 하나짜리 스트로크도 표시되도록 시작점을 한 번 더 이어 그림
+    const segments = (rest.length > 0 ? rest : [first])
+        .map(([x, y]) => `L${formatNumber(x)} ${formatNumber(y)}`)
+        .join(' ');
+
+    return `<path d="M${formatNumber(first[0])} ${formatNumber(first[1])} ${segments}" ` +
+        `stroke="${strokeColor(stroke)}" stroke-width="${formatNumber(stroke.size || 1)}" />`;
+}
+
+// 이미지를 SVG image로 변환 (허용된 이미지 data URL만 포함)
+function imageToSvg(image) {
+    if (typeof image.imageData !== 'string' || !IMAGE_DATA_PATTERN.test(image.imageData)) return '';
+
+    return `<image x="${formatNumber(image.x)}" y="${formatNumber(image.y)}" ` +
+        `width="${formatNumber(image.width)}" height="${formatNumber(image.height)}" ` +
+        `preserveAspectRatio="none" href="${escapeXml(image.imageData)}" />`;
+}
+
+// 보드를 SVG 문자열로 변환
+function renderBoardSvg(board, options = {}) {
+    const bounds = getBounds(board);
+    const title = options.title ? `<title>${escapeXml(options.title)}</title>` : '';
+
+    const body = orderedItems(board)
+        .map(item => item.type === 'stroke' ? strokeToSvg(item.stroke) : imageToSvg(item.image))
+        .filter(Boolean)
+        .join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${bounds.width}" height="${bounds.height}" viewBox="${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}">
+${title}<rect x="${bounds.x}" y="${bounds.y}" width="${bounds.width}" height="${bounds.height}" fill="#ffffff" />
+<g fill="none" stroke-linecap="round" stroke-linejoin="round">
+${body}
+</g>
+</svg>
+`;
+}
+
+// 보드를 PDF로 변환 (PNG/JPEG 이미지만 포함 가능)
+function renderBoardPdf(board, options = {}) {
+    return new Promise((resolve, reject) => {
+        const bounds = getBounds(board);
+        const doc = new PDFDocument({
+            size: [bounds.width, bounds.height],
+            margin: 0,
+            info: { Title: options.title || 'Whiteboard' }
+        });
+        const chunks = [];
+
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.rect(0, 0, bounds.width, bounds.height).fill('#ffffff');
+        doc.translate(-bounds.x, -bounds.y);
+
+        for (const item of orderedItems(board)) {
+            if (item.type === 'stroke') {
+                const { stroke } = item;
+                if (stroke.points.length === 0) continue;
+
+                const [first, ...rest] = stroke.points;
+                doc.moveTo(first[0], first[1]);
+                for (const [x, y] of rest.length > 0 ? rest : [first]) {
+                    doc.lineTo(x, y);
+                }
+
+                doc.lineWidth(stroke.size || 1)
+                    .lineCap('round')
+                    .lineJoin('round')
+                    .strokeColor(strokeColor(stroke))
+                    .stroke();
+            } else {
+                const { image } = item;
+                const match = typeof image.imageData === 'string' && image.imageData.match(IMAGE_DATA_PATTERN);
+                if (!match || !['image/png', 'image/jpeg'].includes(match[1])) continue;
+
+                try {
+                    doc.image(Buffer.from(match[2], 'base64'), image.x, image.y, {
+                        width: image.width,
+                        height: image.height
+                    });
+                } catch (error) {
+                    // 손상된 이미지는 건너뜀
+                }
+            }
+        }
+
+        doc.end();
+    });
+}
+
+module.exports = { renderBoardSvg, renderBoardPdf };
@@ -0,0 +1,233 @@
+// 보드 파일 (.wboard.json) - 보드를 파일로 저장하고 다시 불러오기 위한 형식
+//
+// 버전 2 형식:
+// {
+//     "format": "wboard",
+//     "version": 2,
+//     "metadata": { "title", "description", "roomCode", "exportedAt" (ISO 8601), "strokeCount", "imageCount" },
+//     "settings": { "drawingEnabled": true, "penColor": "#000000", ... },  // 방 설정 (roomSettings.js의 항목)
+//     "board": {
+//         "strokes": [{ "id", "tool": "pen" | "eraser", "color", "size", "points": [[x, y], ...], "times": [ms, ...], "createdAt" }],
+//         "images": [{ "id", "imageData": "data:image/...;base64,...", "x", "y", "width", "height", "createdAt" }]
+//     }
+// }
+//
+// - 스트로크와 이미지는 createdAt 순서대로 그려진다. times는 각 좌표의 createdAt 기준 경과 ms이다.
+// - 작성자(userId)는 접속 ID라 다른 방에서 의미가 없으므로 파일에 넣지 않는다.
+// - 형식이 바뀌면 version을 올리고, 이전 버전 파일은 MIGRATIONS에서 현재 버전으로 변환한다.
+//   버전 1: 설정은 drawingEnabled만, 제목은 방 코드로 만든 이름(화이트보드 <코드>)이고 설명이 없음
+
+const crypto = require('crypto');
+const { pickRoomSettings } = require('./roomSettings');
+const { MAX_TITLE_LENGTH, MAX_DESCRIPTION_LENGTH, cleanText } = require('./roomMetadata');
+
+const BOARD_FILE_FORMAT = 'wboard';
+const BOARD_FILE_VERSION = 2;
+const BOARD_FILE_EXTENSION = '.wboard.json';
+const BOARD_FILE_MAX_SIZE = 20 * 1024 * 1024; // 20MB
+
+const MAX_FILE_STROKES = 20000;
+const MAX_FILE_IMAGES = 200;
+const MAX_STROKE_POINTS = 10000;
+const STROKE_TOOLS = ['pen', 'eraser'];
+const COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6}|[0-9a-fA-F]{8})$/;
+const IMAGE_DATA_PATTERN = /^data:image\/(?:png|jpeg|gif|webp);base64,[A-Za-z0-9+/=]+$/;
+
+// 이전 버전 -> 다음 버전 변환 함수 (version -> fn)
+const MIGRATIONS = {
+    // 버전 1의 제목은 방 제목이 아니라 방 코드로 만든 이름이므로 불러올 때 쓰지 않음
+    1: file => ({
+        ...file,
+        version: 2,
+        metadata: { ...file.metadata, title: '', description: '' }
+    })
+};
+
+// 보드 파일 검증 오류
+function boardFileError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BOARD_FILE';
+    return error;
+}
+
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// 보드 상태를 파일 객체로 변환
+// settings: 방 설정 전체 (getRoomSettings 결과)
+function createBoardFile(board, { roomCode, title, description, settings = {} } = {}) {
+    const strokes = board.strokes.map(stroke => ({
+        id: stroke.id,
+        tool: stroke.tool,
+        color: stroke.color,
+        size: stroke.size,
+        points: stroke.points,
+        times: stroke.times || [],
+        createdAt: stroke.createdAt
+    }));
+
+    const images = board.images.map(image => ({
+        id: image.id,
+        imageData: image.imageData,
+        x: image.x,
+        y: image.y,
+        width: image.width,
+        height: image.height,
+        createdAt: image.createdAt || image.timestamp
+    }));
+
+    return {
+        format: BOARD_FILE_FORMAT,
+        version: BOARD_FILE_VERSION,
+        metadata: {
+            title: title || '',
+            description: description || '',
+            roomCode: roomCode || null,
+            exportedAt: new Date().toISOString(),
+            strokeCount: strokes.length,
+            imageCount: images.length
+        },
+        settings: pickRoomSettings(settings),
+        board: { strokes, images }
+    };
+}
+
+// 스트로크 검증
+function parseStroke(stroke, index) {
+    if (!stroke || typeof stroke !== 'object') {
+        throw boardFileError(`스트로크 ${index + 1}의 형식이 올바르지 않습니다.`);
+    }
+
+    if (!Array.isArray(stroke.points) || stroke.points.length === 0 || stroke.points.length > MAX_STROKE_POINTS) {
+        throw boardFileError(`스트로크 ${index + 1}의 좌표가 올바르지 않습니다.`);
+    }
+
+    const points = stroke.points.map(point => {
+        if (!Array.isArray(point) || !isFiniteNumber(point[0]) || !isFiniteNumber(point[1])) {
+            throw boardFileError(`스트로크 ${index + 1}의 좌표가 올바르지 않습니다.`);
+        }
+        return [point[0], point[1]];
+    });
+
+    const times = Array.isArray(stroke.times) && stroke.times.length === points.length && stroke.times.every(isFiniteNumber)
+        ? stroke.times.map(time => Math.max(0, time))
+        : points.map(() => 0);
+
+    return {
+        tool: STROKE_TOOLS.includes(stroke.tool) ? stroke.tool : 'pen',
+        color: COLOR_PATTERN.test(stroke.color) ? stroke.color : '#000000',
+        size: Math.min(Math.max(Number(stroke.size) || 3, 1), 100),
+        points,
+        times,
+        createdAt: isFiniteNumber(stroke.createdAt) ? stroke.createdAt : 0
+    };
+}
+
+// 이미지 검증
+function parseImage(image, index) {
+    if (!image || typeof image !== 'object') {
+        throw boardFileError(`이미지 ${index + 1}의 형식이 올바르지 않습니다.`);
+    }
+
+    if (typeof image.imageData !== 'string' || !IMAGE_DATA_PATTERN.test(image.imageData)) {
+        throw boardFileError(`이미지 ${index + 1}의 데이터가 올바르지 않습니다.`);
+    }
+
+    if (![image.x, image.y, image.width, image.height].every(isFiniteNumber) || image.width <= 0 || image.height <= 0) {
+        throw boardFileError(`이미지 ${index + 1}의 위치나 크기가 올바르지 않습니다.`);
+    }
+
+    return {
+        imageData: image.imageData,
+        x: image.x,
+        y: image.y,
+        width: image.width,
+        height: image.height,
+        createdAt: isFiniteNumber(image.createdAt) ? image.createdAt : 0
+    };
+}
+
+// 파일 객체 검증 - 잘못된 파일이면 INVALID_BOARD_FILE 오류
+// 반환된 항목에는 ID와 작성 시간이 없으므로 불러올 때 assignImportIds로 새로 지정한다.
+// 설정은 올바른 항목만 남기고(없는 항목은 방의 현재 설정 유지), 제목/설명은 방 생성과 같은 규칙으로 정리한다.
+function parseBoardFile(file) {
+    if (!file || typeof file !== 'object' || file.format !== BOARD_FILE_FORMAT) {
+        throw boardFileError('화이트보드 파일이 아닙니다.');
+    }
+
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw boardFileError('파일 버전 정보가 올바르지 않습니다.');
+    }
+
+    if (file.version > BOARD_FILE_VERSION) {
+        throw boardFileError('더 새로운 버전에서 만든 파일입니다. 서버를 업데이트해 주세요.');
+    }
+
+    let current = file;
+    while (current.version < BOARD_FILE_VERSION) {
+        const migrate = MIGRATIONS[current.version];
+        if (!migrate) {
+            throw boardFileError(`지원하지 않는 파일 버전입니다: ${current.version}`);
+        }
+        current = migrate(current);
+    }
+
+    const board = current.board;
+    if (!board || !Array.isArray(board.strokes) || !Array.isArray(board.images)) {
+        throw boardFileError('보드 데이터가 없습니다.');
+    }
+
+    if (board.strokes.length > MAX_FILE_STROKES || board.images.length > MAX_FILE_IMAGES) {
+        throw boardFileError(`스트로크는 ${MAX_FILE_STROKES}개, 이미지는 ${MAX_FILE_IMAGES}개까지 불러올 수 있습니다.`);
+    }
+
+    const settings = current.settings && typeof current.settings === 'object' ? current.settings : {};
+    const metadata = current.metadata && typeof current.metadata === 'object' ? current.metadata : {};
+
+    const readText = (value, maxLength, options) => typeof value === 'string' ? cleanText(value, options).slice(0, maxLength) : '';
+
+    return {
+        metadata: {
+            title: readText(metadata.title, MAX_TITLE_LENGTH),
+            description: readText(metadata.description, MAX_DESCRIPTION_LENGTH, { multiline: true })
+        },
+        settings: pickRoomSettings(settings),
+        strokes: board.strokes.map(parseStroke),
+        images: board.images.map(parseImage)
+    };
+}
+
+// 불러올 항목에 새 ID와 작성 시간 지정
+// 같은 파일을 여러 번 불러와도 ID가 겹치지 않고, 원래 그린 순서를 유지한 채 기존 항목 위에 그려진다.
+function assignImportIds(parsed, now = Date.now()) {
+    const items = parsed.strokes.map(stroke => ({ type: 'stroke', item: stroke }))
+        .concat(parsed.images.map(image => ({ type: 'image', item: image })))
+        .sort((a, b) => a.item.createdAt - b.item.createdAt);
+
+    const strokes = [];
+    const images = [];
+
+    items.forEach(({ type, item }, index) => {
+        const imported = { id: crypto.randomUUID(), userId: null, ...item, createdAt: now + index };
+
+        if (type === 'stroke') {
+            strokes.push(imported);
+        } else {
+            imported.timestamp = imported.createdAt;
+            images.push(imported);
+        }
+    });
+
+    return { strokes, images };
+}
+
+module.exports = {
+    BOARD_FILE_FORMAT,
+    BOARD_FILE_VERSION,
+    BOARD_FILE_EXTENSION,
+    BOARD_FILE_MAX_SIZE,
+    createBoardFile,
+    parseBoardFile,
+    assignImportIds
+};
@@ -0,0 +1,32 @@
+// 방장 토큰 - 방을 만든 사람에게 서명된 토큰을 발급하고, 소켓 연결(handshake) 시 검증하여 방장을 확인한다.
+// payload: { type: 'host', roomCode, hostId, iat }
+// 방 정보의 creatorId에는 추측할 수 없는 hostId(UUID)를 저장하고, 토큰의 hostId와 같아야 방장으로 인정한다.
+
+const crypto = require('crypto');
+const { createTokenSigner } = require('./signedToken');
+
+function createHostTokens({ getSecret }) {
+    const signer = createTokenSigner({ getSecret });
+
+    return {
+        // 새 방장 ID 생성
+        createHostId() {
+            return crypto.randomUUID();
+        },
+
+        // 방장 토큰 발급
+        async issue(roomCode, hostId) {
+            return signer.encode({ type: 'host', roomCode, hostId });
+        },
+
+        // 토큰 검증 - 서명이 맞고 방 코드와 방장 ID가 일치해야 함
+        async verify(token, roomCode, hostId) {
+            if (!hostId) return false;
+
+            const payload = await signer.decode(token, 'host');
+            return !!payload && payload.roomCode === roomCode && payload.hostId === hostId;
+        }
+    };
+}
+
+module.exports = { createHostTokens };
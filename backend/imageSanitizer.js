@@ -0,0 +1,293 @@
+// 이미지 검증/정리 - 업로드된 파일의 실제 형식(매직 바이트)과 크기를 확인하고 메타데이터를 제거한다.
+// 허용 형식: PNG, JPEG, GIF, WebP. SVG 등 스크립트를 포함할 수 있는 형식은 거부한다.
+// 학생 사진의 위치 정보(GPS) 등이 남지 않도록 JPEG/PNG/WebP의 EXIF, XMP, 텍스트 메타데이터를 제거한다.
+// (JPEG 회전 방향은 사진이 돌아가 보이지 않도록 방향 값만 남긴다.)
+
+const MAX_IMAGE_DIMENSION = 10000; // 가로/세로 최대 픽셀
+const MAX_IMAGE_PIXELS = 50 * 1000 * 1000; // 최대 5천만 화소
+
+// 검증 오류 코드 (클라이언트에서 코드별 안내 문구 표시)
+const IMAGE_ERROR_CODES = {
+    TOO_LARGE: 'IMAGE_TOO_LARGE',
+    DIMENSIONS_TOO_LARGE: 'IMAGE_DIMENSIONS_TOO_LARGE',
+    TYPE_NOT_ALLOWED: 'IMAGE_TYPE_NOT_ALLOWED',
+    ACTIVE_CONTENT: 'IMAGE_ACTIVE_CONTENT',
+    INVALID: 'IMAGE_INVALID',
+    ROOM_QUOTA_EXCEEDED: 'IMAGE_ROOM_QUOTA_EXCEEDED',
+    USER_QUOTA_EXCEEDED: 'IMAGE_USER_QUOTA_EXCEEDED'
+};
+
+// 이미지 검증 오류
+function imageError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isImageError(error) {
+    return !!error && Object.values(IMAGE_ERROR_CODES).includes(error.code);
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// 매직 바이트로 실제 형식 확인
+function sniffImageType(buffer) {
+    if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+    if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+    if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString('latin1', 0, 6))) return 'image/gif';
+    if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    return null;
+}
+
+// SVG/HTML/XML 등 문서 형식인지 확인 (앞부분의 공백과 BOM 제외)
+function isActiveContent(buffer) {
+    const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024)).replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    return head.startsWith('<') || head.includes('<svg') || head.includes('<script');
+}
+
+// PNG - IHDR에서 크기 확인, 메타데이터 청크(eXIf, tEXt, zTXt, iTXt) 제거
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+function sanitizePng(buffer) {
+    const kept = [PNG_SIGNATURE];
+    let offset = 8;
+    let width = 0;
+    let height = 0;
+    let ended = false;
+
+    while (offset + 12 <= buffer.length && !ended) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+
+        if (end > buffer.length) break;
+
+        if (type === 'IHDR') {
+            width = buffer.readUInt32BE(offset + 8);
+            height = buffer.readUInt32BE(offset + 12);
+        }
+
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            kept.push(buffer.subarray(offset, end));
+        }
+
+        ended = type === 'IEND';
+        offset = end;
+    }
+
+    if (!ended || width === 0 || height === 0) return null;
+
+    return { data: Buffer.concat(kept), width, height };
+}
+
+// JPEG EXIF에서 회전 방향(Orientation) 값 읽기
+function readJpegOrientation(segment) {
+    // segment: APP1 내용 ("Exif\0\0" + TIFF)
+    if (segment.length < 14 || segment.toString('latin1', 0, 6) !== 'Exif\0\0') return 1;
+
+    const tiff = segment.subarray(6);
+    const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+    const readUInt16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const readUInt32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+    try {
+        const ifdOffset = readUInt32(4);
+        const count = readUInt16(ifdOffset);
+
+        for (let i = 0; i < count; i++) {
+            const entry = ifdOffset + 2 + i * 12;
+            if (readUInt16(entry) === 0x0112) {
+                const orientation = readUInt16(entry + 8);
+                return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+        }
+    } catch (error) {
+        // 잘못된 EXIF는 무시
+    }
+
+    return 1;
+}
+
+// 회전 방향 값만 담은 최소 EXIF APP1 세그먼트
+function createOrientationSegment(orientation) {
+    const body = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+    body.write('Exif\0\0', 0, 'latin1');
+    body.write('MM', 6, 'latin1');
+    body.writeUInt16BE(42, 8);
+    body.writeUInt32BE(8, 10); // IFD0 위치
+    body.writeUInt16BE(1, 14); // 항목 1개
+    body.writeUInt16BE(0x0112, 16); // Orientation
+    body.writeUInt16BE(3, 18); // SHORT
+    body.writeUInt32BE(1, 20);
+    body.writeUInt16BE(orientation, 24);
+    body.writeUInt32BE(0, 28); // 다음 IFD 없음
+
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(0xffe1, 0);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, body]);
+}
+
+// JPEG - SOF에서 크기 확인, APP1(EXIF/XMP), APP13(IPTC), COM 세그먼트 제거
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe];
+
+function sanitizeJpeg(buffer) {
+    const kept = [buffer.subarray(0, 2)];
+    let offset = 2;
+    let width = 0;
+    let height = 0;
+    let orientation = 1;
+    let orientationInserted = false;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+
+        const marker = buffer[offset + 1];
+
+        // 채움 바이트
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+
+        const length = buffer.readUInt16BE(offset + 2);
+        const end = offset + 2 + length;
+        if (length < 2 || end > buffer.length) return null;
+
+        // SOF 세그먼트 (DHT, JPG, DAC 제외)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker) && length >= 7) {
+            height = buffer.readUInt16BE(offset + 5);
+            width = buffer.readUInt16BE(offset + 7);
+        }
+
+        if (marker === 0xe1) {
+            const orientationValue = readJpegOrientation(buffer.subarray(offset + 4, end));
+            if (orientationValue !== 1) orientation = orientationValue;
+        }
+
+        // 회전 방향은 APP0(JFIF) 뒤, 나머지 세그먼트 앞에 다시 넣음
+        if (!orientationInserted && marker !== 0xe0 && marker !== 0xe1 && orientation !== 1) {
+            kept.push(createOrientationSegment(orientation));
+            orientationInserted = true;
+        }
+
+        if (!JPEG_METADATA_MARKERS.includes(marker)) {
+            kept.push(buffer.subarray(offset, end));
+        }
+
+        offset = end;
+
+        // SOS 이후는 압축된 이미지 데이터이므로 그대로 복사
+        if (marker === 0xda) {
+            kept.push(buffer.subarray(offset));
+            return width > 0 && height > 0 ? { data: Buffer.concat(kept), width, height } : null;
+        }
+    }
+
+    return null;
+}
+
+// GIF - 논리 화면 크기 확인 (메타데이터는 거의 없으므로 그대로 유지)
+function sanitizeGif(buffer) {
+    if (buffer.length < 13) return null;
+
+    const width = buffer.readUInt16LE(6);
+    const height = buffer.readUInt16LE(8);
+    if (width === 0 || height === 0) return null;
+
+    return { data: buffer, width, height };
+}
+
+// WebP - VP8/VP8L/VP8X에서 크기 확인, EXIF/XMP 청크 제거
+function sanitizeWebp(buffer) {
+    const kept = [];
+    let offset = 12;
+    let width = 0;
+    let height = 0;
+    let vp8xChunk = null;
+
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const dataStart = offset + 8;
+        const end = dataStart + size + (size % 2);
+
+        if (dataStart + size > buffer.length) return null;
+
+        if (type === 'VP8X' && size >= 10) {
+            width = buffer.readUIntLE(dataStart + 4, 3) + 1;
+            height = buffer.readUIntLE(dataStart + 7, 3) + 1;
+        } else if (type === 'VP8 ' && size >= 10 && !width) {
+            width = buffer.readUInt16LE(dataStart + 6) & 0x3fff;
+            height = buffer.readUInt16LE(dataStart + 8) & 0x3fff;
+        } else if (type === 'VP8L' && size >= 5 && !width) {
+            const bits = buffer.readUInt32LE(dataStart + 1);
+            width = (bits & 0x3fff) + 1;
+            height = ((bits >> 14) & 0x3fff) + 1;
+        }
+
+        if (type !== 'EXIF' && type !== 'XMP ') {
+            const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+            if (type === 'VP8X') vp8xChunk = chunk;
+            kept.push(chunk);
+        }
+
+        offset = end;
+    }
+
+    if (width === 0 || height === 0) return null;
+
+    // VP8X 플래그에서 EXIF(0x08), XMP(0x04) 표시 제거
+    if (vp8xChunk) {
+        vp8xChunk[8] &= ~0x0c;
+    }
+
+    const body = Buffer.concat(kept);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'latin1');
+
+    return { data: Buffer.concat([header, body]), width, height };
+}
+
+const SANITIZERS = {
+    'image/png': sanitizePng,
+    'image/jpeg': sanitizeJpeg,
+    'image/gif': sanitizeGif,
+    'image/webp': sanitizeWebp
+};
+
+// 이미지 검증 및 메타데이터 제거 - { data, mimeType, width, height } 반환, 문제가 있으면 오류 코드와 함께 예외
+function sanitizeImage(buffer, { maxSize } = {}) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+        throw imageError(IMAGE_ERROR_CODES.INVALID, '이미지 데이터가 없습니다.');
+    }
+
+    if (maxSize && buffer.length > maxSize) {
+        throw imageError(IMAGE_ERROR_CODES.TOO_LARGE, `이미지는 ${Math.round(maxSize / 1024 / 1024)}MB 이하만 올릴 수 있습니다.`);
+    }
+
+    const mimeType = sniffImageType(buffer);
+
+    if (!mimeType) {
+        if (isActiveContent(buffer)) {
+            throw imageError(IMAGE_ERROR_CODES.ACTIVE_CONTENT, 'SVG 등 스크립트를 포함할 수 있는 파일은 올릴 수 없습니다.');
+        }
+        throw imageError(IMAGE_ERROR_CODES.TYPE_NOT_ALLOWED, 'PNG, JPEG, GIF, WebP 이미지만 올릴 수 있습니다.');
+    }
+
+    const result = SANITIZERS[mimeType](buffer);
+
+    if (!result) {
+        throw imageError(IMAGE_ERROR_CODES.INVALID, '이미지 파일이 손상되었거나 올바르지 않습니다.');
+    }
+
+    if (result.width > MAX_IMAGE_DIMENSION || result.height > MAX_IMAGE_DIMENSION || result.width * result.height > MAX_IMAGE_PIXELS) {
+        throw imageError(IMAGE_ERROR_CODES.DIMENSIONS_TOO_LARGE, `이미지 크기는 가로, 세로 ${MAX_IMAGE_DIMENSION}픽셀 이하만 올릴 수 있습니다.`);
+    }
+
+    return { ...result, mimeType };
+}
+
+module.exports = { IMAGE_ERROR_CODES, imageError, isImageError, sanitizeImage };
@@ -0,0 +1,26 @@
+// 참가자 토큰 - 브라우저마다 한 번 발급한 고정 참가자 ID를 서명해 두고, 재연결할 때 handshake로 받아 같은 사용자로 인식한다.
+// payload: { type: 'participant', participantId, iat }
+// 참가자 ID는 스트로크 작성자 등으로 다른 사용자에게 공개되므로, 서명된 토큰이 있어야만 그 ID로 접속할 수 있다.
+
+const crypto = require('crypto');
+const { createTokenSigner } = require('./signedToken');
+
+function createParticipantTokens({ getSecret }) {
+    const signer = createTokenSigner({ getSecret });
+
+    return {
+        // 새 참가자 ID와 토큰 발급
+        async issue() {
+            const participantId = crypto.randomUUID();
+            return { participantId, token: await signer.encode({ type: 'participant', participantId }) };
+        },
+
+        // 토큰 검증 - 올바른 토큰이면 참가자 ID, 아니면 null
+        async verify(token) {
+            const payload = await signer.decode(token, 'participant');
+            return payload && typeof payload.participantId === 'string' ? payload.participantId : null;
+        }
+    };
+}
+
+module.exports = { createParticipantTokens };
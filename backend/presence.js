@@ -0,0 +1,323 @@
+// 방 참가자 현황 - 여러 서버 인스턴스가 함께 보도록 저장소에 기록한다.
+// room:<code>:participants   참가자 ID -> { nickname, role, joinedAt, disconnectedAt } (JSON)
+// room:<code>:sockets        소켓 ID -> { participantId, instanceId } (JSON)
+// room:<code>:waiting        대기 중인 참가자 ID -> { nickname, requestedAt } (JSON)
+// room:<code>:waitingSockets 대기 중인 소켓 ID -> { participantId, instanceId } (JSON)
+// presence:rooms             참가자나 대기자가 있는 방 코드 집합 (정리 대상)
+// presence:instances         인스턴스 ID -> 마지막 신호 시각 (ms)
+//
+// 같은 참가자가 여러 소켓(재연결, 여러 탭, 다른 인스턴스)으로 접속해도 한 명으로 센다.
+// 마지막 소켓이 끊기면 disconnectedAt을 기록하고, 유예 시간 안에 다시 연결하지 않으면 제거한다.
+// 인스턴스가 비정상 종료되면 남은 소켓은 신호가 끊긴 뒤 sweep에서 정리한다.
+
+const ROOMS_KEY = 'presence:rooms';
+const INSTANCES_KEY = 'presence:instances';
+const INSTANCE_TIMEOUT = 60 * 1000; // 이 시간 동안 신호가 없는 인스턴스의 소켓은 끊긴 것으로 처리
+
+function parseEntry(json) {
+    try {
+        const entry = JSON.parse(json);
+        return entry && typeof entry === 'object' ? entry : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function createPresence({ storage, instanceId, gracePeriod, defaultNickname }) {
+    const participantsKey = roomCode => `room:${roomCode}:participants`;
+    const socketsKey = roomCode => `room:${roomCode}:sockets`;
+    const waitingKey = roomCode => `room:${roomCode}:waiting`;
+    const waitingSocketsKey = roomCode => `room:${roomCode}:waitingSockets`;
+
+    // 해시의 JSON 값 읽기 (잘못된 항목 제외)
+    async function readHash(key) {
+        const entries = new Map();
+
+        for (const [field, json] of Object.entries(await storage.hGetAll(key) || {})) {
+            const entry = parseEntry(json);
+            if (entry) entries.set(field, entry);
+        }
+
+        return entries;
+    }
+
+    // 참가자 ID -> 소켓 ID 목록
+    async function readSockets(key) {
+        const sockets = new Map();
+
+        for (const [socketId, entry] of await readHash(key)) {
+            if (!sockets.has(entry.participantId)) {
+                sockets.set(entry.participantId, []);
+            }
+            sockets.get(entry.participantId).push(socketId);
+        }
+
+        return sockets;
+    }
+
+    // 방의 참가자 현황 - 참가자 ID -> { nickname, role, joinedAt, disconnectedAt, sockets }
+    async function loadRoom(roomCode) {
+        const [participants, sockets] = await Promise.all([
+            readHash(participantsKey(roomCode)),
+            readSockets(socketsKey(roomCode))
+        ]);
+
+        for (const [participantId, participant] of participants) {
+            participant.sockets = sockets.get(participantId) || [];
+        }
+
+        return participants;
+    }
+
+    function saveParticipant(roomCode, participantId, participant) {
+        const { nickname, role, joinedAt, disconnectedAt = null } = participant;
+        return storage.hSet(participantsKey(roomCode), participantId, JSON.stringify({ nickname, role, joinedAt, disconnectedAt }));
+    }
+
+    // 참가자 소켓 추가 - 새로 입장한 참가자이면 true
+    async function addSocket(roomCode, participantId, socketId, { nickname = null, role }) {
+        await storage.hSet(socketsKey(roomCode), socketId, JSON.stringify({ participantId, instanceId }));
+        await storage.sAdd(ROOMS_KEY, roomCode);
+
+        const existing = parseEntry(await storage.hGet(participantsKey(roomCode), participantId));
+        const participant = existing || { nickname: defaultNickname(participantId), joinedAt: Date.now() };
+
+        if (nickname) participant.nickname = nickname;
+        participant.role = role;
+        participant.disconnectedAt = null;
+
+        await saveParticipant(roomCode, participantId, participant);
+        return !existing;
+    }
+
+    // 참가자 정보 조회 (sockets: 모든 인스턴스의 소켓 ID)
+    async function getParticipant(roomCode, participantId) {
+        return (await loadRoom(roomCode)).get(participantId) || null;
+    }
+
+    // 참가자 소켓 제거 - 마지막 소켓이 끊겨 유예 상태가 되면 true
+    async function removeSocket(roomCode, participantId, socketId) {
+        if (!(await storage.hDel(socketsKey(roomCode), socketId))) return false;
+
+        const participant = await getParticipant(roomCode, participantId);
+        if (!participant || participant.sockets.length > 0) return false;
+
+        participant.disconnectedAt = Date.now();
+        await saveParticipant(roomCode, participantId, participant);
+        return true;
+    }
+
+    // 유예 시간이 지나도록 다시 연결하지 않은 참가자 제거 - 제거한 참가자 정보 반환
+    // 여러 인스턴스가 동시에 처리해도 해시에서 지운 인스턴스만 결과를 받는다.
+    async function removeIfDisconnected(roomCode, participantId, now = Date.now()) {
+        const participant = await getParticipant(roomCode, participantId);
+        if (!participant || participant.sockets.length > 0 || !participant.disconnectedAt) return null;
+        if (now - participant.disconnectedAt < gracePeriod) return null;
+
+        if (!(await storage.hDel(participantsKey(roomCode), participantId))) return null;
+        return participant;
+    }
+
+    // 참가자 즉시 제거 (내보내기, 차단) - 제거한 참가자 정보 반환
+    async function removeParticipant(roomCode, participantId) {
+        const participant = await getParticipant(roomCode, participantId);
+        if (!participant) return null;
+
+        if (!(await storage.hDel(participantsKey(roomCode), participantId))) return null;
+        if (participant.sockets.length > 0) {
+            await storage.hDel(socketsKey(roomCode), participant.sockets);
+        }
+
+        return participant;
+    }
+
+    // 참가자 정보 변경 (nickname, role) - 변경한 참가자 정보 반환
+    async function updateParticipant(roomCode, participantId, changes) {
+        const participant = await getParticipant(roomCode, participantId);
+        if (!participant) return null;
+
+        Object.assign(participant, changes);
+        await saveParticipant(roomCode, participantId, participant);
+        return participant;
+    }
+
+    // 방의 참가자 수 (재연결 유예 중인 참가자 포함)
+    async function count(roomCode) {
+        return (await storage.hKeys(participantsKey(roomCode))).length;
+    }
+
+    // 방의 참가자 목록 (입장 순서)
+    async function list(roomCode) {
+        return [...await loadRoom(roomCode)]
+            .map(([participantId, participant]) => ({ id: participantId, ...participant }))
+            .sort((a, b) => a.joinedAt - b.joinedAt);
+    }
+
+    // 방장 소켓 ID 목록 (모든 인스턴스)
+    async function getHostSocketIds(roomCode) {
+        const socketIds = [];
+
+        for (const participant of (await loadRoom(roomCode)).values()) {
+            if (participant.role === 'host') {
+                socketIds.push(...participant.sockets);
+            }
+        }
+
+        return socketIds;
+    }
+
+    // 대기실 소켓 추가
+    async function addWaitingSocket(roomCode, participantId, socketId, nickname) {
+        await storage.hSet(waitingSocketsKey(roomCode), socketId, JSON.stringify({ participantId, instanceId }));
+        await storage.sAdd(ROOMS_KEY, roomCode);
+
+        const existing = parseEntry(await storage.hGet(waitingKey(roomCode), participantId));
+        const entry = { nickname, requestedAt: existing ? existing.requestedAt : Date.now() };
+
+        await storage.hSet(waitingKey(roomCode), participantId, JSON.stringify(entry));
+    }
+
+    // 대기 소켓 제거 - 참가자의 마지막 소켓이면 대기 목록에서 빼고 true
+    async function removeWaitingSocket(roomCode, participantId, socketId) {
+        if (!(await storage.hDel(waitingSocketsKey(roomCode), socketId))) return false;
+
+        const sockets = await readSockets(waitingSocketsKey(roomCode));
+        if (sockets.has(participantId)) return false;
+
+        return (await storage.hDel(waitingKey(roomCode), participantId)) > 0;
+    }
+
+    // 대기 목록에서 참가자를 꺼내 반환 (승인, 거절) - 먼저 꺼낸 인스턴스만 결과를 받는다.
+    async function takeWaiting(roomCode, participantId) {
+        const entry = parseEntry(await storage.hGet(waitingKey(roomCode), participantId));
+        if (!entry) return null;
+
+        if (!(await storage.hDel(waitingKey(roomCode), participantId))) return null;
+
+        const socketIds = (await readSockets(waitingSocketsKey(roomCode))).get(participantId) || [];
+        if (socketIds.length > 0) {
+            await storage.hDel(waitingSocketsKey(roomCode), socketIds);
+        }
+
+        return { ...entry, sockets: socketIds };
+    }
+
+    // 대기 목록 (요청 순서)
+    async function waitingList(roomCode) {
+        return [...await readHash(waitingKey(roomCode))]
+            .map(([participantId, entry]) => ({ id: participantId, nickname: entry.nickname, requestedAt: entry.requestedAt }))
+            .sort((a, b) => a.requestedAt - b.requestedAt);
+    }
+
+    // 방의 참가자 현황 전체 삭제 (방 삭제)
+    async function clearRoom(roomCode) {
+        await storage.del([participantsKey(roomCode), socketsKey(roomCode), waitingKey(roomCode), waitingSocketsKey(roomCode)]);
+        await storage.sRem(ROOMS_KEY, roomCode);
+    }
+
+    // 인스턴스 신호 기록 (주기적으로 호출)
+    async function heartbeat(now = Date.now()) {
+        await storage.hSet(INSTANCES_KEY, instanceId, now);
+    }
+
+    // 신호가 끊긴 인스턴스 ID 목록 (신호 기록에서도 제거)
+    async function findDeadInstances(now) {
+        const dead = new Set();
+
+        for (const [id, lastSeen] of Object.entries(await storage.hGetAll(INSTANCES_KEY) || {})) {
+            if (id !== instanceId && now - (parseInt(lastSeen) || 0) > INSTANCE_TIMEOUT) {
+                dead.add(id);
+            }
+        }
+
+        if (dead.size > 0) {
+            await storage.hDel(INSTANCES_KEY, [...dead]);
+        }
+
+        return dead;
+    }
+
+    // 죽은 인스턴스의 소켓 제거 - 신호 기록이 없는 인스턴스도 죽은 것으로 본다.
+    async function removeDeadSockets(key, dead) {
+        const instances = await storage.hGetAll(INSTANCES_KEY) || {};
+        const socketIds = [];
+
+        for (const [socketId, entry] of await readHash(key)) {
+            if (entry.instanceId !== instanceId && (dead.has(entry.instanceId) || !instances[entry.instanceId])) {
+                socketIds.push(socketId);
+            }
+        }
+
+        if (socketIds.length > 0) {
+            await storage.hDel(key, socketIds);
+        }
+
+        return socketIds.length;
+    }
+
+    // 정리 - 죽은 인스턴스의 소켓과 유예 시간이 지난 참가자 제거
+    // 반환: [{ roomCode, participantId, participant }] 이 인스턴스가 제거한 참가자 (퇴장 알림용)
+    async function sweep(now = Date.now()) {
+        const dead = await findDeadInstances(now);
+        const removed = [];
+
+        for (const roomCode of await storage.sMembers(ROOMS_KEY)) {
+            await removeDeadSockets(socketsKey(roomCode), dead);
+
+            // 대기 소켓이 모두 사라진 대기자는 목록에서 제거
+            if (await removeDeadSockets(waitingSocketsKey(roomCode), dead) > 0) {
+                const sockets = await readSockets(waitingSocketsKey(roomCode));
+                for (const participantId of await storage.hKeys(waitingKey(roomCode))) {
+                    if (!sockets.has(participantId)) {
+                        await storage.hDel(waitingKey(roomCode), participantId);
+                    }
+                }
+            }
+
+            for (const [participantId, participant] of await loadRoom(roomCode)) {
+                if (participant.sockets.length > 0) continue;
+
+                // 소켓이 정리된 참가자는 지금부터 유예 시간을 센다.
+                if (!participant.disconnectedAt) {
+                    participant.disconnectedAt = now;
+                    await saveParticipant(roomCode, participantId, participant);
+                    continue;
+                }
+
+                const left = await removeIfDisconnected(roomCode, participantId, now);
+                if (left) removed.push({ roomCode, participantId, participant: left });
+            }
+
+            const [participants, waiting] = await Promise.all([
+                storage.exists(participantsKey(roomCode)),
+                storage.exists(waitingKey(roomCode))
+            ]);
+            if (!participants && !waiting) {
+                await storage.sRem(ROOMS_KEY, roomCode);
+            }
+        }
+
+        return removed;
+    }
+
+    return {
+        addSocket,
+        getParticipant,
+        removeSocket,
+        removeIfDisconnected,
+        removeParticipant,
+        updateParticipant,
+        count,
+        list,
+        getHostSocketIds,
+        addWaitingSocket,
+        removeWaitingSocket,
+        takeWaiting,
+        waitingList,
+        clearRoom,
+        heartbeat,
+        sweep
+    };
+}
+
+module.exports = { INSTANCE_TIMEOUT, createPresence };
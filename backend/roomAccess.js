@@ -0,0 +1,84 @@
+// 방 접근 제한 - 방 비밀번호, 서명된 초대 링크, 입장한 참가자의 HTTP 접근 토큰
+// 비밀번호는 scrypt 해시(scrypt:<salt>:<hash>)로만 저장한다.
+// 초대 토큰 payload: { type: 'invite', roomCode, inviteId, iat } - 방의 inviteId를 바꾸면 이전 초대 링크는 모두 무효가 된다.
+// 접근 토큰 payload: { type: 'access', roomCode, participantId, iat } - 비공개 방의 이미지/내보내기 HTTP 요청에 사용
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { createTokenSigner } = require('./signedToken');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 64;
+const PASSWORD_KEY_LENGTH = 32;
+
+// 비밀번호 형식 확인
+function isValidPassword(password) {
+    return typeof password === 'string' &&
+        password.length >= MIN_PASSWORD_LENGTH &&
+        password.length <= MAX_PASSWORD_LENGTH;
+}
+
+// 비밀번호 해시 생성
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+// 비밀번호 확인
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH || typeof stored !== 'string') return false;
+
+    const [scheme, saltHex, hashHex] = stored.split(':');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function createRoomAccess({ getSecret }) {
+    const signer = createTokenSigner({ getSecret });
+
+    return {
+        // 새 초대 ID 생성
+        createInviteId() {
+            return crypto.randomBytes(12).toString('base64url');
+        },
+
+        // 초대 토큰 발급
+        async issueInvite(roomCode, inviteId) {
+            return signer.encode({ type: 'invite', roomCode, inviteId });
+        },
+
+        // 초대 토큰 검증 - 방 코드와 현재 초대 ID가 일치해야 함
+        async verifyInvite(token, roomCode, inviteId) {
+            if (!inviteId) return false;
+
+            const payload = await signer.decode(token, 'invite');
+            return !!payload && payload.roomCode === roomCode && payload.inviteId === inviteId;
+        },
+
+        // 접근 토큰 발급
+        async issueAccess(roomCode, participantId) {
+            return signer.encode({ type: 'access', roomCode, participantId });
+        },
+
+        // 접근 토큰 검증 - 올바르면 참가자 ID, 아니면 null
+        async verifyAccess(token, roomCode) {
+            const payload = await signer.decode(token, 'access');
+            return payload && payload.roomCode === roomCode ? payload.participantId : null;
+        }
+    };
+}
+
+module.exports = {
+    MIN_PASSWORD_LENGTH,
+    MAX_PASSWORD_LENGTH,
+    isValidPassword,
+    hashPassword,
+    verifyPassword,
+    createRoomAccess
+};
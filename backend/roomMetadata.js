@@ -0,0 +1,129 @@
+// 방 정보(메타데이터) - 방을 만들 때 받는 제목, 설명, 별칭 코드, 보관 정책, 템플릿, 처음 방 설정
+// 제목과 설명은 방 정보 해시(room:<code>)의 title, description 필드에 저장한다.
+// 별칭 코드는 6자리 숫자 대신 쓰는 방 코드 (예: /room/team-standup). 숫자 코드와 겹치지 않도록 영문 소문자로 시작한다.
+//
+// 요청 예:
+// {
+//     "title": "주간 회의",
+//     "description": "이번 주 안건 정리",
+//     "alias": "weekly-meeting",     // 생략하면 6자리 숫자 코드 생성
+//     "retention": "week",           // ephemeral | day | week | persistent (roomRetention.js)
+//     "template": "grid",            // blank | grid | notes | lecture
+//     "settings": { "penSize": 5 }   // 템플릿보다 우선 (roomSettings.js의 항목)
+// }
+
+const { validateSettingsUpdate } = require('./roomSettings');
+const { DEFAULT_RETENTION, isValidRetention } = require('./roomRetention');
+
+const MAX_TITLE_LENGTH = 60;
+const MAX_DESCRIPTION_LENGTH = 500;
+const ROOM_CODE_PATTERN = /^\d{6}$/;
+const ROOM_ALIAS_PATTERN = /^[a-z][a-z0-9-]{2,31}$/;
+
+// 템플릿 - 처음 적용할 방 설정
+const ROOM_TEMPLATES = {
+    blank: {},
+    grid: { background: 'grid' },
+    notes: { background: 'lined', penSize: 2 },
+    lecture: { drawingEnabled: false, clearPermission: 'host', imagePermission: 'host' }
+};
+
+const DEFAULT_TEMPLATE = 'blank';
+
+// 방 생성 요청 검증 오류
+function roomCreationError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ROOM';
+    return error;
+}
+
+// 방 코드 형식 확인 (6자리 숫자 또는 별칭)
+function isValidRoomCode(roomCode) {
+    return typeof roomCode === 'string' && (ROOM_CODE_PATTERN.test(roomCode) || ROOM_ALIAS_PATTERN.test(roomCode));
+}
+
+// 제목/설명 정리 - 제어 문자와 보이지 않는 문자 제거 (설명은 줄바꿈 유지), 제목은 한 줄로
+const SINGLE_LINE_STRIP = /[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069\ufeff]/g;
+const MULTILINE_STRIP = /[\u0000-\u0009\u000b-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069\ufeff]/g;
+
+function cleanText(value, { multiline = false } = {}) {
+    if (multiline) {
+        return value.replace(MULTILINE_STRIP, '').trim();
+    }
+
+    return value.replace(SINGLE_LINE_STRIP, '').replace(/\s+/g, ' ').trim();
+}
+
+function readText(body, key, maxLength, label, options) {
+    const value = body[key];
+    if (value === undefined || value === null) return '';
+
+    if (typeof value !== 'string') {
+        throw roomCreationError(`${label}은(는) 문자열이어야 합니다.`);
+    }
+
+    const text = cleanText(value, options);
+    if (text.length > maxLength) {
+        throw roomCreationError(`${label}은(는) ${maxLength}자 이하여야 합니다.`);
+    }
+
+    return text;
+}
+
+// 방 생성 요청 검증 - 정규화한 값 반환, 잘못된 항목이 있으면 INVALID_ROOM 오류
+function validateRoomCreation(body) {
+    if (body === undefined || body === null) body = {};
+    if (typeof body !== 'object' || Array.isArray(body)) {
+        throw roomCreationError('요청 형식이 올바르지 않습니다.');
+    }
+
+    const title = readText(body, 'title', MAX_TITLE_LENGTH, '제목');
+    const description = readText(body, 'description', MAX_DESCRIPTION_LENGTH, '설명', { multiline: true });
+
+    let alias = null;
+    if (body.alias !== undefined && body.alias !== null && body.alias !== '') {
+        alias = typeof body.alias === 'string' ? body.alias.trim().toLowerCase() : '';
+        if (!ROOM_ALIAS_PATTERN.test(alias)) {
+            throw roomCreationError('별칭 코드는 영문 소문자로 시작하는 3~32자의 영문 소문자, 숫자, 하이픈(-)이어야 합니다.');
+        }
+    }
+
+    const retention = body.retention || DEFAULT_RETENTION;
+    if (!isValidRetention(retention)) {
+        throw roomCreationError('보관 정책이 올바르지 않습니다.');
+    }
+
+    const template = body.template || DEFAULT_TEMPLATE;
+    if (!Object.prototype.hasOwnProperty.call(ROOM_TEMPLATES, template)) {
+        throw roomCreationError(`템플릿은 ${Object.keys(ROOM_TEMPLATES).join(', ')} 중 하나여야 합니다.`);
+    }
+
+    let settings = {};
+    if (body.settings !== undefined && body.settings !== null) {
+        try {
+            const isEmpty = typeof body.settings === 'object' && Object.keys(body.settings).length === 0;
+            settings = isEmpty ? {} : validateSettingsUpdate(body.settings);
+        } catch (error) {
+            if (error.code !== 'INVALID_ROOM_SETTINGS') throw error;
+            throw roomCreationError(error.message);
+        }
+    }
+
+    return {
+        title,
+        description,
+        alias,
+        retention,
+        template,
+        settings: { ...ROOM_TEMPLATES[template], ...settings }
+    };
+}
+
+module.exports = {
+    MAX_TITLE_LENGTH,
+    MAX_DESCRIPTION_LENGTH,
+    ROOM_TEMPLATES,
+    cleanText,
+    isValidRoomCode,
+    validateRoomCreation
+};
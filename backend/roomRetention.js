@@ -0,0 +1,93 @@
+// 방 보관 정책 - 방을 만들 때 정하고, 방장이 연장하거나 다른 정책으로 바꿀 수 있다.
+// ephemeral: 모두 나간 뒤 1시간 동안 활동이 없으면 삭제
+// day, week: 만든(연장한) 때부터 1일, 7일이 지나면 삭제 (참가자가 있어도 삭제하므로 만료 전에 경고)
+// persistent: 방장이 삭제할 때까지 보관
+//
+// 방 정보에는 retention(정책)과 expiresAt(day, week 정책의 만료 시각, ms)을 저장한다.
+
+const HOUR = 60 * 60 * 1000;
+
+const RETENTION_POLICIES = {
+    ephemeral: { idleTimeout: HOUR },
+    day: { duration: 24 * HOUR },
+    week: { duration: 7 * 24 * HOUR },
+    persistent: {}
+};
+
+const DEFAULT_RETENTION = 'ephemeral'; // 정책을 고르지 않으면 참가자가 있는 동안 지우지 않는다
+const LEGACY_RETENTION = 'ephemeral'; // 보관 정책이 없던 이전 방
+const EXPIRY_WARNING_WINDOW = 10 * 60 * 1000; // 만료 10분 전부터 경고
+const EPHEMERAL_KEY_TTL = 24 * 60 * 60; // 임시 방 데이터 키 만료 (초, 마지막 변경 기준)
+const KEY_TTL_MARGIN = 60 * 60; // 만료 시각 뒤 정리 작업이 지울 때까지 키를 남겨 두는 시간 (초)
+
+function isValidRetention(policy) {
+    return Object.prototype.hasOwnProperty.call(RETENTION_POLICIES, policy);
+}
+
+function getRetention(room) {
+    return isValidRetention(room.retention) ? room.retention : LEGACY_RETENTION;
+}
+
+// 정책에 따른 만료 시각 계산 (기간이 없는 정책이면 null)
+function computeExpiresAt(policy, from = Date.now()) {
+    const { duration } = RETENTION_POLICIES[policy];
+    return duration ? from + duration : null;
+}
+
+// 방이 삭제될 시각 - 임시 방은 비어 있을 때만(마지막 활동 + 1시간), 영구 보관 방은 null
+function getExpiresAt(room) {
+    const policy = getRetention(room);
+    const { idleTimeout, duration } = RETENTION_POLICIES[policy];
+
+    if (idleTimeout) {
+        return room.users > 0 ? null : room.lastActive + idleTimeout;
+    }
+
+    if (duration) {
+        return room.expiresAt || computeExpiresAt(policy, room.createdAt);
+    }
+
+    return null;
+}
+
+function isRoomExpired(room, now = Date.now()) {
+    const expiresAt = getExpiresAt(room);
+    return expiresAt !== null && now >= expiresAt;
+}
+
+// 만료 경고를 보낼 때인지 확인 (기간 정책만 해당, 임시 방은 참가자가 있는 동안 만료되지 않음)
+function isExpiringSoon(room, now = Date.now()) {
+    if (!RETENTION_POLICIES[getRetention(room)].duration) return false;
+
+    const expiresAt = getExpiresAt(room);
+    return expiresAt - now <= EXPIRY_WARNING_WINDOW;
+}
+
+// 방 데이터 키 만료 시간 (초) - 영구 보관이면 null
+function getKeyTtl(room, now = Date.now()) {
+    const policy = getRetention(room);
+
+    if (policy === 'persistent') return null;
+    if (policy === 'ephemeral') return EPHEMERAL_KEY_TTL;
+
+    return Math.max(Math.ceil((getExpiresAt(room) - now) / 1000), 0) + KEY_TTL_MARGIN;
+}
+
+// 클라이언트에 보내는 보관 정보
+function describeRetention(room) {
+    return { policy: getRetention(room), expiresAt: getExpiresAt(room) };
+}
+
+module.exports = {
+    RETENTION_POLICIES,
+    DEFAULT_RETENTION,
+    EXPIRY_WARNING_WINDOW,
+    isValidRetention,
+    getRetention,
+    computeExpiresAt,
+    getExpiresAt,
+    isRoomExpired,
+    isExpiringSoon,
+    getKeyTtl,
+    describeRetention
+};
@@ -0,0 +1,132 @@
+// 방 설정 - 방장이 바꿀 수 있는 방의 규칙과 기본값
+// 방 정보 해시(room:<code>)의 settings 필드에 JSON으로 저장한다.
+// 그리기 허용 여부(drawingEnabled)는 기존처럼 별도 필드에 저장하고, 설정 객체에는 함께 담아 전달한다.
+//
+// {
+//     "drawingEnabled": true,       // 방장이 아닌 참가자의 그리기 허용
+//     "clearPermission": "editors", // 보드 전체 지우기 - editors(편집 가능한 참가자) | host(방장만)
+//     "imagePermission": "editors", // 이미지 붙여넣기 - editors | host
+//     "maxParticipants": 0,         // 최대 참가자 수 (방장 포함, 0이면 제한 없음)
+//     "penColor": "#000000",        // 입장할 때 적용되는 기본 펜 색
+//     "penSize": 3,                 // 기본 펜 굵기
+//     "background": "plain"         // 보드 배경 - plain | grid | dots | lined
+// }
+//
+// 방을 보관하는 기간은 설정이 아니라 보관 정책(roomRetention.js)으로 정한다.
+
+const PERMISSION_LEVELS = ['editors', 'host'];
+const BOARD_BACKGROUNDS = ['plain', 'grid', 'dots', 'lined'];
+const MAX_PARTICIPANTS_LIMIT = 100;
+const MIN_PEN_SIZE = 1;
+const MAX_PEN_SIZE = 20;
+const PEN_COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const DEFAULT_ROOM_SETTINGS = {
+    drawingEnabled: true,
+    clearPermission: 'editors',
+    imagePermission: 'editors',
+    maxParticipants: 0,
+    penColor: '#000000',
+    penSize: 3,
+    background: 'plain'
+};
+
+// 설정 항목별 검증 - 올바르면 정규화한 값, 아니면 undefined
+const SETTING_VALIDATORS = {
+    drawingEnabled: value => typeof value === 'boolean' ? value : undefined,
+    clearPermission: value => PERMISSION_LEVELS.includes(value) ? value : undefined,
+    imagePermission: value => PERMISSION_LEVELS.includes(value) ? value : undefined,
+    maxParticipants: value => Number.isInteger(value) && value >= 0 && value <= MAX_PARTICIPANTS_LIMIT ? value : undefined,
+    penColor: value => typeof value === 'string' && PEN_COLOR_PATTERN.test(value) ? value.toLowerCase() : undefined,
+    penSize: value => Number.isInteger(value) && value >= MIN_PEN_SIZE && value <= MAX_PEN_SIZE ? value : undefined,
+    background: value => BOARD_BACKGROUNDS.includes(value) ? value : undefined
+};
+
+const SETTING_ERRORS = {
+    drawingEnabled: '그리기 허용 여부는 true 또는 false여야 합니다.',
+    clearPermission: `보드 지우기 권한은 ${PERMISSION_LEVELS.join(', ')} 중 하나여야 합니다.`,
+    imagePermission: `이미지 붙여넣기 권한은 ${PERMISSION_LEVELS.join(', ')} 중 하나여야 합니다.`,
+    maxParticipants: `최대 참가자 수는 0(제한 없음)~${MAX_PARTICIPANTS_LIMIT} 사이의 정수여야 합니다.`,
+    penColor: '기본 펜 색은 #rrggbb 형식이어야 합니다.',
+    penSize: `기본 펜 굵기는 ${MIN_PEN_SIZE}~${MAX_PEN_SIZE} 사이의 정수여야 합니다.`,
+    background: `보드 배경은 ${BOARD_BACKGROUNDS.join(', ')} 중 하나여야 합니다.`
+};
+
+// 설정 검증 오류
+function roomSettingsError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_ROOM_SETTINGS';
+    return error;
+}
+
+// 알려진 설정 항목 중 올바른 값만 골라냄 (없거나 잘못된 항목은 빠짐)
+function pickRoomSettings(values) {
+    const settings = {};
+    if (!values || typeof values !== 'object') return settings;
+
+    for (const [key, validate] of Object.entries(SETTING_VALIDATORS)) {
+        const value = validate(values[key]);
+        if (value !== undefined) settings[key] = value;
+    }
+
+    return settings;
+}
+
+// 저장된 설정(JSON 문자열) 읽기 - 없거나 잘못된 항목은 기본값 사용
+function parseRoomSettings(json) {
+    let stored = {};
+
+    try {
+        stored = json ? JSON.parse(json) : {};
+    } catch (error) {
+        stored = {};
+    }
+
+    return { ...DEFAULT_ROOM_SETTINGS, ...pickRoomSettings(stored) };
+}
+
+// 설정 변경 요청 검증 - 바꿀 항목만 담은 객체 반환, 잘못된 항목이 있으면 INVALID_ROOM_SETTINGS 오류
+function validateSettingsUpdate(changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw roomSettingsError('설정 형식이 올바르지 않습니다.');
+    }
+
+    const update = {};
+
+    for (const [key, rawValue] of Object.entries(changes)) {
+        const validate = SETTING_VALIDATORS[key];
+        if (!validate) {
+            throw roomSettingsError(`알 수 없는 설정 항목입니다: ${key}`);
+        }
+
+        const value = validate(rawValue);
+        if (value === undefined) {
+            throw roomSettingsError(SETTING_ERRORS[key]);
+        }
+
+        update[key] = value;
+    }
+
+    if (Object.keys(update).length === 0) {
+        throw roomSettingsError('바꿀 설정이 없습니다.');
+    }
+
+    return update;
+}
+
+// 저장용 JSON (drawingEnabled는 별도 필드에 저장하므로 제외)
+function serializeRoomSettings(settings) {
+    const { drawingEnabled, ...rest } = settings;
+    return JSON.stringify(rest);
+}
+
+module.exports = {
+    PERMISSION_LEVELS,
+    BOARD_BACKGROUNDS,
+    MAX_PARTICIPANTS_LIMIT,
+    DEFAULT_ROOM_SETTINGS,
+    pickRoomSettings,
+    parseRoomSettings,
+    validateSettingsUpdate,
+    serializeRoomSettings
+};
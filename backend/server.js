@@ -6,29 +6,71 @@ const http = require('http');
 const socketIo = require('socket.io');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const { createClient } = require('redis');
 const cors = require('cors');
+const { createStorage, createBlobStore, hashBlob, isValidHash } = require('./storage');
+const { renderBoardSvg, renderBoardPdf } = require('./boardExport');
+const { createHostTokens } = require('./hostToken');
+const { createParticipantTokens } = require('./participantToken');
+const { MIN_PASSWORD_LENGTH, MAX_PASSWORD_LENGTH, isValidPassword, hashPassword, verifyPassword, createRoomAccess } = require('./roomAccess');
+const { DEFAULT_ROOM_SETTINGS, parseRoomSettings, validateSettingsUpdate, serializeRoomSettings } = require('./roomSettings');
+const {
+    DEFAULT_RETENTION,
+    isValidRetention,
+    getRetention,
+    computeExpiresAt,
+    isRoomExpired,
+    isExpiringSoon,
+    getKeyTtl,
+    describeRetention
+} = require('./roomRetention');
+const { isValidRoomCode, validateRoomCreation } = require('./roomMetadata');
+const { IMAGE_ERROR_CODES, imageError, isImageError, sanitizeImage } = require('./imageSanitizer');
+const { BOARD_FILE_EXTENSION, BOARD_FILE_MAX_SIZE, createBoardFile, parseBoardFile, assignImportIds } = require('./boardFile');
+const { createPresence } = require('./presence');
+const { simplifyStroke } = require('./strokeSimplify');
+const { COMPACTION_THRESHOLD, COMPACTION_TAIL, compressStrokes, decompressStrokes, createCompactionMetrics } = require('./boardCompaction');
+const { WIRE_FORMAT, isBinaryMessage, encodeMessage, decodeMessage } = require('../frontend/wireCodec');
+
+// REDIS_DISABLED=true 이면 Redis 없이 인메모리 저장소로 실행
+const REDIS_DISABLED = process.env.REDIS_DISABLED === 'true';
+
+// 서버 인스턴스 ID - 여러 인스턴스를 함께 실행할 때 참가자 현황에서 소켓이 연결된 인스턴스를 구분
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomUUID();
+
+// 서버 앞에 있는 프록시(로드 밸런서) 수 - 0보다 크면 X-Forwarded-For에서 클라이언트 IP를 읽음 (기본 0: 연결 주소 사용)
+// 프록시 없이 직접 받는 서버에서 설정하면 클라이언트가 IP를 속일 수 있으므로 실제 프록시 수만큼만 지정한다.
+const TRUST_PROXY = Math.max(parseInt(process.env.TRUST_PROXY, 10) || 0, 0);
 
 // 환경 설정 로깅
 console.log('서버 환경 설정:');
 console.log(`- 포트: ${PORT}`);
 console.log(`- 도메인: ${DOMAIN}`);
 console.log(`- 환경: ${process.env.NODE_ENV || 'development'}`);
+console.log(`- 저장소: ${REDIS_DISABLED ? '인메모리 (Redis 비활성화)' : 'Redis'}`);
+console.log(`- 인스턴스: ${INSTANCE_ID}`);
+console.log(`- 신뢰할 프록시 수: ${TRUST_PROXY}`);
 
 const app = express();
 const server = http.createServer(app);
 
+// req.ip도 같은 기준으로 클라이언트 IP 사용
+app.set('trust proxy', TRUST_PROXY);
+
 // CORS 설정 - 프로덕션 환경에서는 특정 도메인만 허용
 app.use(cors({
     origin: process.env.NODE_ENV === 'production' 
         ? ['https://rboard.schoolworks.dev'] 
         : '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Accept'],
+    methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Accept', 'X-Host-Token', 'X-Room-Access', 'X-Participant-Token'],
     credentials: true
 }));
 
-// JSON 파싱 미들웨어
+// JSON 파싱 미들웨어 (보드 파일 불러오기는 이미지가 포함되므로 더 큰 크기 허용)
+app.use('/api/rooms/:roomCode/board', express.json({ limit: BOARD_FILE_MAX_SIZE }));
+app.use('/api/rooms/:roomCode/settings', express.json());
 app.use(express.json());
 
 // 정적 파일 제공 설정
@@ -76,8 +118,75 @@ logToFile(`서버 시작 - 포트: ${PORT}, 도메인: ${DOMAIN}`);
 let redisClient = null;
 let redisEnabled = false;
 
-// Redis 연결 설정 (필수)
+// 저장소 설정 - Redis 또는 인메모리 저장소
+const storage = createStorage({
+    redisDisabled: REDIS_DISABLED,
+    getRedisClient: () => redisClient,
+    isRedisReady: () => redisEnabled
+});
+
+// 이미지 블롭 저장소 (BLOB_STORE=disk 이면 BLOB_DIR에 파일로 저장, 기본값은 위 저장소 사용)
+const blobStore = createBlobStore({
+    type: process.env.BLOB_STORE,
+    dir: process.env.BLOB_DIR || path.join(__dirname, '../data/blobs'),
+    storage
+});
+
+// 방장/참가자 토큰 서명 키 (TOKEN_SECRET 이 없으면 저장소에 한 번 생성해 두고 재시작 후에도 같은 키 사용)
+// 여러 인스턴스가 동시에 시작해도 같은 키를 쓰도록 없을 때만 저장(NX)하고 저장된 키를 다시 읽는다.
+let tokenSecretPromise = null;
+
+async function loadTokenSecret() {
+    if (process.env.TOKEN_SECRET) return process.env.TOKEN_SECRET;
+    
+    const secretKey = 'server:tokenSecret';
+    
+    let secret = await storage.get(secretKey);
+    
+    if (!secret) {
+        const created = await storage.set(secretKey, crypto.randomBytes(32).toString('hex'), { NX: true });
+        if (created) {
+            logToFile('토큰 서명 키를 새로 생성했습니다.');
+        }
+        secret = await storage.get(secretKey);
+    }
+    
+    if (!secret) {
+        throw new Error('토큰 서명 키를 저장소에서 읽을 수 없습니다.');
+    }
+    
+    return secret;
+}
+
+// 동시에 여러 요청이 와도 키를 한 번만 만들도록 조회 결과(Promise)를 재사용
+// 저장소 오류로 실패하면 캐시하지 않고 다음 호출에서 다시 조회 (프로세스 전용 임시 키를 쓰면 다른 인스턴스와 토큰이 맞지 않음)
+function getTokenSecret() {
+    if (!tokenSecretPromise) {
+        tokenSecretPromise = loadTokenSecret().catch(error => {
+            tokenSecretPromise = null;
+            console.error('토큰 서명 키 조회 오류:', error);
+            logToFile(`토큰 서명 키 조회 오류: ${error.message}`);
+            throw error;
+        });
+    }
+    return tokenSecretPromise;
+}
+
+const hostTokens = createHostTokens({ getSecret: getTokenSecret });
+const participantTokens = createParticipantTokens({ getSecret: getTokenSecret });
+const roomAccess = createRoomAccess({ getSecret: getTokenSecret });
+
+// 인메모리 저장소의 키 만료 이벤트 처리 (Redis는 setupRedisExpireMonitoring에서 처리)
+storage.onKeyExpired(handleExpiredKey);
+
+// Redis 연결 설정 (REDIS_DISABLED가 아니면 필수)
 (async () => {
+    if (REDIS_DISABLED) {
+        console.log('Redis 비활성화됨 - 인메모리 저장소를 사용합니다.');
+        logToFile('Redis 비활성화됨 - 인메모리 저장소를 사용합니다.');
+        return;
+    }
+    
     try {
         console.log('Redis 연결 시도 중...');
         logToFile('Redis 연결 시도 중...');
@@ -146,6 +255,12 @@ let redisEnabled = false;
             line.includes('used_memory_human')
         ).join('\n'));
         
+        // 다른 인스턴스가 이 인스턴스의 소켓을 정리하지 않도록 먼저 신호 기록
+        await presence.heartbeat();
+        
+        // 여러 인스턴스 사이의 방송을 위한 Socket.IO 어댑터 설정
+        await setupRedisAdapter();
+        
         // Redis 키 만료 모니터링 설정
         await setupRedisExpireMonitoring();
         
@@ -162,46 +277,476 @@ let redisEnabled = false;
     }
 })();
 
-// Redis 사용 가능 여부 확인 함수
-function isRedisAvailable() {
-    return redisEnabled && redisClient && redisClient.isOpen;
+// 저장소 사용 가능 여부 확인 함수
+function isStorageAvailable() {
+    return storage.isAvailable();
 }
 
-// Redis 연결 확인 미들웨어
+// 저장소 연결 확인 미들웨어
 app.use((req, res, next) => {
-    if (!isRedisAvailable()) {
+    if (!isStorageAvailable()) {
         return res.status(503).json({ 
-            error: 'Redis 서버에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.' 
+            error: '저장소를 사용할 수 없습니다. 잠시 후 다시 시도해 주세요.' 
         });
     }
     next();
 });
 
 // 메모리 저장소 초기화
+// rooms는 저장소의 방 정보(room:<code>)를 읽어 둔 캐시 - 다른 인스턴스가 바꾸면 roomChanged 알림으로 다시 읽는다.
 const rooms = {};
-const userRooms = new Map();
-let connectedClients = 0;
+let connectedClients = 0; // 이 인스턴스에 연결된 소켓 수
+
+// 참가자 역할 - host: 방장(방장 토큰으로 확인), editor: 그리기 가능, viewer: 보기 전용
+// 방장이 바꾼 역할은 room:<code>:roles 해시(참가자 ID -> 역할)에 저장하여 다시 입장해도 유지된다.
+const ASSIGNABLE_ROLES = ['editor', 'viewer'];
+const DEFAULT_ROLE = 'editor';
+
+// 저장된 참가자 역할 조회 (없으면 기본 역할)
+async function getStoredRole(roomCode, participantId) {
+    try {
+        if (!isStorageAvailable()) return DEFAULT_ROLE;
+        
+        const role = await storage.hGet(`room:${roomCode}:roles`, participantId);
+        return ASSIGNABLE_ROLES.includes(role) ? role : DEFAULT_ROLE;
+    } catch (error) {
+        console.error(`참가자 역할 조회 오류:`, error);
+        logToFile(`참가자 역할 조회 오류: ${error.message}`);
+        return DEFAULT_ROLE;
+    }
+}
+
+// 참가자 역할 저장
+async function saveStoredRole(roomCode, participantId, role) {
+    if (!isStorageAvailable()) return;
+    
+    const rolesKey = `room:${roomCode}:roles`;
+    await storage.hSet(rolesKey, participantId, role);
+    await expireRoomKey(roomCode, rolesKey);
+}
+
+// 방 참가자 현황 - 여러 서버 인스턴스가 함께 보도록 저장소에 기록 (presence.js 참고)
+// 같은 참가자가 여러 소켓(재연결, 여러 탭, 다른 인스턴스)으로 접속해도 한 명으로 센다.
+// 마지막 소켓이 끊겨도 PARTICIPANT_GRACE_PERIOD 동안은 참가자로 남겨 두어, 그 안에 다시 연결하면 새 입장으로 처리하지 않는다.
+const PARTICIPANT_GRACE_PERIOD = 30 * 1000; // 30초
+const MAX_NICKNAME_LENGTH = 20;
+
+const presence = createPresence({
+    storage,
+    instanceId: INSTANCE_ID,
+    gracePeriod: PARTICIPANT_GRACE_PERIOD,
+    defaultNickname
+});
+
+// 재연결 유예 타이머 (이 인스턴스에서 마지막 소켓이 끊긴 참가자) - 방 코드 -> (참가자 ID -> 타이머)
+// 타이머를 가진 인스턴스가 종료되면 다른 인스턴스의 참가자 현황 정리(presence.sweep)가 대신 퇴장 처리한다.
+const leaveTimers = new Map();
+
+// 닉네임 정리 - 제어 문자 제거, 공백 정리, 길이 제한 (올바르지 않으면 null)
+function sanitizeNickname(nickname) {
+    if (typeof nickname !== 'string') return null;
+    
+    const cleaned = nickname.replace(/[\u0000-\u001f\u007f-\u009f\u200b-\u200f\u2028-\u202e\u2066-\u2069\ufeff]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_NICKNAME_LENGTH);
+    
+    return cleaned || null;
+}
+
+// 닉네임이 없는 참가자의 기본 이름
+function defaultNickname(participantId) {
+    return `참가자 ${participantId.slice(0, 4)}`;
+}
+
+// 재연결 유예 타이머 취소
+function cancelLeaveTimer(roomCode, participantId) {
+    const timers = leaveTimers.get(roomCode);
+    const timer = timers && timers.get(participantId);
+    if (!timer) return;
+    
+    clearTimeout(timer);
+    timers.delete(participantId);
+    if (timers.size === 0) {
+        leaveTimers.delete(roomCode);
+    }
+}
+
+// 참가자 소켓 추가 - 새로 입장한 참가자이면 true
+async function addParticipantSocket(roomCode, participantId, socketId, options) {
+    cancelLeaveTimer(roomCode, participantId);
+    return presence.addSocket(roomCode, participantId, socketId, options);
+}
+
+// 참가자 소켓 제거 - 남은 소켓이 없으면 유예 시간 뒤 퇴장 처리
+// 마지막 소켓이 끊겨 유예 상태가 되면 true
+async function removeParticipantSocket(roomCode, participantId, socketId) {
+    if (!(await presence.removeSocket(roomCode, participantId, socketId))) return false;
+    
+    cancelLeaveTimer(roomCode, participantId);
+    
+    const timer = setTimeout(async () => {
+        cancelLeaveTimer(roomCode, participantId);
+        
+        try {
+            // 유예 시간 안에 다른 인스턴스로 다시 연결했으면 제거되지 않음
+            const participant = await presence.removeIfDisconnected(roomCode, participantId);
+            if (participant) {
+                await announceParticipantLeft(roomCode, participantId, participant);
+            }
+        } catch (error) {
+            console.error(`참가자 퇴장 처리 오류:`, error);
+            logToFile(`참가자 퇴장 처리 오류: ${error.message}`);
+        }
+    }, PARTICIPANT_GRACE_PERIOD);
+    timer.unref();
+    
+    if (!leaveTimers.has(roomCode)) {
+        leaveTimers.set(roomCode, new Map());
+    }
+    leaveTimers.get(roomCode).set(participantId, timer);
+    return true;
+}
+
+// 참가자 즉시 제거 (내보내기, 차단) - 유예 시간 없이 목록에서 빼고 제거한 참가자 정보 반환
+async function removeParticipant(roomCode, participantId) {
+    cancelLeaveTimer(roomCode, participantId);
+    return presence.removeParticipant(roomCode, participantId);
+}
+
+// 참가자 목록 항목 (다른 참가자에게 공개되는 정보만)
+function toRosterEntry(participantId, participant) {
+    return {
+        id: participantId,
+        nickname: participant.nickname,
+        role: participant.role,
+        connected: participant.sockets.length > 0,
+        joinedAt: participant.joinedAt
+    };
+}
+
+// 방의 참가자 목록 (입장 순서)
+async function getRoster(roomCode) {
+    return (await presence.list(roomCode)).map(participant => toRosterEntry(participant.id, participant));
+}
+
+// 방 참가자 수 갱신 - 모든 인스턴스의 참가자 수로 메모리의 방 정보를 맞추고 참가자 수 반환
+async function updateRoomUsers(roomCode) {
+    const users = await presence.count(roomCode);
+    const room = rooms[roomCode];
+    
+    if (room && room.users !== users) {
+        console.log(`방 ${roomCode}의 사용자 수 업데이트: ${room.users} -> ${users}`);
+        room.users = users;
+        
+        // 마지막 활동 시간 업데이트
+        room.lastActive = Date.now();
+    }
+    
+    return users;
+}
+
+// 참가자 퇴장 알림 (재연결 유예 시간 만료)
+async function announceParticipantLeft(roomCode, participantId, participant) {
+    const users = await updateRoomUsers(roomCode);
+    const entry = toRosterEntry(participantId, participant);
+    
+    logToFile(`참가자 ${participantId}가 방 ${roomCode}에서 나감 (현재 인원: ${users}명)`);
+    
+    io.to(roomCode).emit('userLeft', {
+        id: participantId,
+        nickname: entry.nickname,
+        users,
+        timestamp: Date.now()
+    });
+    await broadcastRoster(roomCode, 'leave', entry);
+}
+
+// 대기실 - 방장이 입장을 승인할 때까지 기다리는 참가자
+// 대기 목록은 저장소에 두고(presence.js), 승인/거절 시 실행할 함수는 소켓이 연결된 인스턴스에 둔다.
+// 방 코드 -> (참가자 ID -> Map(소켓 ID -> { admit, deny }))
+// 대기 중인 소켓은 Socket.IO 방에 들어가지 않으므로 승인 전에는 보드 데이터를 받지 않는다.
+const waitingHandlers = new Map();
+
+async function addWaitingSocket(roomCode, participantId, socketId, { nickname, admit, deny }) {
+    if (!waitingHandlers.has(roomCode)) {
+        waitingHandlers.set(roomCode, new Map());
+    }
+    
+    const waiting = waitingHandlers.get(roomCode);
+    if (!waiting.has(participantId)) {
+        waiting.set(participantId, new Map());
+    }
+    
+    waiting.get(participantId).set(socketId, { admit, deny });
+    await presence.addWaitingSocket(roomCode, participantId, socketId, nickname);
+}
+
+// 대기 소켓 제거 - 참가자의 마지막 소켓이면 대기 목록에서 빼고 true
+async function removeWaitingSocket(roomCode, participantId, socketId) {
+    const waiting = waitingHandlers.get(roomCode);
+    const sockets = waiting && waiting.get(participantId);
+    
+    if (sockets) {
+        sockets.delete(socketId);
+        if (sockets.size === 0) waiting.delete(participantId);
+        if (waiting.size === 0) waitingHandlers.delete(roomCode);
+    }
+    
+    return presence.removeWaitingSocket(roomCode, participantId, socketId);
+}
+
+// 대기 목록 (방장에게만 전송)
+function getWaitingList(roomCode) {
+    return presence.waitingList(roomCode);
+}
+
+// 방장 소켓에만 전송 (방장이 모두 재연결 대기 중이면 전송하지 않음)
+async function emitToHosts(roomCode, event, data) {
+    const socketIds = await presence.getHostSocketIds(roomCode);
+    
+    // 빈 목록으로 to()를 호출하면 모든 소켓에 전송되므로 주의
+    if (socketIds.length > 0) {
+        io.to(socketIds).emit(event, data);
+    }
+}
+
+async function broadcastWaitingList(roomCode) {
+    await emitToHosts(roomCode, 'waitingListUpdated', { waiting: await getWaitingList(roomCode) });
+}
+
+// 이 인스턴스의 대기 소켓에 승인/거절 적용
+function settleWaitingSockets(roomCode, participantId, admitted) {
+    const waiting = waitingHandlers.get(roomCode);
+    const sockets = waiting && waiting.get(participantId);
+    if (!sockets) return;
+    
+    waiting.delete(participantId);
+    if (waiting.size === 0) {
+        waitingHandlers.delete(roomCode);
+    }
+    
+    for (const handlers of sockets.values()) {
+        if (admitted) {
+            handlers.admit();
+        } else {
+            handlers.deny();
+        }
+    }
+}
+
+// 대기 중인 참가자 승인/거절 - 참가자의 모든 대기 소켓(다른 인스턴스 포함)에 적용, 대기 중이 아니면 false
+async function resolveWaitingParticipant(roomCode, participantId, admitted) {
+    if (!(await presence.takeWaiting(roomCode, participantId))) return false;
+    
+    settleWaitingSockets(roomCode, participantId, admitted);
+    notifyInstances('waitingResolved', roomCode, participantId, admitted);
+    
+    await broadcastWaitingList(roomCode);
+    return true;
+}
+
+// 차단된 참가자 확인 - room:<code>:bans 집합 (방이 유지되는 동안 유효)
+async function isParticipantBanned(roomCode, participantId) {
+    if (!isStorageAvailable()) return false;
+    
+    return !!(await storage.sIsMember(`room:${roomCode}:bans`, participantId));
+}
+
+// 참가자 차단
+async function banParticipant(roomCode, participantId) {
+    if (!isStorageAvailable()) return;
+    
+    const bansKey = `room:${roomCode}:bans`;
+    await storage.sAdd(bansKey, participantId);
+    await expireRoomKey(roomCode, bansKey);
+}
+
+// 입장 거부 사유
+const JOIN_REJECTIONS = {
+    BANNED: '방장이 이 방에서 차단하여 입장할 수 없습니다.',
+    ROOM_LOCKED: '방이 잠겨 있어 새로 입장할 수 없습니다.',
+    PASSWORD_REQUIRED: '방 비밀번호를 입력해 주세요.',
+    WRONG_PASSWORD: '방 비밀번호가 올바르지 않습니다.',
+    INVITE_REQUIRED: '초대 링크로만 입장할 수 있는 방입니다.',
+    INVALID_INVITE: '초대 링크가 올바르지 않거나 더 이상 사용할 수 없습니다.',
+    TOO_MANY_ATTEMPTS: '입장 시도가 너무 많습니다. 잠시 후 다시 시도해 주세요.',
+    ENTRY_DENIED: '방장이 입장을 거절했습니다.',
+    ROOM_FULL: '방 인원이 가득 차 입장할 수 없습니다.',
+    ROOM_NOT_FOUND: '존재하지 않는 방입니다. 방 코드를 확인해 주세요.'
+};
+
+// 비공개 방 여부 (비밀번호 또는 초대 링크 필요)
+function isPrivateRoom(roomInfo) {
+    return !!(roomInfo && (roomInfo.passwordHash || roomInfo.inviteOnly));
+}
+
+// 비공개 방에 입장이 허용된 참가자 - room:<code>:members 집합 (한 번 입장하면 다시 비밀번호를 묻지 않음)
+async function isRoomMember(roomCode, participantId) {
+    if (!isStorageAvailable()) return false;
+    
+    return !!(await storage.sIsMember(`room:${roomCode}:members`, participantId));
+}
 
-// 방 코드 생성 함수
+async function addRoomMembers(roomCode, participantIds) {
+    if (!isStorageAvailable() || participantIds.length === 0) return;
+    
+    const membersKey = `room:${roomCode}:members`;
+    await storage.sAdd(membersKey, participantIds);
+    await expireRoomKey(roomCode, membersKey);
+}
+
+// 입장 실패 횟수 제한 - 참가자별, IP별로 JOIN_FAILURE_WINDOW 동안 허용 횟수를 넘으면 차단
+// 참가자 토큰은 새로 받을 수 있고 IP도 바꿀 수 있으므로, 비밀번호 실패는 방 전체로도 세어 추측 횟수를 제한한다.
+const JOIN_FAILURE_WINDOW = 10 * 60; // 10분 (초)
+const MAX_JOIN_FAILURES_PER_PARTICIPANT = 5;
+const MAX_JOIN_FAILURES_PER_IP = 20; // 같은 학교 네트워크의 여러 학생이 하나의 IP를 쓰는 경우 고려
+const MAX_PASSWORD_FAILURES_PER_ROOM = 50;
+
+function joinFailureLimits(roomCode, participantId, ip) {
+    return [
+        { key: `ratelimit:join:${roomCode}:participant:${participantId}`, max: MAX_JOIN_FAILURES_PER_PARTICIPANT },
+        { key: `ratelimit:join:${roomCode}:ip:${ip}`, max: MAX_JOIN_FAILURES_PER_IP }
+    ];
+}
+
+function passwordFailureLimit(roomCode) {
+    return { key: `ratelimit:join:${roomCode}:password`, max: MAX_PASSWORD_FAILURES_PER_ROOM };
+}
+
+// 소켓 클라이언트 IP - TRUST_PROXY개의 프록시를 거쳐 왔으면 X-Forwarded-For에서 그만큼 건너뛴 주소 (Express의 req.ip와 같은 기준)
+function getSocketIp(socket) {
+    const address = socket.handshake.address;
+    if (TRUST_PROXY === 0) return address;
+    
+    const forwarded = String(socket.handshake.headers['x-forwarded-for'] || '')
+        .split(',')
+        .map(value => value.trim())
+        .filter(Boolean);
+    const hops = [address, ...forwarded.reverse()];
+    
+    return hops[Math.min(TRUST_PROXY, hops.length - 1)];
+}
+
+// 차단 중이면 남은 시간(초), 아니면 0
+async function getJoinRetryAfter(limits) {
+    if (!isStorageAvailable()) return 0;
+    
+    for (const { key, max } of limits) {
+        const failures = parseInt(await storage.get(key)) || 0;
+        if (failures >= max) {
+            return Math.max(await storage.ttl(key), 1);
+        }
+    }
+    return 0;
+}
+
+async function recordJoinFailure(limits) {
+    if (!isStorageAvailable()) return;
+    
+    for (const { key } of limits) {
+        const failures = await storage.incr(key);
+        if (failures === 1) {
+            await storage.expire(key, JOIN_FAILURE_WINDOW);
+        }
+    }
+}
+
+// 비공개 방 입장 확인 - 통과하면 null, 아니면 거부 사유 { code, retryAfter }
+// request: joinRoom 요청 ({ password, invite })
+async function checkRoomAccess(roomCode, roomInfo, request, { participantId, ip }) {
+    const limits = joinFailureLimits(roomCode, participantId, ip);
+    
+    const retryAfter = await getJoinRetryAfter(limits);
+    if (retryAfter > 0) {
+        return { code: 'TOO_MANY_ATTEMPTS', retryAfter };
+    }
+    
+    const invite = request && request.invite;
+    const password = request && request.password;
+    
+    // 올바른 초대 링크는 비밀번호 없이 입장 가능
+    if (invite && await roomAccess.verifyInvite(invite, roomCode, roomInfo.inviteId)) {
+        return null;
+    }
+    
+    if (roomInfo.inviteOnly) {
+        if (!invite) return { code: 'INVITE_REQUIRED' };
+        
+        await recordJoinFailure(limits);
+        return { code: 'INVALID_INVITE' };
+    }
+    
+    if (roomInfo.passwordHash) {
+        if (!password) return { code: 'PASSWORD_REQUIRED' };
+        
+        const roomLimit = passwordFailureLimit(roomCode);
+        const roomRetryAfter = await getJoinRetryAfter([roomLimit]);
+        if (roomRetryAfter > 0) {
+            return { code: 'TOO_MANY_ATTEMPTS', retryAfter: roomRetryAfter };
+        }
+        
+        if (!(await verifyPassword(password, roomInfo.passwordHash))) {
+            await recordJoinFailure([...limits, roomLimit]);
+            return { code: 'WRONG_PASSWORD' };
+        }
+    }
+    
+    return null;
+}
+
+// HTTP 요청의 방 접근 확인 - 비공개 방이면 접근 토큰(X-Room-Access 헤더 또는 access 쿼리)이나 방장 토큰 필요
+async function hasRoomAccess(req, roomCode, roomInfo) {
+    if (!isPrivateRoom(roomInfo)) return true;
+    
+    if (await hostTokens.verify(req.get('x-host-token'), roomCode, roomInfo.creatorId)) return true;
+    
+    const token = req.get('x-room-access') || req.query.access;
+    const participantId = await roomAccess.verifyAccess(token, roomCode);
+    
+    return !!participantId && !(await isParticipantBanned(roomCode, participantId));
+}
+
+// 참가자 목록 변경 알림 - type: join(입장) | leave(퇴장) | kick(내보냄) | ban(차단) | disconnect(연결 끊김, 유예 중) | reconnect(재연결) | update(정보 변경)
+async function broadcastRoster(roomCode, type, participant) {
+    const roster = await getRoster(roomCode);
+    
+    io.to(roomCode).emit('rosterUpdated', {
+        roster,
+        users: roster.length,
+        event: { type, participant }
+    });
+}
+
+// 방 코드 선점 - 선점하면 true (이미 있는 방이거나 다른 요청이 먼저 선점한 코드이면 false)
+// 여러 인스턴스가 같은 코드로 동시에 방을 만들어 방 정보를 덮어쓰지 않도록 room:<code>:reserved를 NX로 저장한다.
+// 선점 키는 createRoom에서 방 데이터 키로 등록되어 방과 함께 만료/삭제되고, 방을 만들지 못하면 1분 뒤 만료된다.
+// (참가자가 있는 임시 방은 방 정보 키만 만료되지 않으므로 방 정보도 함께 확인)
+async function reserveRoomCode(roomCode) {
+    if (rooms[roomCode] || (await getRoomInfo(roomCode))) return false;
+    if (!isStorageAvailable()) return true;
+    
+    return !!(await storage.set(`room:${roomCode}:reserved`, INSTANCE_ID, { NX: true, EX: 60 }));
+}
+
+// 방 코드 생성 함수 - 생성한 코드는 선점된 상태
 async function createUniqueRoomCode() {
     let roomCode;
-    let exists = true;
     
-    while (exists) {
+    do {
         // 6자리 숫자 코드 생성
         roomCode = Math.floor(100000 + Math.random() * 900000).toString();
-        
-        // 방 존재 여부 확인
-        const roomInfo = await getRoomInfo(roomCode);
-        exists = !!roomInfo;
-    }
+    } while (!(await reserveRoomCode(roomCode)));
     
     return roomCode;
 }
 
-// 방 생성 함수 수정
-async function createRoom(roomCode, creatorId = null) {
+// 방 생성 함수
+// options: { creatorId, retention(보관 정책), title, description, settings(기본값 대신 처음 적용할 방 설정 항목) }
+async function createRoom(roomCode, { creatorId = null, retention = DEFAULT_RETENTION, title = '', description = '', settings = {} } = {}) {
     const now = Date.now();
+    const expiresAt = computeExpiresAt(retention, now);
+    const roomSettings = { ...DEFAULT_ROOM_SETTINGS, ...settings };
     
     // 메모리에 방 정보 저장 (creatorId 추가)
     rooms[roomCode] = {
@@ -209,801 +754,3602 @@ async function createRoom(roomCode, creatorId = null) {
         lastActive: now,
         users: 0,
         creatorId: creatorId,
-        drawingEnabled: true // 기본적으로 그리기 활성화
+        drawingEnabled: roomSettings.drawingEnabled,
+        settings: roomSettings,
+        title,
+        description,
+        retention,
+        expiresAt
     };
     
-    // Redis에 방 정보 저장
+    // 저장소에 방 정보 저장
     try {
-        if (isRedisAvailable()) {
+        if (isStorageAvailable()) {
             const roomKey = `room:${roomCode}`;
             
-            await redisClient.hSet(roomKey, {
+            await storage.hSet(roomKey, {
                 createdAt: now,
                 lastActive: now,
                 users: 0,
                 creatorId: creatorId || '',
-                drawingEnabled: 'true'
+                title,
+                description,
+                drawingEnabled: roomSettings.drawingEnabled ? 'true' : 'false',
+                settings: serializeRoomSettings(roomSettings),
+                retention,
+                expiresAt: expiresAt || ''
             });
             
-            // 24시간 후 만료 설정
-            await redisClient.expire(roomKey, 24 * 60 * 60);
+            // 보관 정책에 맞춰 만료 설정 (선점 키도 방 데이터로 함께 관리)
+            await expireRoomKey(roomCode, `room:${roomCode}:reserved`);
+            await refreshRoomExpiry(roomCode);
             
-            console.log(`Redis에 방 정보 저장 완료: ${roomCode}`);
+            console.log(`저장소에 방 정보 저장 완료: ${roomCode}`);
         }
     } catch (error) {
-        console.error(`Redis 방 정보 저장 오류:`, error);
-        logToFile(`Redis 방 정보 저장 오류: ${error.message}`);
+        console.error(`방 정보 저장 오류:`, error);
+        logToFile(`방 정보 저장 오류: ${error.message}`);
     }
     
     return rooms[roomCode];
 }
 
-// 방 정보 조회 함수 - 오류 처리 강화
-async function getRoomInfo(roomCode) {
-    try {
-        // 메모리에서 방 정보 확인
-        if (rooms[roomCode]) {
-            return rooms[roomCode];
-        }
-        
-        // Redis에서 방 정보 확인
-        if (isRedisAvailable()) {
-            try {
-                const roomKey = `room:${roomCode}`;
-                const exists = await redisClient.exists(roomKey);
-                
-                if (exists) {
-                    const roomData = await redisClient.hGetAll(roomKey);
-                    
-                    // 문자열을 숫자로 변환
-                    roomData.createdAt = parseInt(roomData.createdAt) || Date.now();
-                    roomData.lastActive = parseInt(roomData.lastActive) || Date.now();
-                    roomData.users = parseInt(roomData.users) || 0;
-                    
-                    // 메모리에 캐싱
-                    rooms[roomCode] = roomData;
-                    
-                    return roomData;
-                }
-            } catch (error) {
-                console.error(`Redis 방 정보 조회 오류:`, error);
-                logToFile(`Redis 방 정보 조회 오류: ${error.message}`);
-                // Redis 오류 시 null 반환 (방 생성 필요)
-            }
-        }
-        
-        return null;
-    } catch (error) {
-        console.error(`방 정보 조회 중 예외 발생:`, error);
-        logToFile(`방 정보 조회 중 예외 발생: ${error.message}`);
-        // 오류 발생 시 기본 방 정보 반환
-        return {
-            createdAt: Date.now(),
-            lastActive: Date.now(),
-            users: 0
-        };
-    }
+// 저장소의 방 정보(문자열 해시)를 메모리 형식으로 변환
+function parseRoomData(roomData) {
+    return {
+        ...roomData,
+        createdAt: parseInt(roomData.createdAt) || Date.now(),
+        lastActive: parseInt(roomData.lastActive) || Date.now(),
+        users: parseInt(roomData.users) || 0,
+        creatorId: roomData.creatorId || null,
+        title: roomData.title || '',
+        description: roomData.description || '',
+        drawingEnabled: roomData.drawingEnabled !== 'false',
+        locked: roomData.locked === 'true',
+        passwordHash: roomData.passwordHash || null,
+        inviteOnly: roomData.inviteOnly === 'true',
+        inviteId: roomData.inviteId || null,
+        waitingRoom: roomData.waitingRoom === 'true',
+        settings: parseRoomSettings(roomData.settings),
+        retention: isValidRetention(roomData.retention) ? roomData.retention : null, // 없으면 이전 방 (getRetention 참고)
+        expiresAt: parseInt(roomData.expiresAt) || null
+    };
 }
 
-// 그리기 데이터 저장 함수 수정
-async function saveDrawingPoint(roomCode, point) {
-    try {
-        // Redis 사용 가능 여부 확인 함수 사용
-        if (isRedisAvailable()) {
-            const pointsKey = `room:${roomCode}:points`;
-            
-            // 그리기 데이터를 JSON 문자열로 변환하여 저장
-            await redisClient.rPush(pointsKey, JSON.stringify(point));
-            
-            // 24시간 후 만료 설정
-            await redisClient.expire(pointsKey, 24 * 60 * 60);
+// 보관 정책이 있는(임시가 아닌) 방 목록
+const RETAINED_ROOMS_KEY = 'rooms:retained';
+
+// 방 데이터 키 만료 설정 - 보관 정책에 맞춰 만료 시간을 정하고 room:<code>:keys 집합에 기록
+// (보관 기간을 바꾸거나 방을 삭제할 때 이 집합의 키를 모두 처리한다)
+async function expireRoomKey(roomCode, key) {
+    const room = rooms[roomCode];
+    const ttl = room ? getKeyTtl(room) : 24 * 60 * 60;
+    const keysKey = `room:${roomCode}:keys`;
+    
+    await storage.sAdd(keysKey, key);
+    
+    for (const target of [key, keysKey]) {
+        if (ttl === null) {
+            await storage.persist(target);
+        } else {
+            await storage.expire(target, ttl);
         }
-    } catch (error) {
-        console.error(`그리기 데이터 저장 오류:`, error);
-        logToFile(`그리기 데이터 저장 오류: ${error.message}`);
     }
 }
 
-// 그리기 데이터 조회 함수 - 오류 처리 강화
-async function getDrawingPoints(roomCode) {
-    try {
-        if (isRedisAvailable()) {
-            const pointsKey = `room:${roomCode}:points`;
-            
-            // Redis에서 그리기 데이터 조회
-            const pointsData = await redisClient.lRange(pointsKey, 0, -1);
-            
-            // JSON 문자열을 객체로 변환
-            return pointsData.map(point => {
-                try {
-                    return JSON.parse(point);
-                } catch (e) {
-                    console.error('그리기 데이터 파싱 오류:', e);
-                    return null;
-                }
-            }).filter(point => point !== null);
+// 방의 모든 데이터 키 만료 시간을 현재 보관 정책으로 다시 설정 (방 생성, 연장, 정책 변경)
+async function refreshRoomExpiry(roomCode) {
+    const room = rooms[roomCode];
+    if (!room || !isStorageAvailable()) return;
+    
+    const roomKey = `room:${roomCode}`;
+    const keysKey = `room:${roomCode}:keys`;
+    const ttl = getKeyTtl(room);
+    const keys = [roomKey, keysKey, ...await storage.sMembers(keysKey)];
+    
+    for (const key of keys) {
+        // 임시 방의 방 정보 키는 참가자가 있는 동안 만료되지 않음 (서버 상태 모니터링에서 관리)
+        if (ttl === null || (key === roomKey && getRetention(room) === 'ephemeral' && room.users > 0)) {
+            await storage.persist(key);
+        } else {
+            await storage.expire(key, ttl);
         }
-    } catch (error) {
-        console.error(`그리기 데이터 조회 오류:`, error);
-        logToFile(`그리기 데이터 조회 오류: ${error.message}`);
     }
     
-    return [];
+    // 기간/영구 보관 방은 서버가 다시 시작되어도 정리할 수 있도록 목록에 기록
+    if (getRetention(room) === 'ephemeral') {
+        await storage.sRem(RETAINED_ROOMS_KEY, roomCode);
+    } else {
+        await storage.sAdd(RETAINED_ROOMS_KEY, roomCode);
+    }
+    
+    // 이미지 블롭도 방 데이터보다 먼저 만료되지 않도록 연장
+    await touchRoomImageBlobs(roomCode);
 }
 
-// 그리기 데이터 삭제 함수 수정
-async function clearDrawingPoints(roomCode) {
-    try {
-        if (isRedisAvailable()) {
-            const pointsKey = `room:${roomCode}:points`;
-            
-            // Redis에서 그리기 데이터 삭제
-            await redisClient.del(pointsKey);
-            console.log(`방 ${roomCode}의 그리기 데이터 삭제 완료`);
-        }
-    } catch (error) {
-        console.error(`그리기 데이터 삭제 오류:`, error);
-        logToFile(`그리기 데이터 삭제 오류: ${error.message}`);
+// 방 보관 정책 변경/연장 - 만료 시각을 지금부터 다시 계산하고 방 전체에 알림
+async function setRoomRetention(roomCode, roomInfo, policy, changedBy) {
+    roomInfo.retention = policy;
+    roomInfo.expiresAt = computeExpiresAt(policy);
+    roomInfo.expiryWarned = false;
+    
+    if (isStorageAvailable()) {
+        await saveRoomFields(roomCode, {
+            retention: policy,
+            expiresAt: roomInfo.expiresAt || ''
+        });
+        await refreshRoomExpiry(roomCode);
     }
+    
+    const retention = describeRetention(roomInfo);
+    io.to(roomCode).emit('roomRetentionChanged', { ...retention, changedBy });
+    logToFile(`방 ${roomCode} 보관 정책 변경: ${policy}, 만료: ${retention.expiresAt ? new Date(retention.expiresAt).toISOString() : '없음'} (변경자: ${changedBy})`);
+    
+    return retention;
 }
 
-// 이미지 데이터 저장 함수 수정
-async function saveImage(roomCode, imageData) {
-    try {
-        if (isRedisAvailable()) {
-            const imagesKey = `room:${roomCode}:images`;
-            
-            // 이미지 데이터를 JSON 문자열로 변환하여 저장
-            await redisClient.rPush(imagesKey, JSON.stringify(imageData));
+// 방 삭제 - 참가자와 대기 중인 사용자에게 알리고 연결을 끊은 뒤 메모리와 저장소의 방 데이터를 모두 삭제
+// reason: deleted(방장이 삭제) | expired(보관 기간 만료)
+async function deleteRoom(roomCode, reason) {
+    // 만료 정리는 여러 인스턴스가 함께 하므로 방 정보 키를 먼저 지운 인스턴스만 삭제를 진행
+    if (reason === 'expired' && isStorageAvailable() && !(await storage.del(`room:${roomCode}`))) {
+        forgetRoom(roomCode, reason);
+        return;
+    }
+    
+    forgetRoom(roomCode, reason);
+    notifyInstances('roomDeleted', roomCode, reason);
+    
+    io.to(roomCode).emit('roomDeleted', { roomCode, reason });
+    io.in(roomCode).disconnectSockets(true);
+    
+    if (isStorageAvailable()) {
+        const keysKey = `room:${roomCode}:keys`;
+        const keys = await storage.sMembers(keysKey);
+        
+        // 키 목록이 생기기 전에 만든 방의 데이터도 함께 삭제
+        for (const key of new Set([
+            ...keys,
+            `room:${roomCode}`,
+            keysKey,
+            `room:${roomCode}:strokes`,
+            `room:${roomCode}:images`,
+            `room:${roomCode}:blobs`
+        ])) {
+            await storage.del(key);
+        }
+        
+        await storage.sRem(RETAINED_ROOMS_KEY, roomCode);
+        await presence.clearRoom(roomCode);
+    }
+    
+    logToFile(`방 삭제 완료: ${roomCode} (이유: ${reason})`);
+}
+
+// 이 인스턴스의 방 상태 정리 (방 삭제) - 그리던 스트로크, 재연결 유예 타이머, 방 정보 캐시를 지우고 대기 중인 소켓에 알림
+function forgetRoom(roomCode, reason) {
+    // 연결 종료 처리에서 그리던 스트로크를 다시 저장하지 않도록 메모리 상태부터 정리
+    activeStrokes.delete(roomCode);
+    boardActivity.delete(roomCode);
+    
+    const timers = leaveTimers.get(roomCode);
+    if (timers) {
+        for (const timer of timers.values()) {
+            clearTimeout(timer);
+        }
+        leaveTimers.delete(roomCode);
+    }
+    
+    const waiting = waitingHandlers.get(roomCode);
+    const waitingSockets = waiting ? [...waiting.values()].flatMap(sockets => [...sockets.keys()]) : [];
+    waitingHandlers.delete(roomCode);
+    
+    if (waitingSockets.length > 0) {
+        io.local.to(waitingSockets).emit('roomDeleted', { roomCode, reason });
+    }
+    
+    strokeSnapshotCache.delete(roomCode);
+    delete rooms[roomCode];
+}
+
+// 방 정보 필드 저장 - 다른 인스턴스도 메모리의 방 정보를 다시 읽도록 알림
+async function saveRoomFields(roomCode, fields) {
+    await storage.hSet(`room:${roomCode}`, fields);
+    notifyInstances('roomChanged', roomCode);
+}
+
+// 다른 인스턴스가 바꾼 방 정보 다시 읽기 (메모리에 올라온 방만, 참가자 수는 참가자 현황으로 따로 갱신)
+async function reloadRoomInfo(roomCode) {
+    const room = rooms[roomCode];
+    if (!room || !isStorageAvailable()) return;
+    
+    const roomData = await storage.hGetAll(`room:${roomCode}`);
+    if (!roomData || Object.keys(roomData).length === 0) return;
+    
+    const { users, lastActive, ...latest } = parseRoomData(roomData);
+    
+    // 보관 기간이 연장되었으면 다시 만료 경고할 수 있도록 초기화
+    if (latest.expiresAt !== room.expiresAt) {
+        room.expiryWarned = false;
+    }
+    
+    Object.assign(room, latest);
+}
+
+// 방 설정 조회 (그리기 허용 여부 포함)
+function getRoomSettings(roomInfo) {
+    return {
+        ...DEFAULT_ROOM_SETTINGS,
+        ...roomInfo.settings,
+        drawingEnabled: roomInfo.drawingEnabled !== false
+    };
+}
+
+// 공개 방 정보 - 방 코드를 아는 누구에게나 보여 주는 항목 (GET /api/rooms/:roomCode)
+async function getRoomMetadata(roomCode, roomInfo) {
+    return {
+        roomCode,
+        title: roomInfo.title || '',
+        description: roomInfo.description || '',
+        createdAt: roomInfo.createdAt,
+        retention: describeRetention(roomInfo),
+        users: await presence.count(roomCode),
+        passwordRequired: !!roomInfo.passwordHash,
+        inviteOnly: !!roomInfo.inviteOnly,
+        waitingRoom: !!roomInfo.waitingRoom,
+        locked: !!roomInfo.locked
+    };
+}
+
+// 방 설정 변경 - 검증된 변경 항목(validateSettingsUpdate 결과)을 적용하고 저장한 뒤 방 전체에 알림
+async function applyRoomSettings(roomCode, roomInfo, update, changedBy) {
+    const settings = { ...getRoomSettings(roomInfo), ...update };
+    
+    roomInfo.settings = settings;
+    roomInfo.drawingEnabled = settings.drawingEnabled;
+    
+    if (isStorageAvailable()) {
+        await saveRoomFields(roomCode, {
+            settings: serializeRoomSettings(settings),
+            drawingEnabled: settings.drawingEnabled ? 'true' : 'false'
+        });
+    }
+    
+    io.to(roomCode).emit('roomSettingsChanged', { settings, changedBy });
+    
+    // 이전 클라이언트 호환 - 그리기 허용 여부 변경은 기존 이벤트로도 알림
+    if (update.drawingEnabled !== undefined) {
+        io.to(roomCode).emit('drawingPermissionChanged', { enabled: settings.drawingEnabled, changedBy });
+    }
+    
+    logToFile(`방 ${roomCode} 설정 변경: ${JSON.stringify(update)} (변경자: ${changedBy})`);
+    return settings;
+}
+
+// 최대 참가자 수에 도달했는지 확인 (0이면 제한 없음)
+async function isRoomFull(roomCode, roomInfo) {
+    const { maxParticipants } = getRoomSettings(roomInfo);
+    return maxParticipants > 0 && await presence.count(roomCode) >= maxParticipants;
+}
+
+// 방 설정으로 권한을 정하는 편집 동작 (동작 -> 설정 항목)
+const ACTION_PERMISSIONS = {
+    clear: 'clearPermission',
+    image: 'imagePermission'
+};
+
+// 편집할 수 없는 이유 (role: 방에서의 참가자 역할) - 편집할 수 있으면 null
+function getEditDenial(roomInfo, role, action) {
+    if (role === 'host') return null;
+    
+    if (role === 'viewer') {
+        return { message: '보기 전용 참가자는 보드를 편집할 수 없습니다.', code: 'ROLE_VIEWER' };
+    }
+    
+    if (!roomInfo || roomInfo.drawingEnabled === false) {
+        return { message: '방장이 그리기를 비활성화했습니다.', code: 'DRAWING_DISABLED' };
+    }
+    
+    if (action && getRoomSettings(roomInfo)[ACTION_PERMISSIONS[action]] === 'host') {
+        return action === 'clear'
+            ? { message: '방장만 보드 전체를 지울 수 있습니다.', code: 'HOST_ONLY' }
+            : { message: '방장만 이미지를 붙여넣을 수 있습니다.', code: 'HOST_ONLY' };
+    }
+    
+    return null;
+}
+
+// 방 정보 조회 함수 - 오류 처리 강화
+async function getRoomInfo(roomCode) {
+    try {
+        // 메모리에서 방 정보 확인
+        if (rooms[roomCode]) {
+            return rooms[roomCode];
+        }
+        
+        // 저장소에서 방 정보 확인
+        if (isStorageAvailable()) {
+            try {
+                const roomKey = `room:${roomCode}`;
+                const exists = await storage.exists(roomKey);
+                
+                if (exists) {
+                    const roomData = parseRoomData(await storage.hGetAll(roomKey));
+                    
+                    // 메모리에 캐싱
+                    rooms[roomCode] = roomData;
+                    
+                    return roomData;
+                }
+            } catch (error) {
+                console.error(`방 정보 조회 오류:`, error);
+                logToFile(`방 정보 조회 오류: ${error.message}`);
+                // 저장소 오류 시 null 반환 (방 생성 필요)
+            }
+        }
+        
+        return null;
+    } catch (error) {
+        console.error(`방 정보 조회 중 예외 발생:`, error);
+        logToFile(`방 정보 조회 중 예외 발생: ${error.message}`);
+        // 오류 발생 시 기본 방 정보 반환
+        return {
+            createdAt: Date.now(),
+            lastActive: Date.now(),
+            users: 0
+        };
+    }
+}
+
+// 스트로크 데이터 저장 함수
+// 스트로크 형식: { id, userId, tool, color, size, points: [[x, y], ...], times: [ms, ...], createdAt }
+// times는 각 좌표를 서버가 받은 시간 (createdAt 기준 경과 ms, 타임랩스 재생에 사용)
+async function saveStroke(roomCode, stroke) {
+    try {
+        if (isStorageAvailable()) {
+            const strokesKey = `room:${roomCode}:strokes`;
             
-            // 24시간 후 만료 설정
-            await redisClient.expire(imagesKey, 24 * 60 * 60);
+            // 완성된 스트로크를 JSON 문자열로 변환하여 저장 (스트로크 하나당 항목 하나)
+            await storage.rPush(strokesKey, JSON.stringify(stroke));
             
-            return true;
+            // 보관 정책에 맞춰 만료 설정
+            await expireRoomKey(roomCode, strokesKey);
         }
     } catch (error) {
-        console.error(`이미지 데이터 저장 오류:`, error);
-        logToFile(`이미지 데이터 저장 오류: ${error.message}`);
+        console.error(`스트로크 데이터 저장 오류:`, error);
+        logToFile(`스트로크 데이터 저장 오류: ${error.message}`);
     }
+}
+
+// 압축 스냅샷 캐시 (roomCode -> { id, strokes, ids }) - 스냅샷 ID가 같으면 다시 풀지 않음
+const strokeSnapshotCache = new Map();
+const compactionMetrics = createCompactionMetrics();
+
+// 압축 스냅샷 조회 (boardCompaction.js) - 없거나 보드를 비우기 전의 스냅샷이면 null
+async function getStrokeSnapshot(roomCode) {
+    const snapshotKey = `room:${roomCode}:strokes:snapshot`;
+    const [id, gen, currentGen] = await Promise.all([
+        storage.hGet(snapshotKey, 'id'),
+        storage.hGet(snapshotKey, 'gen'),
+        storage.get(`room:${roomCode}:strokes:gen`)
+    ]);
     
-    return false;
+    if (!id || (gen || '0') !== (currentGen || '0')) return null;
+    
+    const cached = strokeSnapshotCache.get(roomCode);
+    if (cached && cached.id === id) {
+        return { ...cached, cacheHit: true };
+    }
+    
+    const data = await storage.hGet(snapshotKey, 'data');
+    if (!data) return null;
+    
+    const strokes = await decompressStrokes(data);
+    const snapshot = { id, strokes, ids: new Set(strokes.map(stroke => stroke.id)) };
+    strokeSnapshotCache.set(roomCode, snapshot);
+    
+    return { ...snapshot, cacheHit: false };
 }
 
-// 이미지 데이터 조회 함수 - 오류 처리 강화
-async function getImages(roomCode) {
+// 스트로크 데이터 조회 함수 - 저장된 순서대로 반환 (압축 스냅샷 + 최근 스트로크)
+async function getStrokes(roomCode) {
     try {
-        if (isRedisAvailable()) {
-            const imagesKey = `room:${roomCode}:images`;
+        if (isStorageAvailable()) {
+            const startedAt = performance.now();
+            const strokesKey = `room:${roomCode}:strokes`;
             
-            // Redis에서 이미지 데이터 조회
-            const imagesData = await redisClient.lRange(imagesKey, 0, -1);
+            // 최근 스트로크를 먼저 읽음 - 그 사이 압축되면 스냅샷에 들어간 스트로크가 양쪽에 있을 수 있어 아래에서 걸러냄
+            const strokesData = await storage.lRange(strokesKey, 0, -1);
             
             // JSON 문자열을 객체로 변환
-            return imagesData.map(image => {
+            const tail = strokesData.map(stroke => {
                 try {
-                    return JSON.parse(image);
+                    return JSON.parse(stroke);
                 } catch (e) {
-                    console.error('이미지 데이터 파싱 오류:', e);
+                    console.error('스트로크 데이터 파싱 오류:', e);
                     return null;
                 }
-            }).filter(image => image !== null);
+            }).filter(stroke => stroke !== null);
+            
+            const decodeStartedAt = performance.now();
+            const snapshot = await getStrokeSnapshot(roomCode);
+            const decodeMs = snapshot && !snapshot.cacheHit ? performance.now() - decodeStartedAt : 0;
+            const strokes = snapshot ? snapshot.strokes.concat(tail.filter(stroke => !snapshot.ids.has(stroke.id))) : tail;
+            
+            compactionMetrics.recordLoad({
+                snapshotStrokes: snapshot ? snapshot.strokes.length : 0,
+                tailStrokes: tail.length,
+                durationMs: performance.now() - startedAt,
+                decodeMs,
+                cacheHit: !!(snapshot && snapshot.cacheHit)
+            });
+            
+            return strokes;
         }
     } catch (error) {
-        console.error(`이미지 데이터 조회 오류:`, error);
-        logToFile(`이미지 데이터 조회 오류: ${error.message}`);
+        console.error(`스트로크 데이터 조회 오류:`, error);
+        logToFile(`스트로크 데이터 조회 오류: ${error.message}`);
     }
     
     return [];
 }
 
-// 이미지 데이터 삭제 함수 추가
-async function clearImages(roomCode) {
+// 스트로크 데이터 삭제 함수 - 보드 세대를 올려 압축 중이던 스냅샷도 쓰이지 않게 함
+async function clearStrokes(roomCode) {
     try {
-        if (isRedisAvailable()) {
-            const imagesKey = `room:${roomCode}:images`;
+        if (isStorageAvailable()) {
+            const strokesKey = `room:${roomCode}:strokes`;
+            const genKey = `room:${roomCode}:strokes:gen`;
             
-            // Redis에서 이미지 데이터 삭제
-            await redisClient.del(imagesKey);
-            console.log(`방 ${roomCode}의 이미지 데이터 삭제 완료`);
+            // 타임라인은 스트로크를 ID로만 기록하므로 지우기 전에 보관
+            await archiveTimelineStrokes(roomCode);
+            await storage.incr(genKey);
+            await expireRoomKey(roomCode, genKey);
+            
+            // 저장소에서 스트로크 데이터 삭제
+            await storage.del([strokesKey, `room:${roomCode}:strokes:snapshot`]);
+            strokeSnapshotCache.delete(roomCode);
+            console.log(`방 ${roomCode}의 스트로크 데이터 삭제 완료`);
         }
     } catch (error) {
-        console.error(`이미지 데이터 삭제 오류:`, error);
-        logToFile(`이미지 데이터 삭제 오류: ${error.message}`);
+        console.error(`스트로크 데이터 삭제 오류:`, error);
+        logToFile(`스트로크 데이터 삭제 오류: ${error.message}`);
     }
 }
 
-// API 라우트 정의 - 최상위에 배치
-// 헬스 체크 API
-app.get('/api/health', (req, res) => {
-    console.log('헬스 체크 요청 받음:', req.ip);
+// 스트로크 리스트 앞부분 잠금 - 압축(앞부분을 잘라 냄)과 지운 내용 복원(앞에 추가)이 겹치지 않도록
+// attempts번까지 100ms 간격으로 다시 시도하고, 얻으면 true
+async function lockStrokeList(roomCode, attempts = 1) {
+    const lockKey = `room:${roomCode}:strokes:compacting`;
     
-    try {
-        // 응답 헤더 설정
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
-        
-        // 응답 전송
-        res.status(200).json({
-            status: 'ok',
-            message: '서버가 정상적으로 실행 중입니다.',
-            timestamp: new Date().toISOString(),
-            domain: DOMAIN
-        });
-        
-        console.log('헬스 체크 응답 전송 완료');
-    } catch (error) {
-        console.error('헬스 체크 처리 중 오류:', error);
-        res.status(500).json({
-            status: 'error',
-            message: '서버 상태 확인 중 오류가 발생했습니다.'
-        });
+    for (let i = 0; i < attempts; i++) {
+        if (i > 0) await new Promise(resolve => setTimeout(resolve, 100));
+        if (await storage.set(lockKey, INSTANCE_ID, { NX: true, EX: 60 })) return true;
     }
-});
+    
+    return false;
+}
 
-// 새 방 생성 API - 수정하여 creatorId 저장
-app.get('/api/create-room', (req, res) => {
-    try {
-        console.log('방 생성 요청 받음:', req.ip);
-        
-        // 고유한 방 코드 생성
-        createUniqueRoomCode().then(roomCode => {
-            // 방 생성자 ID 생성 (IP와 타임스탬프 조합)
-            const creatorId = `${req.ip}-${Date.now()}`;
-            
-            // 방 생성 (creatorId 저장)
-            createRoom(roomCode, creatorId).then(() => {
-                console.log(`새 방 생성됨: ${roomCode}, 생성자: ${creatorId}`);
-                logToFile(`API 호출로 새 방 생성: ${roomCode}, 생성자: ${creatorId}`);
-                
-                // 응답 헤더 설정
-                res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-                res.setHeader('Pragma', 'no-cache');
-                res.setHeader('Expires', '0');
-                
-                // 응답에 creatorId 포함
-                res.status(200).json({ 
-                    roomCode,
-                    creatorId
-                });
-            });
-        }).catch(error => {
-            console.error('방 코드 생성 오류:', error);
-            logToFile(`방 코드 생성 오류: ${error.message}`);
-            res.status(500).json({ error: '방 생성 중 오류가 발생했습니다.' });
-        });
-    } catch (error) {
-        console.error('방 생성 오류:', error);
-        logToFile(`방 생성 오류: ${error.message}`);
-        res.status(500).json({ error: '방 생성 중 오류가 발생했습니다.' });
-    }
-});
+async function unlockStrokeList(roomCode) {
+    await storage.del(`room:${roomCode}:strokes:compacting`);
+}
 
-// 방 존재 여부 확인 API - 단순화
-app.get('/api/check-room/:roomCode', (req, res) => {
+// 스트로크 압축 - 최근 스트로크가 많이 쌓이면 앞부분을 압축 스냅샷으로 옮기고 꼬리만 남김
+// 여러 인스턴스가 같은 방을 동시에 압축하지 않도록 잠금 키 사용
+async function compactStrokes(roomCode) {
+    const strokesKey = `room:${roomCode}:strokes`;
+    const snapshotKey = `room:${roomCode}:strokes:snapshot`;
+    const genKey = `room:${roomCode}:strokes:gen`;
+    
+    if (await storage.lLen(strokesKey) < COMPACTION_THRESHOLD + COMPACTION_TAIL) return null;
+    if (!(await lockStrokeList(roomCode))) return null;
+    
     try {
-        const { roomCode } = req.params;
-        console.log(`방 확인 요청 받음: ${roomCode}, IP: ${req.ip}`);
+        const startedAt = performance.now();
+        const storedGen = await storage.get(genKey);
+        const gen = storedGen || '0';
+        const entries = await storage.lRange(strokesKey, 0, -1);
+        const count = entries.length - COMPACTION_TAIL;
+        if (count < COMPACTION_THRESHOLD) return null;
         
-        // 메모리에서만 확인 (빠름)
-        const exists = !!rooms[roomCode];
+        const parseStartedAt = performance.now();
+        const compacted = entries.slice(0, count).map(entry => {
+            try {
+                return JSON.parse(entry);
+            } catch (e) {
+                return null;
+            }
+        }).filter(stroke => stroke !== null);
+        const parseMs = performance.now() - parseStartedAt;
         
-        console.log(`방 ${roomCode} 존재 여부: ${exists}`);
-        logToFile(`방 확인 요청: ${roomCode}, 존재: ${exists}`);
+        const previous = await getStrokeSnapshot(roomCode);
+        const strokes = previous ? previous.strokes.concat(compacted.filter(stroke => !previous.ids.has(stroke.id))) : compacted;
+        const { data, rawBytes, bytes } = await compressStrokes(strokes);
         
-        // 응답 헤더 설정
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
+        // 압축하는 동안 보드를 비웠으면 중단
+        if (((await storage.get(genKey)) || '0') !== gen) return null;
         
-        // 즉시 응답 전송
-        res.status(200).json({ exists });
-    } catch (error) {
-        console.error('방 확인 오류:', error);
-        logToFile(`방 확인 오류: ${error.message}`);
-        res.status(500).json({ error: '방 확인 중 오류가 발생했습니다.' });
-    }
-});
-
-// Socket.IO 설정
-const io = socketIo(server, {
-    cors: {
-        origin: process.env.NODE_ENV === 'production' 
-            ? ['https://rboard.schoolworks.dev'] 
-            : "*",
-        methods: ["GET", "POST"],
-        credentials: true
-    },
-    maxHttpBufferSize: 5 * 1024 * 1024, // 5MB로 버퍼 크기 증가
-    pingTimeout: 60000, // 핑 타임아웃 60초로 증가
-    pingInterval: 25000 // 핑 간격 25초로 설정
-});
-
-// 메인 페이지 라우트
-app.get('/', (req, res) => {
-    const indexPath = path.join(frontendPath, 'index.html');
-    console.log('메인 페이지 제공:', indexPath);
-    res.sendFile(indexPath);
-});
-
-// 방 페이지 라우트 - 오류 처리 강화
-app.get('/room/:roomCode', (req, res) => {
-    try {
-        const { roomCode } = req.params;
-        console.log(`방 페이지 요청: ${roomCode}`);
+        const id = crypto.randomUUID();
+        await storage.hSet(snapshotKey, { id, gen, count: strokes.length, rawBytes, bytes, compactedAt: Date.now(), data });
+        await expireRoomKey(roomCode, snapshotKey);
         
-        // 방 정보 확인 (비동기 처리 없이 메모리에서만 확인)
-        if (!rooms[roomCode]) {
-            // 방이 존재하지 않으면 즉시 생성 (메모리에만)
-            const now = Date.now();
-            rooms[roomCode] = {
-                createdAt: now,
-                lastActive: now,
-                users: 0
-            };
-            console.log(`존재하지 않는 방에 접근 시도, 새로 생성: ${roomCode}`);
-            logToFile(`존재하지 않는 방에 접근 시도, 새로 생성: ${roomCode}`);
-            
-            // Redis에 방 정보 저장 (비동기로 처리)
-            if (isRedisAvailable()) {
-                const roomKey = `room:${roomCode}`;
-                
-                redisClient.hSet(roomKey, {
-                    createdAt: now,
-                    lastActive: now,
-                    users: 0
-                }).then(() => {
-                    return redisClient.expire(roomKey, 24 * 60 * 60);
-                }).then(() => {
-                    console.log(`Redis에 방 정보 저장 완료: ${roomCode}`);
-                }).catch(error => {
-                    console.error(`Redis 방 정보 저장 오류:`, error);
-                    logToFile(`Redis 방 정보 저장 오류: ${error.message}`);
-                });
-            }
+        // 세대 확인과 자르기를 한 번에 - 그 사이에 보드를 비우고 새로 그린 스트로크를 지우지 않도록
+        // (세대가 바뀌었으면 방금 쓴 스냅샷도 세대가 달라 읽지 않음)
+        if (!(await storage.lTrimIfEqual(strokesKey, count, -1, genKey, storedGen))) {
+            logToFile(`방 ${roomCode} 스트로크 압축 중단: 압축하는 동안 보드를 비웠습니다.`);
+            return null;
         }
+        strokeSnapshotCache.set(roomCode, { id, strokes, ids: new Set(strokes.map(stroke => stroke.id)) });
         
-        // 방 페이지 제공
-        const roomPath = path.join(frontendPath, 'room.html');
-        console.log('방 페이지 제공:', roomPath);
-        
-        // 파일 존재 여부 확인
-        if (!fs.existsSync(roomPath)) {
-            console.error(`방 페이지 파일을 찾을 수 없음: ${roomPath}`);
-            return res.status(404).send('방 페이지 파일을 찾을 수 없습니다.');
-        }
+        const durationMs = performance.now() - startedAt;
+        compactionMetrics.recordCompaction({ strokes: compacted.length, rawBytes, bytes, parseMs, durationMs });
+        logToFile(`방 ${roomCode} 스트로크 압축: ${compacted.length}개 이동, 스냅샷 ${strokes.length}개 ${rawBytes} -> ${bytes}바이트 (${Math.round(durationMs)}ms)`);
         
-        res.sendFile(roomPath);
-    } catch (error) {
-        console.error(`방 페이지 제공 오류:`, error);
-        logToFile(`방 페이지 제공 오류: ${error.message}`);
-        res.status(500).send('방 접속 중 오류가 발생했습니다.');
+        return { strokes: strokes.length, rawBytes, bytes };
+    } finally {
+        await unlockStrokeList(roomCode);
     }
-});
+}
 
-// Socket.IO 연결 처리
-io.on('connection', (socket) => {
-    let currentRoom = null;
+// 그리는 중인 스트로크 관리 (roomCode -> Map(strokeId -> stroke))
+// 그리는 소켓이 연결된 인스턴스에만 있고, 다른 인스턴스의 참가자는 실시간 방송으로 받는다. 완성되면 저장소에 저장한다.
+const activeStrokes = new Map();
+const STROKE_TOOLS = ['pen', 'eraser'];
+const MAX_STROKE_POINTS = 10000;
+const MAX_OPEN_STROKES = 8; // 한 소켓이 동시에 그릴 수 있는 스트로크 수 (넘으면 가장 오래된 스트로크를 완성 처리)
+
+// 좌표 배열 검증 ([[x, y], ...] 형식만 허용) - 정수(px)로 반올림
+// 이진 형식은 정수 좌표만 보내므로, JSON으로 받는 참가자와 저장되는 스트로크도 같은 좌표를 쓰도록 받을 때 반올림한다.
+function sanitizePoints(points) {
+    if (!Array.isArray(points)) return [];
     
-    connectedClients++;
-    logToFile(`사용자 연결됨: ${socket.id} (현재 연결: ${connectedClients}명)`);
+    return points
+        .filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+        .map(point => [Math.round(point[0]), Math.round(point[1])]);
+}
+
+// 그리는 중인 스트로크 버리기 (보드 지우기, 복원, 교체) - 다른 인스턴스의 스트로크도 함께 버림
+function discardActiveStrokes(roomCode) {
+    activeStrokes.delete(roomCode);
+    notifyInstances('activeStrokesDiscarded', roomCode);
+}
+
+// 그리는 중인 스트로크 조회 (이 인스턴스)
+function getActiveStrokes(roomCode) {
+    const strokes = activeStrokes.get(roomCode);
+    return strokes ? [...strokes.values()] : [];
+}
+
+// 그리는 중인 스트로크 완성 - 좌표를 단순화(strokeSimplify.js)하고 보드 변경 순번을 미리 매김
+// 종료 방송을 늦추지 않도록 저장과 타임라인 기록(recordFinishedStroke)은 방송 뒤에 한다.
+// 저장하기 전까지 순번은 '저장 중'으로 표시되어, 그동안 입장한 클라이언트는 그 앞 순번까지의 보드를 받는다. (getSettledBoardSeq)
+async function finishActiveStroke(roomCode, strokeId) {
+    const strokes = activeStrokes.get(roomCode);
+    if (!strokes || !strokes.has(strokeId)) return null;
     
-    // 방 정보 업데이트 함수
-    function updateRoomInfo(roomCode) {
-        if (!rooms[roomCode]) return;
+    const stroke = simplifyStroke(strokes.get(strokeId));
+    strokes.delete(strokeId);
+    
+    if (strokes.size === 0) {
+        activeStrokes.delete(roomCode);
+    }
+    
+    return { stroke, seq: await reserveBoardSeq(roomCode) };
+}
+
+// 완성된 스트로크를 저장하고 타임라인에 기록 - 끝나면 저장 중 표시 해제
+async function recordFinishedStroke(roomCode, { stroke, seq }) {
+    try {
+        await saveStroke(roomCode, stroke);
+        await appendTimeline(roomCode, { type: 'stroke', t: stroke.createdAt, stroke }, seq);
+    } finally {
+        await releaseBoardSeq(roomCode, seq);
+    }
+}
+
+// 방의 전체 그리기 데이터 조회 (완성된 스트로크 + 그리는 중인 스트로크, 실행 취소된 스트로크 제외)
+async function getDrawingStrokes(roomCode) {
+    const [allStrokes, hiddenIds] = await Promise.all([getStrokes(roomCode), getHiddenIds(roomCode)]);
+    const strokes = allStrokes.filter(stroke => !hiddenIds.has(stroke.id));
+    const inProgress = getActiveStrokes(roomCode).map(stroke => ({ ...stroke, inProgress: true }));
+    
+    return strokes.concat(inProgress);
+}
+
+// 이미지 데이터 저장 함수 수정
+async function saveImage(roomCode, imageData) {
+    try {
+        if (isStorageAvailable()) {
+            const imagesKey = `room:${roomCode}:images`;
+            
+            // 이미지 데이터를 JSON 문자열로 변환하여 저장
+            await storage.rPush(imagesKey, JSON.stringify(imageData));
+            
+            // 보관 정책에 맞춰 만료 설정
+            await expireRoomKey(roomCode, imagesKey);
+            
+            return true;
+        }
+    } catch (error) {
+        console.error(`이미지 데이터 저장 오류:`, error);
+        logToFile(`이미지 데이터 저장 오류: ${error.message}`);
+    }
+    
+    return false;
+}
+
+// 이미지 블롭 - 이미지 내용은 블롭 저장소에 해시로 한 번만 저장하고,
+// 이미지 항목에는 { id, userId, hash, x, y, width, height, createdAt } 만 저장한다.
+// 방에서 업로드한 해시는 room:<code>:blobs 집합에 기록하여 다른 방의 이미지는 조회할 수 없게 한다.
+// 저장 전에 실제 형식과 크기를 검증하고 메타데이터를 제거하며(imageSanitizer), 방/사용자별 업로드 용량을 제한한다.
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024; // 10MB
+const MAX_ROOM_IMAGE_BYTES = 100 * 1024 * 1024; // 방별 최대 100MB
+const MAX_USER_IMAGE_BYTES = 30 * 1024 * 1024; // 사용자별 최대 30MB
+const IMAGE_DATA_URL_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/;
+
+function roomQuotaError() {
+    return imageError(IMAGE_ERROR_CODES.ROOM_QUOTA_EXCEEDED, `이 방에 올릴 수 있는 이미지 용량(${MAX_ROOM_IMAGE_BYTES / 1024 / 1024}MB)을 모두 사용했습니다.`);
+}
+
+function userQuotaError() {
+    return imageError(IMAGE_ERROR_CODES.USER_QUOTA_EXCEEDED, `한 사람이 올릴 수 있는 이미지 용량(${MAX_USER_IMAGE_BYTES / 1024 / 1024}MB)을 모두 사용했습니다.`);
+}
+
+// 방/사용자별 이미지 업로드 용량 확인 (room:<code>:imageUsage 해시 - total, user:<id>)
+// 업로드를 시작할 때 청크를 받기 전에 미리 거절하는 용도 - 실제 사용량은 저장할 때 chargeImageQuota로 기록
+async function checkImageQuota(roomCode, userId, size) {
+    const usage = await storage.hGetAll(`room:${roomCode}:imageUsage`);
+    
+    if ((parseInt(usage.total) || 0) + size > MAX_ROOM_IMAGE_BYTES) throw roomQuotaError();
+    if (userId && (parseInt(usage[`user:${userId}`]) || 0) + size > MAX_USER_IMAGE_BYTES) throw userQuotaError();
+}
+
+// 이미지 용량 사용 기록 - 먼저 더하고 한도를 넘었으면 되돌린 뒤 오류
+// (확인과 기록 사이에 동시에 올린 이미지가 함께 한도를 넘지 않도록)
+async function chargeImageQuota(roomCode, userId, size) {
+    const usageKey = `room:${roomCode}:imageUsage`;
+    
+    if (await storage.hIncrBy(usageKey, 'total', size) > MAX_ROOM_IMAGE_BYTES) {
+        await storage.hIncrBy(usageKey, 'total', -size);
+        throw roomQuotaError();
+    }
+    
+    if (userId && await storage.hIncrBy(usageKey, `user:${userId}`, size) > MAX_USER_IMAGE_BYTES) {
+        await refundImageQuota(roomCode, userId, size);
+        throw userQuotaError();
+    }
+    
+    await expireRoomKey(roomCode, usageKey);
+}
+
+// 기록한 이미지 용량 되돌리기 (한도 초과, 저장 실패)
+async function refundImageQuota(roomCode, userId, size) {
+    const usageKey = `room:${roomCode}:imageUsage`;
+    
+    await storage.hIncrBy(usageKey, 'total', -size);
+    if (userId) {
+        await storage.hIncrBy(usageKey, `user:${userId}`, -size);
+    }
+}
+
+// 이미지 검증 후 블롭 저장 (같은 내용이면 기존 블롭 재사용)
+// sourceHash: 검증 전 원본 해시 (같은 원본을 다시 올릴 때 업로드 없이 재사용)
+async function storeImageBlob(roomCode, data, { userId = null, sourceHash = null } = {}) {
+    const image = sanitizeImage(data, { maxSize: MAX_IMAGE_SIZE });
+    const blobsKey = `room:${roomCode}:blobs`;
+    const isNew = !(await hasRoomImageBlob(roomCode, hashBlob(image.data)));
+    
+    // 방에 새로 추가되는 이미지만 용량에 포함 (저장하기 전에 기록하고, 저장하지 못하면 되돌림)
+    if (isNew) {
+        await chargeImageQuota(roomCode, userId, image.data.length);
+    }
+    
+    let blob;
+    try {
+        blob = await blobStore.put(image.data, image.mimeType);
+        await storage.sAdd(blobsKey, blob.hash);
+    } catch (error) {
+        if (isNew) await refundImageQuota(roomCode, userId, image.data.length);
+        throw error;
+    }
+    await expireRoomKey(roomCode, blobsKey);
+    
+    if (sourceHash && sourceHash !== blob.hash) {
+        await storage.hSet(`room:${roomCode}:blobSources`, sourceHash, blob.hash);
+        await expireRoomKey(roomCode, `room:${roomCode}:blobSources`);
+    }
+    
+    return { ...blob, width: image.width, height: image.height };
+}
+
+// 원본 해시로 방에 저장된 이미지 블롭 찾기 (메타데이터를 제거한 경우 저장된 해시가 다름)
+async function findRoomImageBlob(roomCode, sourceHash) {
+    if (!isValidHash(sourceHash)) return null;
+    
+    const hash = await storage.hGet(`room:${roomCode}:blobSources`, sourceHash) || sourceHash;
+    return await hasRoomImageBlob(roomCode, hash) ? hash : null;
+}
+
+// 방에서 업로드한 이미지 블롭인지 확인
+async function hasRoomImageBlob(roomCode, hash) {
+    if (!isValidHash(hash)) return false;
+    
+    return !!(await storage.sIsMember(`room:${roomCode}:blobs`, hash)) && await blobStore.has(hash);
+}
+
+// 방의 이미지 블롭 만료 시간 연장 (방 데이터보다 먼저 만료되지 않도록)
+async function touchRoomImageBlobs(roomCode) {
+    try {
+        const blobsKey = `room:${roomCode}:blobs`;
+        const hashes = await storage.sMembers(blobsKey);
+        
+        for (const hash of hashes) {
+            await blobStore.touch(hash);
+        }
+        
+        if (hashes.length > 0) {
+            await expireRoomKey(roomCode, blobsKey);
+        }
+    } catch (error) {
+        console.error(`이미지 블롭 만료 시간 연장 오류:`, error);
+        logToFile(`이미지 블롭 만료 시간 연장 오류: ${error.message}`);
+    }
+}
+
+// data URL 이미지를 블롭으로 변환 (형식이 맞지 않으면 null)
+function parseImageDataUrl(dataUrl) {
+    const match = typeof dataUrl === 'string' && dataUrl.match(IMAGE_DATA_URL_PATTERN);
+    if (!match) return null;
+    
+    return { mimeType: match[1], data: Buffer.from(match[2], 'base64') };
+}
+
+// 파일로 내보낼 이미지에 data URL 채우기 (블롭이 없는 이미지는 제외)
+async function withImageData(images) {
+    const resolved = await Promise.all(images.map(async image => {
+        if (!image.hash) return image;
+        
+        const blob = await blobStore.get(image.hash);
+        if (!blob) return null;
+        
+        return { ...image, imageData: `data:${blob.mimeType};base64,${blob.data.toString('base64')}` };
+    }));
+    
+    return resolved.filter(image => image !== null);
+}
+
+// 이미지 분할 업로드 - 약한 네트워크에서도 큰 이미지가 도착하도록 청크 단위로 받아 서버에서 합친다.
+// 업로드 정보: upload:<id> (해시), 받은 청크: upload:<id>:chunks (청크 번호 -> base64)
+// 연결이 끊겨도 같은 uploadId로 다시 시작하면 받은 청크 번호를 돌려주어 나머지만 이어서 올릴 수 있다.
+const UPLOAD_CHUNK_SIZE = 256 * 1024; // 256KB
+const UPLOAD_TTL = 60 * 60; // 마지막 청크 후 1시간 동안 이어 올리기 가능
+
+// 업로드 요청 오류 (클라이언트에 그대로 전달)
+function uploadError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_UPLOAD';
+    return error;
+}
+
+// 업로드 정보 조회
+async function getImageUpload(uploadId) {
+    if (typeof uploadId !== 'string' || !/^[0-9a-f-]{36}$/.test(uploadId)) return null;
+    
+    const upload = await storage.hGetAll(`upload:${uploadId}`);
+    if (!upload || !upload.hash) return null;
+    
+    return {
+        id: uploadId,
+        roomCode: upload.roomCode,
+        hash: upload.hash,
+        mimeType: upload.mimeType,
+        userId: upload.userId || null,
+        size: parseInt(upload.size),
+        chunkSize: parseInt(upload.chunkSize),
+        totalChunks: parseInt(upload.totalChunks)
+    };
+}
+
+// 받은 청크 번호 목록
+async function getReceivedChunks(uploadId) {
+    const indexes = await storage.hKeys(`upload:${uploadId}:chunks`);
+    return indexes.map(index => parseInt(index)).sort((a, b) => a - b);
+}
+
+// 업로드 시작 또는 이어 올리기 - { uploadId?, hash, size, mimeType }
+async function startImageUpload(roomCode, userId, data) {
+    const resumed = data.uploadId ? await getImageUpload(data.uploadId) : null;
+    
+    if (resumed && resumed.roomCode === roomCode && resumed.hash === data.hash) {
+        return { upload: resumed, received: await getReceivedChunks(resumed.id) };
+    }
+    
+    const size = Number(data.size);
+    const mimeType = typeof data.mimeType === 'string' ? data.mimeType.toLowerCase() : '';
+    
+    if (!isValidHash(data.hash)) {
+        throw uploadError('이미지 해시가 올바르지 않습니다.');
+    }
+    if (!Number.isInteger(size) || size <= 0) {
+        throw uploadError('이미지 크기가 올바르지 않습니다.');
+    }
+    
+    // 형식과 용량은 업로드 완료 후 실제 내용으로 다시 검증하지만, 미리 알 수 있는 경우 청크를 받기 전에 거부
+    if (size > MAX_IMAGE_SIZE) {
+        throw imageError(IMAGE_ERROR_CODES.TOO_LARGE, `이미지는 ${MAX_IMAGE_SIZE / 1024 / 1024}MB 이하만 올릴 수 있습니다.`);
+    }
+    if (mimeType.includes('svg') || mimeType.includes('xml') || mimeType.includes('html')) {
+        throw imageError(IMAGE_ERROR_CODES.ACTIVE_CONTENT, 'SVG 등 스크립트를 포함할 수 있는 파일은 올릴 수 없습니다.');
+    }
+    await checkImageQuota(roomCode, userId, size);
+    
+    const upload = {
+        id: crypto.randomUUID(),
+        roomCode,
+        hash: data.hash,
+        mimeType,
+        userId: userId || '',
+        size,
+        chunkSize: UPLOAD_CHUNK_SIZE,
+        totalChunks: Math.ceil(size / UPLOAD_CHUNK_SIZE)
+    };
+    
+    const { id, ...fields } = upload;
+    await storage.hSet(`upload:${id}`, { ...fields, createdAt: Date.now() });
+    await storage.expire(`upload:${id}`, UPLOAD_TTL);
+    
+    return { upload, received: [] };
+}
+
+// 청크 저장 - 마지막 청크를 제외하면 모두 chunkSize 크기여야 함
+async function saveImageChunk(upload, index, data) {
+    if (!Number.isInteger(index) || index < 0 || index >= upload.totalChunks) {
+        throw uploadError('청크 번호가 올바르지 않습니다.');
+    }
+    
+    const expectedSize = index === upload.totalChunks - 1
+        ? upload.size - upload.chunkSize * (upload.totalChunks - 1)
+        : upload.chunkSize;
+    
+    if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+        throw uploadError('청크 크기가 올바르지 않습니다.');
+    }
+    
+    const chunksKey = `upload:${upload.id}:chunks`;
+    await storage.hSet(chunksKey, String(index), data.toString('base64'));
+    await storage.expire(chunksKey, UPLOAD_TTL);
+    await storage.expire(`upload:${upload.id}`, UPLOAD_TTL);
+}
+
+// 업로드 완료 - 청크를 합쳐 크기와 해시를 확인한 뒤 블롭 저장소에 저장
+async function completeImageUpload(upload) {
+    const chunksKey = `upload:${upload.id}:chunks`;
+    const chunks = await storage.hGetAll(chunksKey);
+    
+    const missing = [];
+    for (let index = 0; index < upload.totalChunks; index++) {
+        if (!chunks[index]) missing.push(index);
+    }
+    
+    if (missing.length > 0) {
+        return { missing };
+    }
+    
+    const data = Buffer.concat(Array.from({ length: upload.totalChunks }, (_, index) => Buffer.from(chunks[index], 'base64')));
+    
+    // 손상된 업로드는 처음부터 다시 올려야 하므로 삭제
+    if (data.length !== upload.size || hashBlob(data) !== upload.hash) {
+        await storage.del([`upload:${upload.id}`, chunksKey]);
+        throw uploadError('이미지가 손상되었습니다. 다시 올려 주세요.');
+    }
+    
+    try {
+        const blob = await storeImageBlob(upload.roomCode, data, { userId: upload.userId, sourceHash: upload.hash });
+        return { blob };
+    } finally {
+        await storage.del([`upload:${upload.id}`, chunksKey]);
+    }
+}
+
+// 이미지 데이터 조회 함수 - 오류 처리 강화
+async function getImages(roomCode) {
+    try {
+        if (isStorageAvailable()) {
+            const imagesKey = `room:${roomCode}:images`;
+            
+            // 저장소에서 이미지 데이터 조회
+            const imagesData = await storage.lRange(imagesKey, 0, -1);
+            
+            // JSON 문자열을 객체로 변환
+            return imagesData.map(image => {
+                try {
+                    return JSON.parse(image);
+                } catch (e) {
+                    console.error('이미지 데이터 파싱 오류:', e);
+                    return null;
+                }
+            }).filter(image => image !== null);
+        }
+    } catch (error) {
+        console.error(`이미지 데이터 조회 오류:`, error);
+        logToFile(`이미지 데이터 조회 오류: ${error.message}`);
+    }
+    
+    return [];
+}
+
+// 이미지 데이터 삭제 함수 추가
+async function clearImages(roomCode) {
+    try {
+        if (isStorageAvailable()) {
+            const imagesKey = `room:${roomCode}:images`;
+            
+            // 저장소에서 이미지 데이터 삭제
+            await storage.del(imagesKey);
+            console.log(`방 ${roomCode}의 이미지 데이터 삭제 완료`);
+        }
+    } catch (error) {
+        console.error(`이미지 데이터 삭제 오류:`, error);
+        logToFile(`이미지 데이터 삭제 오류: ${error.message}`);
+    }
+}
+
+// 실행 취소/다시 실행 - 사용자별 작업 기록
+// 작업 형식: { type: 'stroke' | 'image', id } 또는 { type: 'clear', id: clearId }
+// 실행 취소된 스트로크/이미지는 삭제하지 않고 room:<code>:hidden 집합에 ID를 기록해 숨긴다.
+const MAX_HISTORY_ACTIONS = 50;
+
+// 숨겨진(실행 취소된) 보드 객체 ID 조회
+async function getHiddenIds(roomCode) {
+    try {
+        if (isStorageAvailable()) {
+            return new Set(await storage.sMembers(`room:${roomCode}:hidden`));
+        }
+    } catch (error) {
+        console.error(`숨김 목록 조회 오류:`, error);
+        logToFile(`숨김 목록 조회 오류: ${error.message}`);
+    }
+    
+    return new Set();
+}
+
+// 스트로크/이미지 ID 사용 표시 - 방에서 처음 쓰는 ID이면 true
+// 숨기기와 실행 취소는 ID로만 구분하므로, 다른 참가자의 항목 ID로 그려 그 항목을 숨기지 못하도록 이미 쓴 ID는 받지 않는다.
+// 지운 항목도 실행 취소로 되살아날 수 있어 ID 목록(room:<code>:itemIds)은 방이 삭제될 때까지 유지한다.
+// 목록이 없으면(목록을 쓰기 전에 만든 방) 보드의 항목 ID로 먼저 채운다.
+async function claimItemIds(roomCode, ids) {
+    if (!isStorageAvailable() || ids.length === 0) return true;
+    
+    const idsKey = `room:${roomCode}:itemIds`;
+    if (!(await storage.exists(idsKey))) {
+        const [strokes, images] = await Promise.all([getStrokes(roomCode), getImages(roomCode)]);
+        const existing = strokes.concat(images).map(item => item.id).filter(id => !ids.includes(id));
+        
+        if (existing.length > 0) {
+            await storage.sAdd(idsKey, existing);
+        }
+    }
+    
+    const added = await storage.sAdd(idsKey, ids);
+    await expireRoomKey(roomCode, idsKey);
+    
+    return added === ids.length;
+}
+
+// 보드 객체 숨기기/복원
+async function setItemHidden(roomCode, id, hidden) {
+    const hiddenKey = `room:${roomCode}:hidden`;
+    
+    if (hidden) {
+        await storage.sAdd(hiddenKey, id);
+        await expireRoomKey(roomCode, hiddenKey);
+    } else {
+        await storage.sRem(hiddenKey, id);
+    }
+}
+
+// 화면에 표시되는 이미지 조회 (실행 취소된 이미지 제외)
+async function getVisibleImages(roomCode) {
+    const [images, hiddenIds] = await Promise.all([getImages(roomCode), getHiddenIds(roomCode)]);
+    return images.filter(image => !hiddenIds.has(image.id));
+}
+
+// 사용자 작업 기록 추가 (새 작업이 생기면 다시 실행 목록은 비움)
+async function recordAction(roomCode, userId, action) {
+    try {
+        if (!isStorageAvailable()) return;
+        
+        const undoKey = `room:${roomCode}:undo:${userId}`;
+        
+        await storage.rPush(undoKey, JSON.stringify(action));
+        await storage.lTrim(undoKey, -MAX_HISTORY_ACTIONS, -1);
+        await expireRoomKey(roomCode, undoKey);
+        await storage.del(`room:${roomCode}:redo:${userId}`);
+        
+        markBoardChanged(roomCode);
+    } catch (error) {
+        console.error(`작업 기록 저장 오류:`, error);
+        logToFile(`작업 기록 저장 오류: ${error.message}`);
+    }
+}
+
+// 실행 취소/다시 실행 가능 횟수 조회
+async function getHistoryState(roomCode, userId) {
+    const [undo, redo] = await Promise.all([
+        storage.lLen(`room:${roomCode}:undo:${userId}`),
+        storage.lLen(`room:${roomCode}:redo:${userId}`)
+    ]);
+    
+    return { undo, redo };
+}
+
+// 캔버스 지우기 - 지운 내용은 room:<code>:cleared:<clearId>에 보관하여 실행 취소 시 복원
+async function archiveAndClearBoard(roomCode, clearId) {
+    const [strokes, images] = await Promise.all([getStrokes(roomCode), getImages(roomCode)]);
+    const archiveKey = `room:${roomCode}:cleared:${clearId}`;
+    
+    await storage.set(archiveKey, JSON.stringify({ strokes, images }));
+    await expireRoomKey(roomCode, archiveKey);
+    
+    discardActiveStrokes(roomCode);
+    await clearStrokes(roomCode);
+    await clearImages(roomCode);
+}
+
+// 지운 내용 복원 - 지운 뒤에 추가된 내용은 복원된 내용 위에 유지
+// 현재 내용을 읽고 비운 뒤 다시 쓰지 않고 보관한 내용을 리스트 앞에 추가하므로, 복원하는 동안 저장된 스트로크도 그대로 남는다.
+// 이미 보드에 있는 ID는 건너뛰므로 도중에 실패해도 다시 실행하면 나머지만 복원된다.
+async function restoreClearedBoard(roomCode, clearId) {
+    const archiveKey = `room:${roomCode}:cleared:${clearId}`;
+    const archived = await storage.get(archiveKey);
+    if (!archived) return { strokes: [], images: [] };
+    
+    const archive = JSON.parse(archived);
+    
+    // 앞에 추가하는 동안 압축이 리스트 앞부분을 잘라 내지 않도록 잠금
+    if (!(await lockStrokeList(roomCode, 50))) {
+        throw new Error('스트로크 압축이 끝나지 않아 복원할 수 없습니다.');
+    }
+    
+    try {
+        const [currentStrokes, currentImages] = await Promise.all([getStrokes(roomCode), getImages(roomCode)]);
+        const currentIds = new Set(currentStrokes.concat(currentImages).map(item => item.id));
+        const strokes = archive.strokes.filter(stroke => !currentIds.has(stroke.id));
+        const images = archive.images.filter(image => !currentIds.has(image.id));
+        
+        // LPUSH는 마지막 값이 맨 앞에 오므로 거꾸로 추가
+        const strokesKey = `room:${roomCode}:strokes`;
+        const imagesKey = `room:${roomCode}:images`;
+        
+        if (strokes.length > 0) {
+            await storage.lPush(strokesKey, strokes.map(stroke => JSON.stringify(stroke)).reverse());
+            await expireRoomKey(roomCode, strokesKey);
+        }
+        
+        if (images.length > 0) {
+            await storage.lPush(imagesKey, images.map(image => JSON.stringify(image)).reverse());
+            await expireRoomKey(roomCode, imagesKey);
+        }
+    } finally {
+        await unlockStrokeList(roomCode);
+    }
+    
+    await storage.del(archiveKey);
+    
+    const hiddenIds = await getHiddenIds(roomCode);
+    return {
+        strokes: archive.strokes.filter(stroke => !hiddenIds.has(stroke.id)),
+        images: archive.images.filter(image => !hiddenIds.has(image.id))
+    };
+}
+
+// 작업 되돌리기/다시 적용 - 방 전체에 보낼 이벤트 반환
+async function applyHistoryAction(roomCode, action, undo) {
+    if (action.type === 'clear') {
+        if (undo) {
+            const restored = await restoreClearedBoard(roomCode, action.id);
+            return { event: 'itemsRestored', data: restored };
+        }
+        
+        await archiveAndClearBoard(roomCode, action.id);
+        return { event: 'clearCanvas', data: {} };
+    }
+    
+    await setItemHidden(roomCode, action.id, undo);
+    
+    if (undo) {
+        return { event: 'itemsRemoved', data: { ids: [action.id] } };
+    }
+    
+    // 다시 실행 - 복원된 객체를 다시 전송
+    if (action.type === 'stroke') {
+        const strokes = (await getStrokes(roomCode)).filter(stroke => stroke.id === action.id);
+        return { event: 'itemsRestored', data: { strokes, images: [] } };
+    }
+    
+    const images = (await getImages(roomCode)).filter(image => image.id === action.id);
+    return { event: 'itemsRestored', data: { strokes: [], images } };
+}
+
+// 보드 체크포인트 - 지우기 전/주기적/수동으로 보드 상태를 저장하고 방장이 복원
+// 목록: room:<code>:checkpoints (메타데이터 JSON 리스트), 내용: room:<code>:checkpoint:<id>
+const MAX_CHECKPOINTS = 30;
+const CHECKPOINT_INTERVAL = 5 * 60 * 1000; // 변경이 있으면 5분마다 자동 저장
+const CHECKPOINT_KINDS = ['auto', 'clear', 'manual', 'restore', 'import'];
+
+// 방별 마지막 보드 변경 시간과 마지막 체크포인트 시간
+const boardActivity = new Map();
+
+// 보드 변경 기록 (자동 체크포인트 대상 판단용)
+function markBoardChanged(roomCode) {
+    const activity = boardActivity.get(roomCode) || { changedAt: 0, checkpointAt: Date.now() };
+    activity.changedAt = Date.now();
+    boardActivity.set(roomCode, activity);
+}
+
+// 현재 보드 상태 조회 (실행 취소된 객체 제외)
+async function getBoardSnapshot(roomCode) {
+    const [strokes, images, hiddenIds] = await Promise.all([
+        getStrokes(roomCode),
+        getImages(roomCode),
+        getHiddenIds(roomCode)
+    ]);
+    
+    return {
+        strokes: strokes.filter(stroke => !hiddenIds.has(stroke.id)),
+        images: images.filter(image => !hiddenIds.has(image.id))
+    };
+}
+
+// 체크포인트 목록 조회 (오래된 순)
+async function getCheckpoints(roomCode) {
+    try {
+        if (isStorageAvailable()) {
+            const checkpointsData = await storage.lRange(`room:${roomCode}:checkpoints`, 0, -1);
+            
+            return checkpointsData.map(checkpoint => {
+                try {
+                    return JSON.parse(checkpoint);
+                } catch (e) {
+                    console.error('체크포인트 데이터 파싱 오류:', e);
+                    return null;
+                }
+            }).filter(checkpoint => checkpoint !== null);
+        }
+    } catch (error) {
+        console.error(`체크포인트 목록 조회 오류:`, error);
+        logToFile(`체크포인트 목록 조회 오류: ${error.message}`);
+    }
+    
+    return [];
+}
+
+// 체크포인트 내용 조회
+async function getCheckpointData(roomCode, checkpointId) {
+    const data = await storage.get(`room:${roomCode}:checkpoint:${checkpointId}`);
+    return data ? JSON.parse(data) : null;
+}
+
+// 체크포인트 생성 - 빈 보드는 저장하지 않음
+async function createCheckpoint(roomCode, { kind, name, createdBy = null }) {
+    try {
+        if (!isStorageAvailable()) return null;
+        
+        const snapshot = await getBoardSnapshot(roomCode);
+        if (snapshot.strokes.length === 0 && snapshot.images.length === 0) return null;
+        
+        // 체크포인트가 참조하는 이미지 블롭도 체크포인트만큼 유지
+        await touchRoomImageBlobs(roomCode);
+        
+        const checkpoint = {
+            id: crypto.randomUUID(),
+            kind: CHECKPOINT_KINDS.includes(kind) ? kind : 'manual',
+            name: name || '',
+            createdAt: Date.now(),
+            createdBy,
+            strokeCount: snapshot.strokes.length,
+            imageCount: snapshot.images.length
+        };
+        
+        const listKey = `room:${roomCode}:checkpoints`;
+        
+        const snapshotKey = `room:${roomCode}:checkpoint:${checkpoint.id}`;
+        
+        await storage.set(snapshotKey, JSON.stringify(snapshot));
+        await expireRoomKey(roomCode, snapshotKey);
+        await storage.rPush(listKey, JSON.stringify(checkpoint));
+        await expireRoomKey(roomCode, listKey);
+        
+        // 최대 개수를 넘으면 오래된 체크포인트 삭제
+        const count = await storage.lLen(listKey);
+        if (count > MAX_CHECKPOINTS) {
+            const removed = await storage.lRange(listKey, 0, count - MAX_CHECKPOINTS - 1);
+            
+            for (const item of removed) {
+                const { id } = JSON.parse(item);
+                await storage.del(`room:${roomCode}:checkpoint:${id}`);
+            }
+            
+            await storage.lTrim(listKey, -MAX_CHECKPOINTS, -1);
+        }
+        
+        const activity = boardActivity.get(roomCode);
+        if (activity) {
+            activity.checkpointAt = checkpoint.createdAt;
+        }
+        
+        logToFile(`방 ${roomCode} 체크포인트 생성: ${checkpoint.kind} ${checkpoint.id} (스트로크 ${checkpoint.strokeCount}개, 이미지 ${checkpoint.imageCount}개)`);
+        return checkpoint;
+    } catch (error) {
+        console.error(`체크포인트 생성 오류:`, error);
+        logToFile(`체크포인트 생성 오류: ${error.message}`);
+        return null;
+    }
+}
+
+// 체크포인트 복원 - 현재 보드를 체크포인트 내용으로 교체
+async function restoreCheckpoint(roomCode, checkpointId) {
+    const snapshot = await getCheckpointData(roomCode, checkpointId);
+    if (!snapshot) return null;
+    
+    discardActiveStrokes(roomCode);
+    await clearStrokes(roomCode);
+    await clearImages(roomCode);
+    
+    for (const stroke of snapshot.strokes) {
+        await saveStroke(roomCode, stroke);
+    }
+    
+    for (const image of snapshot.images) {
+        await saveImage(roomCode, image);
+    }
+    
+    // 복원된 객체는 실행 취소 상태와 관계없이 표시
+    const ids = snapshot.strokes.map(stroke => stroke.id).concat(snapshot.images.map(image => image.id));
+    if (ids.length > 0) {
+        await storage.sRem(`room:${roomCode}:hidden`, ids);
+    }
+    
+    markBoardChanged(roomCode);
+    return snapshot;
+}
+
+// 보드 파일 불러오기 - 검증된 파일 내용을 스트로크/이미지 저장 함수로 방에 저장
+// mode: 'replace' (현재 보드를 교체) | 'append' (현재 보드 위에 추가)
+async function importBoard(roomCode, parsed, mode) {
+    const { strokes, images } = assignImportIds(parsed);
+    
+    // 이미지를 먼저 검증/저장하여 잘못된 이미지가 있으면 현재 보드를 건드리지 않음
+    const placements = [];
+    for (const image of images) {
+        const { imageData, ...placement } = image;
+        const { hash } = await storeImageBlob(roomCode, parseImageDataUrl(imageData).data);
+        
+        placements.push({ ...placement, hash });
+    }
+    
+    if (mode === 'replace') {
+        discardActiveStrokes(roomCode);
+        await clearStrokes(roomCode);
+        await clearImages(roomCode);
+    }
+    
+    await claimItemIds(roomCode, strokes.concat(images).map(item => item.id));
+    
+    for (const stroke of strokes) {
+        await saveStroke(roomCode, stroke);
+    }
+    
+    for (const image of placements) {
+        await saveImage(roomCode, image);
+    }
+    
+    await touchRoomImageBlobs(roomCode);
+    markBoardChanged(roomCode);
+    return { strokes, images };
+}
+
+// 보드 파일의 방 설정과 제목/설명 적용 - 바뀐 제목/설명 반환 (boardImported에 함께 전송)
+async function applyImportedRoomDetails(roomCode, roomInfo, parsed) {
+    if (Object.keys(parsed.settings).length > 0) {
+        await applyRoomSettings(roomCode, roomInfo, parsed.settings, 'host');
+    }
+    
+    const { title, description } = parsed.metadata;
+    if (!title && !description) return {};
+    
+    const fields = {};
+    if (title) fields.title = title;
+    if (description) fields.description = description;
+    
+    Object.assign(roomInfo, fields);
+    await saveRoomFields(roomCode, fields);
+    
+    return { title: roomInfo.title || '', description: roomInfo.description || '' };
+}
+
+// 타임라인 - 보드 변경을 서버 시간과 함께 순서대로 기록 (타임랩스 재생, 재연결 시 놓친 변경 전송)
+// 이벤트 형식: { type: 'stroke', t, stroke } | { type: 'image', t, image } | { type: 'clear', t }
+//            | { type: 'remove', t, ids } | { type: 'restore', t, strokes, images } | { type: 'board', t, strokes, images }
+// 모든 이벤트에는 방마다 1씩 늘어나는 순번(seq)이 붙는다. 순번은 저장소 카운터(room:<code>:seq)로 매겨 인스턴스가 여럿이어도 겹치지 않는다.
+// 스트로크 본문은 스트로크 리스트에 이미 있으므로 저장할 때는 ID만 기록하고(stroke -> strokeId, strokes -> strokeIds),
+// 보낼 때 resolveTimelineEvents로 다시 채운다. 보드를 비울 때 빠지는 스트로크는 room:<code>:timeline:strokes에 압축해 보관한다.
+const MAX_TIMELINE_EVENTS = 50000;
+const MAX_TIMELINE_ARCHIVES = 100; // 보드를 비울 때 보관하는 스트로크 묶음 수 (넘으면 오래된 묶음의 스트로크는 재생에서 빠짐)
+const TIMELINE_PAGE_SIZE = 500; // 다시 보기용 타임라인을 한 번에 보내는 이벤트 수
+const MAX_SYNC_EVENTS = 1000; // 재연결 시 놓친 변경만 보내는 최대 개수 (넘으면 보드 전체 전송)
+const SYNC_READ_MARGIN = 20; // 순번을 받은 순서와 기록 순서가 인스턴스 사이에서 어긋날 수 있어 더 읽는 개수
+const SYNC_READ_ATTEMPTS = 3;
+const SYNC_RETRY_DELAY = 50; // 다시 읽기 전 대기 (저장 중인 스트로크가 저장될 시간)
+
+// 실행 취소/다시 실행 결과 이벤트 -> 타임라인 이벤트 종류
+const TIMELINE_HISTORY_TYPES = {
+    itemsRemoved: 'remove',
+    itemsRestored: 'restore',
+    clearCanvas: 'clear'
+};
+
+// 보드 변경 순번 매기기 - 타임라인 기록보다 방송을 먼저 보낼 때 사용 (매기지 못하면 null)
+async function nextBoardSeq(roomCode) {
+    try {
+        if (!isStorageAvailable()) return null;
+        
+        return await storage.incr(`room:${roomCode}:seq`);
+    } catch (error) {
+        logToFile(`보드 변경 순번 오류: ${error.message}`);
+        return null;
+    }
+}
+
+// 저장하기 전에 방송하는 변경의 순번 (room:<code>:seq:pending 해시, 순번 -> 매긴 시각)
+// 저장 중에 멈춘 인스턴스의 표시가 보드 동기화를 계속 붙잡지 않도록 오래된 표시는 무시한다.
+const PENDING_SEQ_TIMEOUT = 10000;
+
+// 순번을 매기고 저장 중으로 표시 (매기지 못하면 null)
+async function reserveBoardSeq(roomCode) {
+    const seq = await nextBoardSeq(roomCode);
+    if (seq === null) return null;
+    
+    try {
+        const pendingKey = `room:${roomCode}:seq:pending`;
+        await storage.hSet(pendingKey, String(seq), String(Date.now()));
+        await expireRoomKey(roomCode, pendingKey);
+    } catch (error) {
+        logToFile(`보드 변경 순번 표시 오류: ${error.message}`);
+    }
+    
+    return seq;
+}
+
+// 저장 중 표시 해제
+async function releaseBoardSeq(roomCode, seq) {
+    if (seq === null || !isStorageAvailable()) return;
+    
+    try {
+        await storage.hDel(`room:${roomCode}:seq:pending`, String(seq));
+    } catch (error) {
+        logToFile(`보드 변경 순번 표시 해제 오류: ${error.message}`);
+    }
+}
+
+// 보드 데이터에 모두 반영된 마지막 순번 - 저장 중인 변경이 있으면 그 앞 순번까지
+async function getSettledBoardSeq(roomCode) {
+    const seq = await getBoardSeq(roomCode);
+    if (!isStorageAvailable()) return seq;
+    
+    const pendingKey = `room:${roomCode}:seq:pending`;
+    const pending = await storage.hGetAll(pendingKey);
+    let settled = seq;
+    
+    for (const [field, reservedAt] of Object.entries(pending || {})) {
+        if (Date.now() - Number(reservedAt) > PENDING_SEQ_TIMEOUT) {
+            await storage.hDel(pendingKey, field);
+            continue;
+        }
+        
+        settled = Math.min(settled, parseInt(field, 10) - 1);
+    }
+    
+    return settled;
+}
+
+// 타임라인 이벤트 추가 - 이벤트에 매긴 순번 반환 (기록하지 못하면 null)
+// 순번을 변경 방송에 함께 실어 보내야 하므로 방송보다 먼저 호출한다. (nextBoardSeq로 미리 매긴 순번이 있으면 seq로 전달)
+async function appendTimeline(roomCode, event, seq = null) {
+    try {
+        if (!isStorageAvailable()) return null;
+        
+        const timelineKey = `room:${roomCode}:timeline`;
+        const seqKey = `room:${roomCode}:seq`;
+        
+        if (seq === null) {
+            seq = await storage.incr(seqKey);
+        }
+        await expireRoomKey(roomCode, seqKey);
+        
+        await storage.rPush(timelineKey, JSON.stringify({ seq, t: Date.now(), ...toTimelineRecord(event) }));
+        await storage.lTrim(timelineKey, -MAX_TIMELINE_EVENTS, -1);
+        await expireRoomKey(roomCode, timelineKey);
+        
+        return seq;
+    } catch (error) {
+        console.error(`타임라인 기록 오류:`, error);
+        logToFile(`타임라인 기록 오류: ${error.message}`);
+        return null;
+    }
+}
+
+// 저장할 타임라인 이벤트 - 스트로크 본문을 ID로 바꿈
+function toTimelineRecord(event) {
+    const { stroke, strokes, ...record } = event;
+    
+    if (stroke) record.strokeId = stroke.id;
+    if (strokes) record.strokeIds = strokes.map(item => item.id);
+    
+    return record;
+}
+
+// 타임라인 이벤트의 스트로크 ID를 본문으로 채움 (스트로크 리스트, 없으면 보드를 비울 때 보관한 스트로크에서 찾음)
+// 찾지 못한 스트로크는 빼고, 찾지 못한 stroke 이벤트는 목록에서 뺀다. 본문을 담은 이전 형식의 이벤트는 그대로 둔다.
+async function resolveTimelineEvents(roomCode, events) {
+    const ids = new Set();
+    for (const event of events) {
+        if (event.strokeId) ids.add(event.strokeId);
+        for (const id of event.strokeIds || []) ids.add(id);
+    }
+    
+    if (ids.size === 0) return events;
+    
+    const found = new Map();
+    for (const stroke of await getStrokes(roomCode)) {
+        if (ids.has(stroke.id)) found.set(stroke.id, stroke);
+    }
+    
+    // 최근 보관분부터 필요한 스트로크를 모두 찾을 때까지만 풀어 봄
+    if (found.size < ids.size) {
+        const archives = await storage.lRange(`room:${roomCode}:timeline:strokes`, 0, -1);
+        
+        for (let i = archives.length - 1; i >= 0 && found.size < ids.size; i--) {
+            for (const stroke of await decompressStrokes(archives[i])) {
+                if (ids.has(stroke.id) && !found.has(stroke.id)) found.set(stroke.id, stroke);
+            }
+        }
+    }
+    
+    return events.map(event => {
+        if (event.strokeId) {
+            const { strokeId, ...rest } = event;
+            const stroke = found.get(strokeId);
+            return stroke ? { ...rest, stroke } : null;
+        }
+        
+        if (event.strokeIds) {
+            const { strokeIds, ...rest } = event;
+            return { ...rest, strokes: strokeIds.map(id => found.get(id)).filter(Boolean) };
+        }
+        
+        return event;
+    }).filter(event => event !== null);
+}
+
+// 보드에서 빠지는 스트로크를 타임라인용으로 보관 (압축 묶음 하나, 최근 MAX_TIMELINE_ARCHIVES개까지)
+// 보관하지 못해도 보드 비우기는 계속한다. (다시 보기에서 그 스트로크만 빠짐)
+async function archiveTimelineStrokes(roomCode) {
+    try {
+        const strokes = await getStrokes(roomCode);
+        if (strokes.length === 0) return;
+        
+        const archiveKey = `room:${roomCode}:timeline:strokes`;
+        const { data } = await compressStrokes(strokes);
+        
+        await storage.rPush(archiveKey, data);
+        await storage.lTrim(archiveKey, -MAX_TIMELINE_ARCHIVES, -1);
+        await expireRoomKey(roomCode, archiveKey);
+    } catch (error) {
+        logToFile(`타임라인 스트로크 보관 오류: ${error.message}`);
+    }
+}
+
+// 방의 마지막 보드 변경 순번 (변경이 없으면 0)
+async function getBoardSeq(roomCode) {
+    if (!isStorageAvailable()) return 0;
+    
+    return parseInt(await storage.get(`room:${roomCode}:seq`), 10) || 0;
+}
+
+// 순번 afterSeq 다음부터 upToSeq까지의 타임라인 이벤트 (순번 순서)
+// 그 사이 이벤트가 하나라도 없으면(오래되어 잘렸거나 기록 실패) null
+async function getTimelineSince(roomCode, afterSeq, upToSeq) {
+    const count = upToSeq - afterSeq;
+    if (count === 0) return [];
+    
+    const eventsData = await storage.lRange(`room:${roomCode}:timeline`, -(count + SYNC_READ_MARGIN), -1);
+    const events = eventsData.map(event => {
+        try {
+            return JSON.parse(event);
+        } catch (e) {
+            return null;
+        }
+    }).filter(event => event && event.seq > afterSeq && event.seq <= upToSeq);
+    
+    if (events.length !== count) return null;
+    
+    return events.sort((a, b) => a.seq - b.seq);
+}
+
+// 입장/재연결 시 보낼 보드 데이터 - 클라이언트가 마지막으로 반영한 순번(since) 이후의 변경만, 어려우면 보드 전체
+// since: { epoch, seq } - epoch는 방을 만든 시각 (같은 코드로 다시 만든 방을 구분)
+// 반환: { mode: 'delta', epoch, seq, events, activeStrokes } | { mode: 'snapshot', epoch, seq, strokes, images }
+// 기다려도 저장 중인 변경이 남아 있으면 pending: true - 클라이언트가 잠시 뒤 syncBoard로 다시 요청한다
+async function getBoardSync(roomCode, roomInfo, since) {
+    const epoch = roomInfo.createdAt;
+    const lastSeq = since && typeof since === 'object' && Number(since.epoch) === epoch ? since.seq : null;
+    let sync = null;
+    
+    // 읽는 동안 보드가 바뀌거나 저장 중인 변경이 있으면 다시 읽음 - 보낸 뒤에 생긴 변경은 실시간 방송으로 이어서 받고,
+    // 받지 못한 순번은 클라이언트가 syncBoard로 다시 요청한다
+    for (let attempt = 0; attempt < SYNC_READ_ATTEMPTS; attempt++) {
+        const seq = await getSettledBoardSeq(roomCode);
+        sync = await readBoardSync(roomCode, epoch, seq, lastSeq);
+        
+        if (await getBoardSeq(roomCode) === seq) break;
+        
+        if (attempt === SYNC_READ_ATTEMPTS - 1) {
+            if (await getSettledBoardSeq(roomCode) === seq) sync.pending = true;
+        } else {
+            await new Promise(resolve => setTimeout(resolve, SYNC_RETRY_DELAY));
+        }
+    }
+    
+    return sync;
+}
+
+async function readBoardSync(roomCode, epoch, seq, lastSeq) {
+    if (isStorageAvailable() && Number.isInteger(lastSeq) && lastSeq >= 0 && lastSeq <= seq && seq - lastSeq <= MAX_SYNC_EVENTS) {
+        const events = await getTimelineSince(roomCode, lastSeq, seq);
+        const resolved = events && await resolveTimelineEvents(roomCode, events);
+        
+        // 본문을 찾지 못한 스트로크가 있으면 순번이 비므로 보드 전체 전송
+        if (resolved && resolved.length === events.length) {
+            return { mode: 'delta', epoch, seq, events: resolved, activeStrokes: getActiveStrokes(roomCode) };
+        }
+    }
+    
+    const [strokes, images] = await Promise.all([getDrawingStrokes(roomCode), getVisibleImages(roomCode)]);
+    return { mode: 'snapshot', epoch, seq, strokes, images };
+}
+
+// 타임라인 한 쪽 조회 (기록된 순서대로 offset번째부터 TIMELINE_PAGE_SIZE개, 스트로크 본문을 채워서)
+// 반환: { events, nextOffset } - 남은 이벤트가 없으면 nextOffset은 null
+async function getTimelinePage(roomCode, offset) {
+    try {
+        if (isStorageAvailable()) {
+            const eventsData = await storage.lRange(`room:${roomCode}:timeline`, offset, offset + TIMELINE_PAGE_SIZE);
+            const hasMore = eventsData.length > TIMELINE_PAGE_SIZE;
+            
+            const events = eventsData.slice(0, TIMELINE_PAGE_SIZE).map(event => {
+                try {
+                    return JSON.parse(event);
+                } catch (e) {
+                    console.error('타임라인 데이터 파싱 오류:', e);
+                    return null;
+                }
+            }).filter(event => event !== null);
+            
+            return {
+                events: await resolveTimelineEvents(roomCode, events),
+                nextOffset: hasMore ? offset + TIMELINE_PAGE_SIZE : null
+            };
+        }
+    } catch (error) {
+        console.error(`타임라인 조회 오류:`, error);
+        logToFile(`타임라인 조회 오류: ${error.message}`);
+    }
+    
+    return { events: [], nextOffset: null };
+}
+
+// API 라우트 정의 - 최상위에 배치
+// 헬스 체크 API
+app.get('/api/health', (req, res) => {
+    console.log('헬스 체크 요청 받음:', req.ip);
+    
+    try {
+        // 응답 헤더 설정
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        
+        // 응답 전송
+        res.status(200).json({
+            status: 'ok',
+            message: '서버가 정상적으로 실행 중입니다.',
+            timestamp: new Date().toISOString(),
+            domain: DOMAIN
+        });
+        
+        console.log('헬스 체크 응답 전송 완료');
+    } catch (error) {
+        console.error('헬스 체크 처리 중 오류:', error);
+        res.status(500).json({
+            status: 'error',
+            message: '서버 상태 확인 중 오류가 발생했습니다.'
+        });
+    }
+});
+
+// 보드 압축 지표 API - 압축률과 보드 불러오기 시간 (이 인스턴스 기준)
+app.get('/api/metrics', (req, res) => {
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.status(200).json({
+        instanceId: INSTANCE_ID,
+        timestamp: new Date().toISOString(),
+        ...compactionMetrics.summary(),
+        wire: summarizeWireTraffic()
+    });
+});
+
+// 새 방 생성 API (이전 클라이언트 호환, 새 클라이언트는 POST /api/rooms 사용) - 방장 ID를 저장하고 서명된 방장 토큰 발급
+// ?retention=ephemeral|day|week|persistent 로 보관 정책 선택 (기본 ephemeral)
+app.get('/api/create-room', (req, res) => {
+    try {
+        console.log('방 생성 요청 받음:', req.ip);
+        
+        const retention = req.query.retention || DEFAULT_RETENTION;
+        if (!isValidRetention(retention)) {
+            return res.status(400).json({ error: '보관 정책이 올바르지 않습니다.' });
+        }
+        
+        // 고유한 방 코드 생성
+        createUniqueRoomCode().then(async roomCode => {
+            // 추측할 수 없는 방장 ID 생성
+            const hostId = hostTokens.createHostId();
+            
+            // 방 생성 (방장 ID를 creatorId로 저장)
+            await createRoom(roomCode, { creatorId: hostId, retention });
+            const hostToken = await hostTokens.issue(roomCode, hostId);
+            
+            console.log(`새 방 생성됨: ${roomCode}`);
+            logToFile(`API 호출로 새 방 생성: ${roomCode} (요청 IP: ${req.ip})`);
+            
+            // 응답 헤더 설정
+            res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+            res.setHeader('Pragma', 'no-cache');
+            res.setHeader('Expires', '0');
+            
+            // 응답에 방장 토큰 포함 (클라이언트는 소켓 연결 시 이 토큰을 전달)
+            res.status(200).json({ 
+                roomCode,
+                hostToken,
+                retention: describeRetention(rooms[roomCode])
+            });
+        }).catch(error => {
+            console.error('방 코드 생성 오류:', error);
+            logToFile(`방 코드 생성 오류: ${error.message}`);
+            res.status(500).json({ error: '방 생성 중 오류가 발생했습니다.' });
+        });
+    } catch (error) {
+        console.error('방 생성 오류:', error);
+        logToFile(`방 생성 오류: ${error.message}`);
+        res.status(500).json({ error: '방 생성 중 오류가 발생했습니다.' });
+    }
+});
+
+// 방 생성 API - 제목, 설명, 별칭 코드, 보관 정책, 템플릿, 처음 방 설정을 받아 방을 만들고 방장 토큰 발급
+// 본문 형식은 roomMetadata.js 참고, 응답: 201 { room, hostToken }
+app.post('/api/rooms', async (req, res) => {
+    try {
+        let options;
+        try {
+            options = validateRoomCreation(req.body);
+        } catch (error) {
+            if (error.code !== 'INVALID_ROOM') throw error;
+            
+            return res.status(400).json({ error: error.message });
+        }
+        
+        let roomCode = options.alias;
+        if (roomCode) {
+            if (!(await reserveRoomCode(roomCode))) {
+                return res.status(409).json({ error: '이미 사용 중인 방 코드입니다.' });
+            }
+        } else {
+            roomCode = await createUniqueRoomCode();
+        }
+        
+        const hostId = hostTokens.createHostId();
+        const roomInfo = await createRoom(roomCode, {
+            creatorId: hostId,
+            retention: options.retention,
+            title: options.title,
+            description: options.description,
+            settings: options.settings
+        });
+        const hostToken = await hostTokens.issue(roomCode, hostId);
+        
+        logToFile(`API 호출로 새 방 생성: ${roomCode} (템플릿: ${options.template}, 보관: ${options.retention}, 요청 IP: ${req.ip})`);
+        
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(201).json({
+            room: await getRoomMetadata(roomCode, roomInfo),
+            hostToken
+        });
+    } catch (error) {
+        console.error('방 생성 오류:', error);
+        logToFile(`방 생성 오류: ${error.message}`);
+        res.status(500).json({ error: '방 생성 중 오류가 발생했습니다.' });
+    }
+});
+
+// 방 정보 조회 API - 누구나 볼 수 있는 방 정보 (보드 내용과 설정은 제외)
+app.get('/api/rooms/:roomCode', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        
+        const roomInfo = isValidRoomCode(roomCode) ? await getRoomInfo(roomCode) : null;
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).json({ room: await getRoomMetadata(roomCode, roomInfo) });
+    } catch (error) {
+        console.error('방 정보 조회 오류:', error);
+        logToFile(`방 정보 조회 오류: ${error.message}`);
+        res.status(500).json({ error: '방 정보 조회 중 오류가 발생했습니다.' });
+    }
+});
+
+// 방 존재 여부 확인 API - 단순화
+app.get('/api/check-room/:roomCode', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        console.log(`방 확인 요청 받음: ${roomCode}, IP: ${req.ip}`);
+        
+        // 방은 자동으로 만들어지지 않으므로 메모리에 없으면 저장소까지 확인 (서버 재시작 후 보관 중인 방)
+        const roomInfo = isValidRoomCode(roomCode) ? await getRoomInfo(roomCode) : null;
+        const exists = !!roomInfo;
+        
+        console.log(`방 ${roomCode} 존재 여부: ${exists}`);
+        logToFile(`방 확인 요청: ${roomCode}, 존재: ${exists}`);
+        
+        // 응답 헤더 설정
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Pragma', 'no-cache');
+        res.setHeader('Expires', '0');
+        
+        // 즉시 응답 전송 (비밀번호/초대 링크 필요 여부 포함)
+        res.status(200).json({
+            exists,
+            title: roomInfo ? roomInfo.title : undefined,
+            passwordRequired: !!(roomInfo && roomInfo.passwordHash),
+            inviteOnly: !!(roomInfo && roomInfo.inviteOnly)
+        });
+    } catch (error) {
+        console.error('방 확인 오류:', error);
+        logToFile(`방 확인 오류: ${error.message}`);
+        res.status(500).json({ error: '방 확인 중 오류가 발생했습니다.' });
+    }
+});
+
+// 보드 내보내기 API - 저장된 스트로크와 이미지를 SVG/PDF 파일로 변환
+app.get('/api/rooms/:roomCode/export.:format(svg|pdf)', async (req, res) => {
+    try {
+        const { roomCode, format } = req.params;
+        console.log(`보드 내보내기 요청: ${roomCode} (${format}), IP: ${req.ip}`);
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await hasRoomAccess(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '이 방에 접근할 권한이 없습니다.' });
+        }
+        
+        const snapshot = await getBoardSnapshot(roomCode);
+        const board = { ...snapshot, images: await withImageData(snapshot.images) };
+        const title = `화이트보드 ${roomCode}`;
+        const fileName = `whiteboard-${roomCode}.${format}`;
+        
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        
+        if (format === 'svg') {
+            res.type('image/svg+xml').send(renderBoardSvg(board, { title }));
+        } else {
+            res.type('application/pdf').send(await renderBoardPdf(board, { title }));
+        }
+        
+        logToFile(`보드 내보내기 완료: ${roomCode} (${format}, 스트로크 ${board.strokes.length}개, 이미지 ${board.images.length}개)`);
+    } catch (error) {
+        console.error('보드 내보내기 오류:', error);
+        logToFile(`보드 내보내기 오류: ${error.message}`);
+        res.status(500).json({ error: '보드 내보내기 중 오류가 발생했습니다.' });
+    }
+});
+
+// 이미지 업로드 API - 요청 본문(이미지 파일)을 블롭 저장소에 저장하고 해시 반환
+// 업로드 후 소켓 pasteImage 이벤트로 { id, hash, x, y, width, height } 를 전송하여 보드에 추가한다.
+// X-Participant-Token 헤더에 소켓 연결 때 받은 참가자 토큰이 필요하다. (방에 입장한 참가자만, 이미지 붙여넣기 권한 확인)
+app.post('/api/rooms/:roomCode/images', express.raw({ type: 'image/*', limit: MAX_IMAGE_SIZE }), async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await hasRoomAccess(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '이 방에 접근할 권한이 없습니다.' });
+        }
+        
+        // 소켓 업로드와 같이 방에 입장한 참가자만, 같은 권한과 참가자별 용량으로 허용
+        const participantId = await participantTokens.verify(req.get('x-participant-token'));
+        const participant = participantId && await presence.getParticipant(roomCode, participantId);
+        if (!participant || await isParticipantBanned(roomCode, participantId)) {
+            return res.status(403).json({ error: '방에 입장한 참가자만 이미지를 올릴 수 있습니다.' });
+        }
+        
+        const denial = getEditDenial(roomInfo, participant.role, 'image');
+        if (denial) {
+            return res.status(403).json({ error: denial.message, code: denial.code });
+        }
+        
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: '이미지 파일이 없습니다.' });
+        }
+        
+        const blob = await storeImageBlob(roomCode, req.body, { userId: participantId });
+        
+        console.log(`이미지 업로드: 방 ${roomCode}, ${blob.hash} (${Math.round(blob.size / 1024)}KB${blob.deduplicated ? ', 기존 블롭 재사용' : ''})`);
+        logToFile(`방 ${roomCode}에 이미지 업로드: ${blob.hash} (${blob.size} bytes, ${blob.mimeType}${blob.deduplicated ? ', 중복' : ''})`);
+        
+        res.status(200).json({ hash: blob.hash, mimeType: blob.mimeType, size: blob.size, width: blob.width, height: blob.height });
+    } catch (error) {
+        if (isImageError(error)) {
+            logToFile(`이미지 업로드 거부: ${req.params.roomCode} - ${error.code}`);
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        
+        console.error('이미지 업로드 오류:', error);
+        logToFile(`이미지 업로드 오류: ${error.message}`);
+        res.status(500).json({ error: '이미지 업로드 중 오류가 발생했습니다.' });
+    }
+});
+
+// 이미지 조회 API - 내용이 바뀌지 않으므로 오래 캐시
+app.get('/api/rooms/:roomCode/images/:hash', async (req, res) => {
+    try {
+        const { roomCode, hash } = req.params;
+        
+        if (!(await hasRoomImageBlob(roomCode, hash))) {
+            return res.status(404).json({ error: '이미지를 찾을 수 없습니다.' });
+        }
+        
+        if (!(await hasRoomAccess(req, roomCode, await getRoomInfo(roomCode)))) {
+            return res.status(403).json({ error: '이 방에 접근할 권한이 없습니다.' });
+        }
+        
+        const etag = `"${hash}"`;
+        res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+        res.setHeader('ETag', etag);
+        
+        if (req.get('if-none-match') === etag) {
+            return res.status(304).end();
+        }
+        
+        const blob = await blobStore.get(hash);
+        if (!blob) {
+            return res.status(404).json({ error: '이미지를 찾을 수 없습니다.' });
+        }
+        
+        // 업로드된 파일이 문서로 해석되지 않도록 제한
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('Content-Security-Policy', "default-src 'none'");
+        res.type(blob.mimeType).send(blob.data);
+    } catch (error) {
+        console.error('이미지 조회 오류:', error);
+        logToFile(`이미지 조회 오류: ${error.message}`);
+        res.status(500).json({ error: '이미지 조회 중 오류가 발생했습니다.' });
+    }
+});
+
+// HTTP 요청의 방장 확인 - X-Host-Token 헤더의 방장 토큰 검증
+async function isHostRequest(req, roomCode, roomInfo) {
+    return !!roomInfo && hostTokens.verify(req.get('x-host-token'), roomCode, roomInfo.creatorId);
+}
+
+// 방 설정 조회 API
+app.get('/api/rooms/:roomCode/settings', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await hasRoomAccess(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '이 방에 접근할 권한이 없습니다.' });
+        }
+        
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.status(200).json({ settings: getRoomSettings(roomInfo) });
+    } catch (error) {
+        console.error('방 설정 조회 오류:', error);
+        logToFile(`방 설정 조회 오류: ${error.message}`);
+        res.status(500).json({ error: '방 설정 조회 중 오류가 발생했습니다.' });
+    }
+});
+
+// 방 설정 변경 API (방장 전용) - 본문에 바꿀 항목만 전달
+app.put('/api/rooms/:roomCode/settings', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await isHostRequest(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '방장만 방 설정을 바꿀 수 있습니다.' });
+        }
+        
+        let update;
+        try {
+            update = validateSettingsUpdate(req.body);
+        } catch (error) {
+            if (error.code !== 'INVALID_ROOM_SETTINGS') throw error;
+            
+            return res.status(400).json({ error: error.message });
+        }
+        
+        const settings = await applyRoomSettings(roomCode, roomInfo, update, 'host');
+        res.status(200).json({ settings });
+    } catch (error) {
+        console.error('방 설정 변경 오류:', error);
+        logToFile(`방 설정 변경 오류: ${error.message}`);
+        res.status(500).json({ error: '방 설정 변경 중 오류가 발생했습니다.' });
+    }
+});
+
+// 방 보관 기간 연장 API (방장 전용) - 본문 { policy } 생략 시 현재 정책으로 지금부터 다시 계산
+app.post('/api/rooms/:roomCode/extend', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await isHostRequest(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '방장만 보관 기간을 바꿀 수 있습니다.' });
+        }
+        
+        const policy = (req.body && req.body.policy) || getRetention(roomInfo);
+        if (!isValidRetention(policy)) {
+            return res.status(400).json({ error: '보관 정책이 올바르지 않습니다.' });
+        }
+        
+        const retention = await setRoomRetention(roomCode, roomInfo, policy, 'host');
+        res.status(200).json({ retention });
+    } catch (error) {
+        console.error('방 보관 기간 연장 오류:', error);
+        logToFile(`방 보관 기간 연장 오류: ${error.message}`);
+        res.status(500).json({ error: '방 보관 기간 연장 중 오류가 발생했습니다.' });
+    }
+});
+
+// 방 삭제 API (방장 전용) - 참가자 연결을 끊고 방 데이터를 모두 삭제
+app.delete('/api/rooms/:roomCode', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await isHostRequest(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '방장만 방을 삭제할 수 있습니다.' });
+        }
+        
+        await deleteRoom(roomCode, 'deleted');
+        res.status(204).end();
+    } catch (error) {
+        console.error('방 삭제 오류:', error);
+        logToFile(`방 삭제 오류: ${error.message}`);
+        res.status(500).json({ error: '방 삭제 중 오류가 발생했습니다.' });
+    }
+});
+
+// 보드 파일 저장 API - 현재 보드를 .wboard.json 파일로 내려받기
+app.get('/api/rooms/:roomCode/board', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        console.log(`보드 파일 저장 요청: ${roomCode}, IP: ${req.ip}`);
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await hasRoomAccess(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '이 방에 접근할 권한이 없습니다.' });
+        }
+        
+        const snapshot = await getBoardSnapshot(roomCode);
+        const board = { ...snapshot, images: await withImageData(snapshot.images) };
+        const file = createBoardFile(board, {
+            roomCode,
+            title: roomInfo.title || '',
+            description: roomInfo.description || '',
+            settings: getRoomSettings(roomInfo)
+        });
+        
+        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+        res.setHeader('Content-Disposition', `attachment; filename="whiteboard-${roomCode}${BOARD_FILE_EXTENSION}"`);
+        res.status(200).json(file);
+        
+        logToFile(`보드 파일 저장 완료: ${roomCode} (스트로크 ${board.strokes.length}개, 이미지 ${board.images.length}개)`);
+    } catch (error) {
+        console.error('보드 파일 저장 오류:', error);
+        logToFile(`보드 파일 저장 오류: ${error.message}`);
+        res.status(500).json({ error: '보드 파일 저장 중 오류가 발생했습니다.' });
+    }
+});
+
+// 보드 파일 불러오기 API - 방장만 불러올 수 있음 (방은 POST /api/rooms로 먼저 만들어야 함)
+// ?mode=append 이면 현재 보드 위에 추가, 기본값은 현재 보드를 교체 (교체 전 체크포인트 저장)
+// 교체할 때는 파일의 방 설정과 제목/설명(비어 있지 않으면)도 적용한다.
+app.post('/api/rooms/:roomCode/board', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        const mode = req.query.mode === 'append' ? 'append' : 'replace';
+        console.log(`보드 파일 불러오기 요청: ${roomCode} (${mode}), IP: ${req.ip}`);
+        
+        if (!isValidRoomCode(roomCode)) {
+            return res.status(400).json({ error: '방 코드는 6자리 숫자 또는 별칭 코드여야 합니다.' });
+        }
+        
+        let parsed;
+        try {
+            parsed = parseBoardFile(req.body);
+        } catch (error) {
+            if (error.code !== 'INVALID_BOARD_FILE') throw error;
+            
+            logToFile(`보드 파일 검증 실패: ${roomCode} - ${error.message}`);
+            return res.status(400).json({ error: error.message });
+        }
+        
+        if (!isStorageAvailable()) {
+            return res.status(503).json({ error: '저장소를 사용할 수 없습니다. 잠시 후 다시 시도해 주세요.' });
+        }
+        
+        const roomInfo = await getRoomInfo(roomCode);
+        if (!roomInfo) {
+            return res.status(404).json({ error: '존재하지 않는 방입니다.' });
+        }
+        
+        if (!(await isHostRequest(req, roomCode, roomInfo))) {
+            return res.status(403).json({ error: '방장만 보드 파일을 불러올 수 있습니다.' });
+        }
+        
+        if (mode === 'replace') {
+            // 불러오기도 되돌릴 수 있도록 현재 보드를 먼저 저장
+            await createCheckpoint(roomCode, { kind: 'import', createdBy: 'host' });
+        }
+        
+        const imported = await importBoard(roomCode, parsed, mode);
+        const snapshot = await getBoardSnapshot(roomCode);
+        
+        let roomDetails = {};
+        if (mode === 'replace') {
+            roomDetails = await applyImportedRoomDetails(roomCode, roomInfo, parsed);
+        }
+        
+        const seq = await appendTimeline(roomCode, { type: 'board', ...snapshot });
+        io.to(roomCode).emit('boardImported', { ...snapshot, ...roomDetails, mode, seq });
+        
+        logToFile(`보드 파일 불러오기 완료: ${roomCode} (${mode}, 스트로크 ${imported.strokes.length}개, 이미지 ${imported.images.length}개)`);
+        
+        res.status(200).json({
+            roomCode,
+            mode,
+            strokeCount: imported.strokes.length,
+            imageCount: imported.images.length
+        });
+    } catch (error) {
+        if (isImageError(error)) {
+            logToFile(`보드 파일 이미지 거부: ${req.params.roomCode} - ${error.code}`);
+            return res.status(400).json({ error: error.message, code: error.code });
+        }
+        
+        console.error('보드 파일 불러오기 오류:', error);
+        logToFile(`보드 파일 불러오기 오류: ${error.message}`);
+        res.status(500).json({ error: '보드 파일 불러오기 중 오류가 발생했습니다.' });
+    }
+});
+
+// Socket.IO 설정
+const io = socketIo(server, {
+    cors: {
+        origin: process.env.NODE_ENV === 'production' 
+            ? ['https://rboard.schoolworks.dev'] 
+            : "*",
+        methods: ["GET", "POST"],
+        credentials: true
+    },
+    maxHttpBufferSize: 1e6, // 이미지는 HTTP로 업로드하므로 기본 크기(1MB) 사용
+    pingTimeout: 60000, // 핑 타임아웃 60초로 증가
+    pingInterval: 25000 // 핑 간격 25초로 설정
+});
+
+// 다른 인스턴스에 이벤트 전달 - Redis 어댑터를 쓸 때만 (기본 어댑터는 인스턴스가 하나뿐이고 serverSideEmit을 지원하지 않음)
+let clustered = false;
+
+function notifyInstances(event, ...args) {
+    if (clustered) {
+        io.serverSideEmit(event, ...args);
+    }
+}
+
+// 다른 인스턴스에서 받은 이벤트 - 이 인스턴스의 메모리 상태(방 정보 캐시, 소켓별 상태)를 맞춘다.
+io.on('roomChanged', (roomCode) => {
+    reloadRoomInfo(roomCode).catch(error => {
+        logToFile(`방 정보 다시 읽기 오류: ${error.message}`);
+    });
+});
+
+io.on('roomDeleted', (roomCode, reason) => {
+    forgetRoom(roomCode, reason);
+});
+
+io.on('participantRoleChanged', (roomCode, participantId, role) => {
+    applyRoleChange(roomCode, participantId, role);
+});
+
+io.on('waitingResolved', (roomCode, participantId, admitted) => {
+    settleWaitingSockets(roomCode, participantId, admitted);
+});
+
+io.on('activeStrokesDiscarded', (roomCode) => {
+    activeStrokes.delete(roomCode);
+});
+
+// 이 인스턴스에 연결된 참가자 소켓의 역할 갱신 (그리기 권한 확인에 쓰는 socket.data.role)
+function applyRoleChange(roomCode, participantId, role) {
+    for (const socketId of io.sockets.adapter.rooms.get(roomCode) || []) {
+        const target = io.sockets.sockets.get(socketId);
+        if (target && target.data.participantId === participantId) {
+            target.data.role = role;
+        }
+    }
+}
+
+// 그리기 데이터 이진 형식 (wireCodec.js) - 이진 형식을 쓰는 소켓은 방 코드 방과 함께 '<방 코드>:binary' 방에도 참가
+function getBinaryRoom(roomCode) {
+    return `${roomCode}:binary`;
+}
+
+// 이진 형식 전송량 (이 인스턴스 기준) - 같은 내용을 JSON으로 주고받았을 때의 크기(jsonBytes)와 비교
+const wireTraffic = {
+    received: { messages: 0, bytes: 0, jsonBytes: 0 },
+    sent: { messages: 0, bytes: 0, jsonBytes: 0 }
+};
+
+function recordWireTraffic(direction, message, data, count = 1) {
+    const traffic = wireTraffic[direction];
+    traffic.messages += count;
+    traffic.bytes += message.byteLength * count;
+    traffic.jsonBytes += estimateJsonBytes(data) * count;
+}
+
+// JSON으로 보냈을 때의 대략적인 크기 - 그리기 방송마다 부르므로 JSON.stringify 대신 항목 길이로 계산
+// (스트로크 하나 또는 스트로크 배열, 좌표는 정수)
+function estimateJsonBytes(data) {
+    if (Array.isArray(data)) {
+        return data.reduce((bytes, stroke) => bytes + estimateJsonBytes(stroke) + 1, 2);
+    }
+    
+    let bytes = 2;
+    for (const key in data) {
+        if (key === 'points') {
+            // "points":[[x,y],...]
+            bytes += 11;
+            for (const point of data.points) {
+                bytes += String(point[0]).length + String(point[1]).length + 4;
+            }
+        } else {
+            // "key":"value",
+            bytes += key.length + String(data[key]).length + 6;
+        }
+    }
+    
+    return bytes;
+}
+
+function summarizeWireTraffic() {
+    const { received, sent } = wireTraffic;
+    const bytes = received.bytes + sent.bytes;
+    const jsonBytes = received.jsonBytes + sent.jsonBytes;
+    
+    return {
+        format: WIRE_FORMAT,
+        received: { ...received },
+        sent: { ...sent },
+        savedBytes: jsonBytes - bytes,
+        ratio: bytes > 0 ? Math.round(jsonBytes / bytes * 100) / 100 : null
+    };
+}
+
+// 참가자 확인 - handshake의 참가자 토큰이 올바르면 같은 참가자 ID를 사용하고, 없으면 새로 발급
+io.use(async (socket, next) => {
+    try {
+        const token = socket.handshake.auth && socket.handshake.auth.participantToken;
+        const participantId = await participantTokens.verify(token);
+        
+        if (participantId) {
+            socket.data.participantId = participantId;
+        } else {
+            const issued = await participantTokens.issue();
+            socket.data.participantId = issued.participantId;
+            socket.data.participantToken = issued.token;
+        }
+        
+        next();
+    } catch (error) {
+        console.error('참가자 확인 오류:', error);
+        logToFile(`참가자 확인 오류: ${error.message}`);
+        next(new Error('참가자 정보를 확인할 수 없습니다.'));
+    }
+});
+
+// 메인 페이지 라우트
+app.get('/', (req, res) => {
+    const indexPath = path.join(frontendPath, 'index.html');
+    console.log('메인 페이지 제공:', indexPath);
+    res.sendFile(indexPath);
+});
+
+// 방 페이지 라우트 - 오류 처리 강화
+app.get('/room/:roomCode', async (req, res) => {
+    try {
+        const { roomCode } = req.params;
+        console.log(`방 페이지 요청: ${roomCode}`);
+        
+        // 방 정보 확인 - 없는 방은 만들지 않음 (페이지는 제공하고, 입장할 때 ROOM_NOT_FOUND로 거부)
+        const exists = isValidRoomCode(roomCode) && !!(await getRoomInfo(roomCode));
+        if (!exists) {
+            console.log(`존재하지 않는 방에 접근 시도: ${roomCode}`);
+            logToFile(`존재하지 않는 방에 접근 시도: ${roomCode}`);
+        }
+        
+        // 방 페이지 제공
+        const roomPath = path.join(frontendPath, 'room.html');
+        console.log('방 페이지 제공:', roomPath);
+        
+        // 파일 존재 여부 확인
+        if (!fs.existsSync(roomPath)) {
+            console.error(`방 페이지 파일을 찾을 수 없음: ${roomPath}`);
+            return res.status(404).send('방 페이지 파일을 찾을 수 없습니다.');
+        }
+        
+        res.status(exists ? 200 : 404).sendFile(roomPath);
+    } catch (error) {
+        console.error(`방 페이지 제공 오류:`, error);
+        logToFile(`방 페이지 제공 오류: ${error.message}`);
+        res.status(500).send('방 접속 중 오류가 발생했습니다.');
+    }
+});
+
+// Socket.IO 연결 처리
+io.on('connection', (socket) => {
+    let currentRoom = null;
+    let isHost = false; // 현재 방의 방장 여부 (입장 시 방장 토큰으로 확인)
+    let waitingRoom = null; // 대기실에서 방장 승인을 기다리는 방 코드
+    const participantId = socket.data.participantId; // 재연결해도 유지되는 참가자 ID
+    const ownStrokeIds = new Set(); // 이 소켓이 그리는 중인 스트로크 ID
+    const pendingStrokeBegins = new Map(); // ID를 확인하는 중인 스트로크 시작 (ID -> 처리 Promise)
+    const binaryWire = !!socket.handshake.auth && socket.handshake.auth.wire === WIRE_FORMAT; // 그리기 데이터 이진 형식 사용 여부
+    
+    connectedClients++;
+    logToFile(`사용자 연결됨: ${socket.id} (현재 연결: ${connectedClients}명)`);
+    
+    // 방 입장 처리 - 오류 처리 강화
+    // 요청: 방 코드 문자열 또는 { roomCode, nickname, password, invite, board }
+    // board: { epoch, seq } - 재연결할 때 클라이언트가 이미 가진 보드 (마지막으로 반영한 변경 순번)
+    socket.on('joinRoom', async (request) => {
+        try {
+            const roomCode = request && typeof request === 'object' ? request.roomCode : request;
+            const nickname = sanitizeNickname(request && request.nickname);
+            
+            if (typeof roomCode !== 'string' || !roomCode) {
+                socket.emit('error', { message: '방 코드가 올바르지 않습니다.' });
+                return;
+            }
+            
+            // 대기실에서 기다리던 중이면 대기 취소 (같은 방이면 아래에서 다시 대기)
+            await leaveWaitingRoom();
+            
+            // 이미 방에 있는 경우 처리
+            if (currentRoom) {
+                if (currentRoom === roomCode) {
+                    // 이미 같은 방에 있는 경우, 방 정보만 다시 전송
+                    console.log(`사용자 ${socket.id}가 이미 방 ${roomCode}에 있습니다. 방 정보 재전송`);
+                    
+                    // 방 정보 업데이트 (모든 인스턴스의 실제 참가자 수 확인)
+                    const actualUsers = await updateRoomUsers(roomCode);
+                    
+                    // 방 정보 확인
+                    const roomInfo = rooms[roomCode] || {
+                        createdAt: Date.now(),
+                        lastActive: Date.now(),
+                        users: actualUsers,
+                        drawingEnabled: true
+                    };
+                    
+                    // 클라이언트에 방 정보 재전송
+                    socket.emit('roomJoined', { 
+                        roomCode,
+                        id: participantId, 
+                        timestamp: Date.now(),
+                        users: actualUsers,
+                        domain: DOMAIN,
+                        isCreator: isHost,
+                        role: currentRole(),
+                        drawingEnabled: roomInfo.drawingEnabled,
+                        locked: !!roomInfo.locked,
+                        access: { password: !!roomInfo.passwordHash, inviteOnly: !!roomInfo.inviteOnly },
+                        accessToken: await roomAccess.issueAccess(roomCode, participantId),
+                        waitingRoom: !!roomInfo.waitingRoom,
+                        waiting: isHost ? await getWaitingList(roomCode) : undefined,
+                        title: roomInfo.title || '',
+                        description: roomInfo.description || '',
+                        settings: getRoomSettings(roomInfo),
+                        retention: describeRetention(roomInfo),
+                        roster: await getRoster(roomCode)
+                    });
+                    
+                    return;
+                } else {
+                    // 다른 방에 있는 경우, 그리던 스트로크를 완성하고 기존 방에서 나가기
+                    await finishOwnStrokes(currentRoom);
+                    socket.leave(currentRoom);
+                    socket.leave(getBinaryRoom(currentRoom));
+                    await leaveParticipant(currentRoom);
+                    logToFile(`사용자 ${socket.id}가 방 ${currentRoom}에서 나가고 방 ${roomCode}로 이동`);
+                    
+                    currentRoom = null;
+                    isHost = false;
+                    socket.data.role = null;
+                }
+            }
+            
+            // 방 정보 확인 (메모리에 없으면 저장소에서 조회)
+            const roomInfo = await getRoomInfo(roomCode);
+            let hostToken = null;
+            
+            // 방은 방 생성 API로만 만들어짐 - 없는 방이면 입장 거부
+            if (!roomInfo) {
+                logToFile(`존재하지 않는 방 입장 시도: ${roomCode} (${socket.id})`);
+                socket.emit('joinRejected', { roomCode, code: 'ROOM_NOT_FOUND', message: JOIN_REJECTIONS.ROOM_NOT_FOUND });
+                return;
+            }
+            
+            if (!roomInfo.creatorId) {
+                // 방장이 없는 방이면 첫 입장자를 방장으로 지정
+                const hostId = hostTokens.createHostId();
+                roomInfo.creatorId = hostId;
+                if (isStorageAvailable()) {
+                    await saveRoomFields(roomCode, { creatorId: hostId });
+                }
+                hostToken = await hostTokens.issue(roomCode, hostId);
+                logToFile(`방 ${roomCode}의 방장 지정: ${socket.id}`);
+            }
+            
+            // 방장 확인 - 새로 발급한 토큰이 있거나 연결 시 전달한 토큰이 이 방의 방장 토큰인 경우
+            const handshakeToken = socket.handshake.auth && socket.handshake.auth.hostToken;
+            const verifiedHost = !!hostToken || await hostTokens.verify(handshakeToken, roomCode, roomInfo.creatorId);
+            
+            // 차단된 참가자나 잠긴 방, 가득 찬 방의 새 참가자는 입장 거부 (방장과 이미 참가 중인 참가자의 재연결은 허용)
+            if (!verifiedHost) {
+                let rejection = null;
+                
+                // 다른 인스턴스로 접속 중이거나 재연결 유예 중인 참가자도 포함
+                const isParticipant = !!(await presence.getParticipant(roomCode, participantId));
+                
+                if (await isParticipantBanned(roomCode, participantId)) {
+                    rejection = 'BANNED';
+                } else if (roomInfo.locked && !isParticipant) {
+                    rejection = 'ROOM_LOCKED';
+                } else if (!isParticipant && await isRoomFull(roomCode, roomInfo)) {
+                    rejection = 'ROOM_FULL';
+                }
+                
+                if (rejection) {
+                    logToFile(`방 ${roomCode} 입장 거부 (${rejection}): ${socket.id}(참가자 ${participantId})`);
+                    socket.emit('joinRejected', { roomCode, code: rejection, message: JOIN_REJECTIONS[rejection] });
+                    return;
+                }
+                
+                // 비공개 방은 비밀번호나 초대 링크 확인 (이미 입장했던 참가자는 다시 묻지 않음)
+                // 확인 전에는 보드 내용(boardSync)을 보내지 않는다.
+                if (isPrivateRoom(roomInfo) && !isParticipant && !(await isRoomMember(roomCode, participantId))) {
+                    const denial = await checkRoomAccess(roomCode, roomInfo, request, {
+                        participantId,
+                        ip: getSocketIp(socket)
+                    });
+                    
+                    if (denial) {
+                        logToFile(`방 ${roomCode} 입장 거부 (${denial.code}): ${socket.id}(참가자 ${participantId})`);
+                        socket.emit('joinRejected', { roomCode, ...denial, message: JOIN_REJECTIONS[denial.code] });
+                        return;
+                    }
+                    
+                    await addRoomMembers(roomCode, [participantId]);
+                }
+                
+                // 대기실이 켜진 방은 방장이 승인할 때까지 대기 (이미 참가 중인 참가자의 재연결은 바로 입장)
+                if (roomInfo.waitingRoom && !isParticipant) {
+                    await waitInLobby(roomCode, nickname);
+                    return;
+                }
+            }
+            
+            await enterRoom(roomCode, roomInfo, { nickname, hostToken, verifiedHost, since: request && request.board });
+        } catch (error) {
+            console.error(`방 입장 오류:`, error);
+            logToFile(`방 입장 오류: ${error.message}`);
+            socket.emit('error', { message: '방 입장 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 방 입장 확인 후 실제 입장 - 방에 참가하고 방 정보와 보드 데이터 전송
+    async function enterRoom(roomCode, roomInfo, { nickname, hostToken = null, verifiedHost = false, since = null }) {
+        isHost = verifiedHost;
+        
+        // 새 방에 입장
+        socket.join(roomCode);
+        if (binaryWire) socket.join(getBinaryRoom(roomCode));
+        currentRoom = roomCode;
+        
+        // 역할 확인 - 방장이 아니면 방장이 지정해 둔 역할(없으면 기본 역할)
+        const role = isHost ? 'host' : await getStoredRole(roomCode, participantId);
+        const existing = await presence.getParticipant(roomCode, participantId);
+        const wasConnected = !!existing && existing.sockets.length > 0;
+        const previousRole = existing && existing.role;
+        socket.data.role = role;
+        
+        // 참가자 등록 - 이미 접속 중이거나 재연결 유예 중인 참가자이면 새 입장으로 알리지 않음
+        const isNewParticipant = await addParticipantSocket(roomCode, participantId, socket.id, { nickname, role });
+        
+        // 방 정보 업데이트 (모든 인스턴스의 실제 참가자 수 확인)
+        const actualUsers = await updateRoomUsers(roomCode);
+        
+        logToFile(`사용자 ${socket.id}(참가자 ${participantId})가 방 ${roomCode}에 ${isNewParticipant ? '입장' : '다시 연결'} (현재 인원: ${actualUsers}명)`);
+        
+        // 클라이언트에 연결 확인 메시지 전송 (방 정보 추가)
+        socket.emit('roomJoined', { 
+            roomCode,
+            id: participantId, 
+            timestamp: Date.now(),
+            users: actualUsers,
+            domain: DOMAIN,
+            isCreator: isHost, // 방장 여부
+            role, // 참가자 역할
+            hostToken: hostToken || undefined, // 새로 방장이 된 경우에만 전달
+            rejoined: !isNewParticipant, // 재연결 여부
+            title: roomInfo.title || '', // 방 제목
+            description: roomInfo.description || '', // 방 설명
+            drawingEnabled: roomInfo.drawingEnabled, // 그리기 활성화 상태
+            locked: !!roomInfo.locked, // 방 잠금 상태
+            waitingRoom: !!roomInfo.waitingRoom, // 대기실 사용 여부
+            waiting: isHost ? await getWaitingList(roomCode) : undefined, // 대기 중인 참가자 (방장에게만)
+            settings: getRoomSettings(roomInfo), // 방 설정
+            retention: describeRetention(roomInfo), // 보관 정책과 만료 시각
+            access: { password: !!roomInfo.passwordHash, inviteOnly: !!roomInfo.inviteOnly }, // 입장 제한
+            accessToken: await roomAccess.issueAccess(roomCode, participantId), // 비공개 방의 이미지/내보내기 요청용
+            roster: await getRoster(roomCode) // 참가자 목록
+        });
+        
+        const participant = toRosterEntry(participantId, await presence.getParticipant(roomCode, participantId));
+        
+        // 방의 다른 사용자들에게 새 사용자 입장 알림 (재연결은 알리지 않음)
+        if (isNewParticipant) {
+            socket.to(roomCode).emit('userJoined', {
+                id: participantId,
+                nickname: participant.nickname,
+                users: actualUsers,
+                timestamp: Date.now()
+            });
+        }
+        
+        // 참가자 목록 갱신 알림 (다른 탭으로 이미 접속 중이었고 바뀐 정보가 없으면 생략)
+        if (isNewParticipant) {
+            await broadcastRoster(roomCode, 'join', participant);
+        } else if (!wasConnected) {
+            await broadcastRoster(roomCode, 'reconnect', participant);
+        } else if (nickname || previousRole !== role) {
+            await broadcastRoster(roomCode, 'update', participant);
+        }
+        
+        // 보드 데이터 전송 - 재연결이면 놓친 변경만
+        await sendBoardSync(roomCode, roomInfo, since);
+        
+        // 실행 취소/다시 실행 버튼 상태 전송
+        await sendHistoryState();
+    }
+    
+    // 보드 데이터 전송 (boardSync) - 놓친 변경만 보내거나 보드 전체 전송
+    // 이진 형식을 쓰는 소켓에는 스트로크 목록(strokes, activeStrokes)을 이진 메시지로 전송
+    async function sendBoardSync(roomCode, roomInfo, since) {
+        const sync = await getBoardSync(roomCode, roomInfo, since);
+        socket.emit('boardSync', binaryWire ? encodeBoardSync(sync) : sync);
+        
+        if (sync.mode === 'delta') {
+            logToFile(`방 ${roomCode}: 순번 ${since.seq} 이후 변경 ${sync.events.length}개를 클라이언트에 전송했습니다. (${socket.id})`);
+        } else {
+            logToFile(`방 ${roomCode}: 스트로크 ${sync.strokes.length}개, 이미지 ${sync.images.length}개를 클라이언트에 전송했습니다. (${socket.id})`);
+        }
+    }
+    
+    function encodeBoardSync(sync) {
+        const key = sync.mode === 'delta' ? 'activeStrokes' : 'strokes';
+        const message = encodeMessage('strokes', sync[key]);
+        recordWireTraffic('sent', message, sync[key]);
+        
+        return { ...sync, [key]: message };
+    }
+    
+    // 같은 방의 다른 사용자에게 그리기 데이터 전송 - 이진 형식을 쓰는 소켓에는 이진 메시지로
+    // 이진 형식을 쓰는 소켓이 없으면 메시지를 만들지 않는다. (다른 인스턴스의 소켓은 알 수 없으므로 여러 인스턴스일 때는 항상 만듦)
+    function broadcastDrawing(roomCode, event, data) {
+        const binaryRoom = getBinaryRoom(roomCode);
+        socket.to(roomCode).except(binaryRoom).emit(event, data);
+        
+        const sockets = io.sockets.adapter.rooms.get(binaryRoom);
+        const recipients = sockets ? sockets.size - (sockets.has(socket.id) ? 1 : 0) : 0;
+        if (recipients === 0 && !clustered) return;
+        
+        const message = encodeMessage(event, data);
+        socket.to(binaryRoom).emit(event, message);
+        
+        // 전송량은 이 인스턴스에 연결된 소켓에 보낸 만큼만 기록
+        if (recipients > 0) {
+            recordWireTraffic('sent', message, data, recipients);
+        }
+    }
+    
+    // 이진 형식으로 받은 그리기 데이터 풀기 - JSON이면 그대로, 잘못된 메시지이거나 다른 이벤트의 메시지이면 null
+    function readDrawingMessage(event, data) {
+        if (!isBinaryMessage(data)) return data;
+        
+        try {
+            const message = decodeMessage(data);
+            if (message.event !== event) return null;
+            
+            recordWireTraffic('received', data, message.data);
+            return message.data;
+        } catch (error) {
+            logToFile(`이진 메시지 해석 오류 (${socket.id}): ${error.message}`);
+            return null;
+        }
+    }
+    
+    // 대기실에서 방장 승인 대기 - 승인되면 입장, 거절되면 입장 거부 전송
+    async function waitInLobby(roomCode, nickname) {
+        waitingRoom = roomCode;
+        
+        await addWaitingSocket(roomCode, participantId, socket.id, {
+            nickname: nickname || defaultNickname(participantId),
+            admit: () => {
+                waitingRoom = null;
+                
+                (async () => {
+                    const roomInfo = await getRoomInfo(roomCode);
+                    if (!roomInfo) {
+                        socket.emit('error', { message: '방 정보를 찾을 수 없습니다.' });
+                        return;
+                    }
+                    
+                    logToFile(`방 ${roomCode} 입장 승인: ${socket.id}(참가자 ${participantId})`);
+                    await enterRoom(roomCode, roomInfo, { nickname });
+                })().catch(error => {
+                    console.error(`방 입장 오류:`, error);
+                    logToFile(`방 입장 오류: ${error.message}`);
+                    socket.emit('error', { message: '방 입장 중 오류가 발생했습니다.' });
+                });
+            },
+            deny: () => {
+                waitingRoom = null;
+                logToFile(`방 ${roomCode} 입장 거절: ${socket.id}(참가자 ${participantId})`);
+                socket.emit('joinRejected', { roomCode, code: 'ENTRY_DENIED', message: JOIN_REJECTIONS.ENTRY_DENIED });
+            }
+        });
+        
+        logToFile(`방 ${roomCode} 대기실 입장: ${socket.id}(참가자 ${participantId})`);
+        socket.emit('waitingForHost', { roomCode });
+        await broadcastWaitingList(roomCode);
+    }
+    
+    // 대기 취소 (다른 방 입장, 연결 종료)
+    async function leaveWaitingRoom() {
+        if (!waitingRoom) return;
+        
+        const roomCode = waitingRoom;
+        waitingRoom = null;
+        
+        if (await removeWaitingSocket(roomCode, participantId, socket.id)) {
+            await broadcastWaitingList(roomCode);
+        }
+    }
+    
+    // 보드 다시 맞추기 요청 - 클라이언트가 받지 못한 변경이 있다고 판단한 경우 (since: { epoch, seq })
+    socket.on('syncBoard', async (since) => {
+        try {
+            if (!currentRoom) return;
+            
+            const roomInfo = await getRoomInfo(currentRoom);
+            if (!roomInfo) return;
+            
+            await sendBoardSync(currentRoom, roomInfo, since);
+        } catch (error) {
+            logToFile(`보드 동기화 요청 오류: ${error.message}`);
+            socket.emit('error', { message: '보드 데이터 로드 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 그리기 데이터 요청 처리
+    socket.on('requestDrawingData', async () => {
+        try {
+            if (!currentRoom) return;
+            
+            const strokes = await getDrawingStrokes(currentRoom);
+            socket.emit('loadDrawing', strokes);
+            logToFile(`요청에 따라 ${strokes.length}개의 스트로크 데이터를 클라이언트에 전송했습니다.`);
+        } catch (error) {
+            logToFile(`그리기 데이터 요청 오류: ${error.message}`);
+            socket.emit('error', { message: '그리기 데이터 로드 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 이미지 데이터 요청 처리
+    socket.on('requestImageData', async () => {
+        try {
+            if (!currentRoom) {
+                socket.emit('error', { message: '방에 입장하지 않은 상태입니다. 페이지를 새로고침해 주세요.' });
+                return;
+            }
+            
+            console.log(`이미지 데이터 요청: 방 ${currentRoom}, 사용자 ${socket.id}`);
+            
+            const images = await getVisibleImages(currentRoom);
+            console.log(`요청에 의해 로드한 이미지 개수: ${images.length}`);
+            
+            socket.emit('loadImages', images);
+            logToFile(`요청에 따라 ${images.length}개의 이미지 데이터를 클라이언트에 전송했습니다.`);
+        } catch (error) {
+            console.error(`이미지 데이터 요청 오류:`, error);
+            logToFile(`이미지 데이터 요청 오류: ${error.message}`);
+            socket.emit('error', { message: '이미지 데이터 로드 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 그리기 권한 제어 이벤트 추가
+    socket.on('toggleDrawing', async (enabled) => {
+        try {
+            if (!currentRoom) {
+                socket.emit('error', { message: '방에 입장하지 않은 상태입니다.' });
+                return;
+            }
+            
+            // 방 정보 확인
+            const roomInfo = rooms[currentRoom];
+            
+            if (!roomInfo) {
+                socket.emit('error', { message: '방 정보를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            // 생성자만 그리기 권한을 제어할 수 있음
+            if (!isRoomHost()) {
+                socket.emit('error', { message: '방 생성자만 그리기 권한을 제어할 수 있습니다.' });
+                return;
+            }
+            
+            console.log(`방 ${currentRoom}의 그리기 권한 변경: ${enabled ? '활성화' : '비활성화'} (요청자: ${socket.id})`);
+            logToFile(`방 ${currentRoom}의 그리기 권한 변경: ${enabled ? '활성화' : '비활성화'} (요청자: ${socket.id})`);
+            
+            // 그리기 상태 업데이트 (방 설정으로 저장하고 방의 모든 사용자에게 알림)
+            await applyRoomSettings(currentRoom, roomInfo, { drawingEnabled: !!enabled }, participantId);
+            
+            logToFile(`방 ${currentRoom}의 그리기 권한이 ${enabled ? '활성화' : '비활성화'}되었습니다. (변경자: ${socket.id})`);
+        } catch (error) {
+            console.error(`그리기 권한 제어 오류:`, error);
+            logToFile(`그리기 권한 제어 오류: ${error.message}`);
+            socket.emit('error', { message: '그리기 권한 제어 중 오류가 발생했습니다.' });
+        }
+    });
+
+    // 방장 여부 확인 (입장 시 검증한 방장 토큰 기준)
+    function isRoomHost() {
+        return !!currentRoom && isHost;
+    }
+    
+    // 방장 전용 요청 확인 - 방장이 아니면 오류 전송
+    function requireHost(message) {
+        if (isRoomHost()) return true;
+        
+        socket.emit('error', { message });
+        return false;
+    }
+    
+    // 현재 방에서의 참가자 역할 (역할이 바뀌면 참가자가 연결된 인스턴스에서 applyRoleChange로 갱신)
+    function currentRole() {
+        return currentRoom ? socket.data.role || null : null;
+    }
+    
+    // 그리기 권한 확인 (방장은 항상 허용, 보기 전용은 불가, 그리기가 비활성화되었으면 방장만 허용)
+    // action: 'clear'(보드 지우기) | 'image'(이미지 붙여넣기)이면 방 설정에서 방장 전용으로 정했는지도 확인
+    function canDraw(action) {
+        if (!currentRoom) return false;
+        
+        const roomInfo = rooms[currentRoom];
+        
+        if (!roomInfo) {
+            console.log(`방 정보를 찾을 수 없음: ${currentRoom}`);
+            return false;
+        }
+        
+        if (isRoomHost()) return true;
+        
+        if (currentRole() === 'viewer') {
+            console.log(`보기 전용 참가자: ${socket.id} (방: ${currentRoom})`);
+            return false;
+        }
+        
+        if (roomInfo.drawingEnabled === false) {
+            console.log(`그리기 권한 없음: ${socket.id} (방: ${currentRoom})`);
+            return false;
+        }
+        
+        if (action && getRoomSettings(roomInfo)[ACTION_PERMISSIONS[action]] === 'host') {
+            console.log(`방장 전용 동작 (${action}): ${socket.id} (방: ${currentRoom})`);
+            return false;
+        }
         
-        // 실제 방에 연결된 소켓 수 계산
-        const sockets = io.sockets.adapter.rooms.get(roomCode);
-        const actualUsers = sockets ? sockets.size : 0;
+        return true;
+    }
+    
+    // 그리기 권한이 없는 이유 (오류 응답용)
+    function drawDenial(action) {
+        return getEditDenial(rooms[currentRoom], currentRole(), action) || { message: '보드를 편집할 수 없습니다.', code: 'DRAWING_DISABLED' };
+    }
+    
+    // 편집 요청 확인 - 그리기 권한이 없으면 오류 전송
+    function requireDraw(action) {
+        if (canDraw(action)) return true;
+        
+        socket.emit('error', drawDenial(action));
+        return false;
+    }
+    
+    // 이 소켓이 그리는 중인 스트로크 조회
+    function getOwnActiveStroke(strokeId) {
+        if (!ownStrokeIds.has(strokeId)) return null;
         
-        // 항상 실제 연결된 사용자 수로 업데이트
-        if (rooms[roomCode].users !== actualUsers) {
-            console.log(`방 ${roomCode}의 사용자 수 업데이트: ${rooms[roomCode].users} -> ${actualUsers}`);
-            rooms[roomCode].users = actualUsers;
+        const strokes = activeStrokes.get(currentRoom);
+        return (strokes && strokes.get(strokeId)) || null;
+    }
+    
+    // 방에서 참가자 소켓 제거 - 유예 시간 안에 다시 연결하지 않으면 퇴장 처리
+    async function leaveParticipant(roomCode) {
+        // 마지막 연결이 끊기면 재연결을 기다리는 중임을 표시
+        if (await removeParticipantSocket(roomCode, participantId, socket.id)) {
+            const participant = await presence.getParticipant(roomCode, participantId);
+            if (participant) {
+                await broadcastRoster(roomCode, 'disconnect', toRosterEntry(participantId, participant));
+            }
+        }
+    }
+    
+    // 닉네임 변경 - { nickname }
+    socket.on('setNickname', async (data) => {
+        try {
+            const roomCode = currentRoom;
+            if (!roomCode || !(await presence.getParticipant(roomCode, participantId))) {
+                socket.emit('error', { message: '방에 입장하지 않은 상태입니다.' });
+                return;
+            }
+            
+            const nickname = sanitizeNickname(data && data.nickname);
+            if (!nickname) {
+                socket.emit('error', { message: `이름은 1~${MAX_NICKNAME_LENGTH}자로 입력해 주세요.` });
+                return;
+            }
+            
+            const participant = await presence.updateParticipant(roomCode, participantId, { nickname });
+            if (!participant) return;
+            
+            await broadcastRoster(roomCode, 'update', toRosterEntry(participantId, participant));
+            logToFile(`참가자 ${participantId}의 이름 변경 (방: ${roomCode})`);
+        } catch (error) {
+            console.error(`닉네임 변경 오류:`, error);
+            logToFile(`닉네임 변경 오류: ${error.message}`);
+            socket.emit('error', { message: '이름을 변경하는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 참가자 역할 변경 (방장 전용) - { participantId, role: 'editor' | 'viewer' }
+    socket.on('setRole', async (data) => {
+        try {
+            if (!currentRoom || !requireHost('방장만 참가자 역할을 바꿀 수 있습니다.')) return;
+            
+            const roomCode = currentRoom;
+            const targetId = data && data.participantId;
+            const role = data && data.role;
+            const target = typeof targetId === 'string' ? await presence.getParticipant(roomCode, targetId) : null;
+            
+            if (!target) {
+                socket.emit('error', { message: '참가자를 찾을 수 없습니다.' });
+                return;
+            }
             
-            // 마지막 활동 시간 업데이트
-            rooms[roomCode].lastActive = Date.now();
+            if (!ASSIGNABLE_ROLES.includes(role) || target.role === 'host') {
+                socket.emit('error', { message: '바꿀 수 없는 역할입니다.' });
+                return;
+            }
+            
+            await saveStoredRole(roomCode, targetId, role);
+            const updated = await presence.updateParticipant(roomCode, targetId, { role });
+            if (!updated) return;
+            
+            // 그리기 권한 확인용 역할을 모든 인스턴스에서 갱신
+            applyRoleChange(roomCode, targetId, role);
+            notifyInstances('participantRoleChanged', roomCode, targetId, role);
+            
+            // 대상 참가자의 모든 연결에 변경된 역할 전송
+            for (const socketId of updated.sockets) {
+                io.to(socketId).emit('roleChanged', { role });
+            }
+            
+            await broadcastRoster(roomCode, 'update', toRosterEntry(targetId, updated));
+            logToFile(`방 ${roomCode}의 참가자 ${targetId} 역할 변경: ${role} (요청자: ${socket.id})`);
+        } catch (error) {
+            console.error(`참가자 역할 변경 오류:`, error);
+            logToFile(`참가자 역할 변경 오류: ${error.message}`);
+            socket.emit('error', { message: '참가자 역할을 바꾸는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 참가자 내보내기/차단 (방장 전용) - 대상의 모든 연결을 끊고 목록에서 바로 제거
+    async function removeFromRoom(data, ban) {
+        const roomCode = currentRoom;
+        const targetId = data && data.participantId;
+        
+        if (typeof targetId !== 'string' || targetId === participantId) {
+            socket.emit('error', { message: '내보낼 참가자가 올바르지 않습니다.' });
+            return;
+        }
+        
+        const target = await presence.getParticipant(roomCode, targetId);
+        if (!target && !ban) {
+            socket.emit('error', { message: '참가자를 찾을 수 없습니다.' });
+            return;
+        }
+        
+        if (target && target.role === 'host') {
+            socket.emit('error', { message: '방장은 내보낼 수 없습니다.' });
+            return;
+        }
+        
+        if (ban) {
+            await banParticipant(roomCode, targetId);
+        }
+        
+        const removed = await removeParticipant(roomCode, targetId);
+        logToFile(`방 ${roomCode}에서 참가자 ${targetId} ${ban ? '차단' : '내보내기'} (요청자: ${socket.id})`);
+        
+        if (!removed) return;
+        
+        // 대상에게 알린 뒤 연결 종료 (서버가 끊은 연결은 클라이언트가 자동으로 다시 연결하지 않음)
+        const code = ban ? 'BANNED' : 'KICKED';
+        for (const socketId of removed.sockets) {
+            io.to(socketId).emit('removedFromRoom', { roomCode, code });
+        }
+        
+        // 빈 목록으로 in()을 호출하면 모든 소켓의 연결이 끊기므로 주의 (재연결 유예 중인 참가자)
+        if (removed.sockets.length > 0) {
+            io.in(removed.sockets).disconnectSockets(true);
         }
         
-        return rooms[roomCode];
+        const users = await updateRoomUsers(roomCode);
+        const entry = toRosterEntry(targetId, removed);
+        
+        io.to(roomCode).emit('userLeft', {
+            id: targetId,
+            nickname: entry.nickname,
+            users,
+            timestamp: Date.now()
+        });
+        await broadcastRoster(roomCode, code === 'BANNED' ? 'ban' : 'kick', entry);
     }
     
-    // 방 입장 처리 - 오류 처리 강화
-    socket.on('joinRoom', async (roomCode) => {
+    // 참가자 내보내기 - { participantId } (다시 입장할 수 있음)
+    socket.on('kickParticipant', async (data) => {
         try {
-            // 이미 방에 있는 경우 처리
-            if (currentRoom) {
-                if (currentRoom === roomCode) {
-                    // 이미 같은 방에 있는 경우, 방 정보만 다시 전송
-                    console.log(`사용자 ${socket.id}가 이미 방 ${roomCode}에 있습니다. 방 정보 재전송`);
-                    
-                    // 방 정보 업데이트 (실제 참가자 수 확인)
-                    updateRoomInfo(roomCode);
-                    
-                    // 현재 방의 실제 참가자 수 가져오기
-                    const sockets = io.sockets.adapter.rooms.get(roomCode);
-                    const actualUsers = sockets ? sockets.size : 0;
-                    
-                    // 방 정보 확인
-                    const roomInfo = rooms[roomCode] || {
-                        createdAt: Date.now(),
-                        lastActive: Date.now(),
-                        users: actualUsers,
-                        creatorId: null,
-                        drawingEnabled: true
-                    };
-                    
-                    // 클라이언트에 방 정보 재전송
-                    socket.emit('roomJoined', { 
-                        roomCode,
-                        id: socket.id, 
-                        timestamp: Date.now(),
-                        users: actualUsers,
-                        domain: DOMAIN,
-                        isCreator: socket.id === roomInfo.creatorId,
-                        creatorId: roomInfo.creatorId,
-                        drawingEnabled: roomInfo.drawingEnabled
-                    });
-                    
+            if (!currentRoom || !requireHost('방장만 참가자를 내보낼 수 있습니다.')) return;
+            
+            await removeFromRoom(data, false);
+        } catch (error) {
+            console.error(`참가자 내보내기 오류:`, error);
+            logToFile(`참가자 내보내기 오류: ${error.message}`);
+            socket.emit('error', { message: '참가자를 내보내는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 참가자 차단 - { participantId } (방이 유지되는 동안 다시 입장할 수 없음)
+    socket.on('banParticipant', async (data) => {
+        try {
+            if (!currentRoom || !requireHost('방장만 참가자를 차단할 수 있습니다.')) return;
+            
+            await removeFromRoom(data, true);
+        } catch (error) {
+            console.error(`참가자 차단 오류:`, error);
+            logToFile(`참가자 차단 오류: ${error.message}`);
+            socket.emit('error', { message: '참가자를 차단하는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 방 잠금 (방장 전용) - { locked } 잠긴 방에는 새 참가자가 입장할 수 없음
+    socket.on('setRoomLocked', async (data) => {
+        try {
+            if (!currentRoom || !requireHost('방장만 방을 잠글 수 있습니다.')) return;
+            
+            const roomCode = currentRoom;
+            const roomInfo = rooms[roomCode];
+            if (!roomInfo) {
+                socket.emit('error', { message: '방 정보를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            const locked = !!(data && data.locked);
+            roomInfo.locked = locked;
+            
+            if (isStorageAvailable()) {
+                await saveRoomFields(roomCode, { locked: locked ? 'true' : 'false' });
+            }
+            
+            io.to(roomCode).emit('roomLockChanged', { locked, changedBy: participantId });
+            logToFile(`방 ${roomCode} ${locked ? '잠금' : '잠금 해제'} (요청자: ${socket.id})`);
+        } catch (error) {
+            console.error(`방 잠금 오류:`, error);
+            logToFile(`방 잠금 오류: ${error.message}`);
+            socket.emit('error', { message: '방 잠금 상태를 바꾸는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 방 입장 제한 변경 (방장 전용) - { password, clearPassword, inviteOnly }
+    socket.on('setRoomAccess', async (data) => {
+        try {
+            if (!currentRoom || !requireHost('방장만 방 입장 제한을 바꿀 수 있습니다.')) return;
+            
+            const roomCode = currentRoom;
+            const roomInfo = rooms[roomCode];
+            if (!roomInfo || !data) {
+                socket.emit('error', { message: '방 정보를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            const changes = {};
+            
+            if (data.clearPassword) {
+                changes.passwordHash = '';
+            } else if (data.password !== undefined) {
+                if (!isValidPassword(data.password)) {
+                    socket.emit('error', { message: `비밀번호는 ${MIN_PASSWORD_LENGTH}~${MAX_PASSWORD_LENGTH}자로 입력해 주세요.` });
                     return;
-                } else {
-                    // 다른 방에 있는 경우, 기존 방에서 나가기
-                    socket.leave(currentRoom);
-                    logToFile(`사용자 ${socket.id}가 방 ${currentRoom}에서 나가고 방 ${roomCode}로 이동`);
                 }
+                changes.passwordHash = await hashPassword(data.password);
             }
             
-            // 방 정보 확인 (메모리에서 먼저 확인)
-            let roomInfo = rooms[roomCode];
+            if (typeof data.inviteOnly === 'boolean') {
+                changes.inviteOnly = data.inviteOnly ? 'true' : 'false';
+            }
             
-            // 메모리에 없으면 Redis에서 확인 시도
-            if (!roomInfo && isRedisAvailable()) {
-                try {
-                    const roomKey = `room:${roomCode}`;
-                    const exists = await redisClient.exists(roomKey);
-                    
-                    if (exists) {
-                        const roomData = await redisClient.hGetAll(roomKey);
-                        
-                        // 문자열을 숫자로 변환
-                        roomData.createdAt = parseInt(roomData.createdAt) || Date.now();
-                        roomData.lastActive = parseInt(roomData.lastActive) || Date.now();
-                        roomData.users = parseInt(roomData.users) || 0;
-                        
-                        // 메모리에 캐싱
-                        rooms[roomCode] = roomData;
-                        roomInfo = roomData;
-                    }
-                } catch (error) {
-                    console.error(`Redis 방 정보 조회 오류:`, error);
-                    logToFile(`Redis 방 정보 조회 오류: ${error.message}`);
-                    // Redis 오류 시 무시하고 계속 진행
+            if (Object.keys(changes).length === 0) return;
+            
+            // 지금 방에 있는 참가자는 제한이 생겨도 다시 묻지 않음
+            const wasPrivate = isPrivateRoom(roomInfo);
+            
+            if (changes.passwordHash !== undefined) roomInfo.passwordHash = changes.passwordHash || null;
+            if (changes.inviteOnly !== undefined) roomInfo.inviteOnly = changes.inviteOnly === 'true';
+            
+            if (isStorageAvailable()) {
+                await saveRoomFields(roomCode, changes);
+                
+                if (!wasPrivate && isPrivateRoom(roomInfo)) {
+                    await addRoomMembers(roomCode, (await getRoster(roomCode)).map(participant => participant.id));
                 }
             }
             
-            // 방이 존재하지 않으면 생성 (생성자 ID 저장)
+            const access = { password: !!roomInfo.passwordHash, inviteOnly: !!roomInfo.inviteOnly };
+            io.to(roomCode).emit('roomAccessChanged', { ...access, changedBy: participantId });
+            logToFile(`방 ${roomCode} 입장 제한 변경: 비밀번호 ${access.password}, 초대 전용 ${access.inviteOnly} (요청자: ${socket.id})`);
+        } catch (error) {
+            console.error(`방 입장 제한 변경 오류:`, error);
+            logToFile(`방 입장 제한 변경 오류: ${error.message}`);
+            socket.emit('error', { message: '방 입장 제한을 바꾸는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 초대 링크 토큰 발급 (방장 전용) - { regenerate: true } 이면 새 초대 ID로 바꿔 이전 링크를 모두 무효화
+    socket.on('createInviteLink', async (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        
+        try {
+            if (!currentRoom || !requireHost('방장만 초대 링크를 만들 수 있습니다.')) {
+                reply({ error: '방장만 초대 링크를 만들 수 있습니다.' });
+                return;
+            }
+            
+            const roomCode = currentRoom;
+            const roomInfo = rooms[roomCode];
             if (!roomInfo) {
-                const now = Date.now();
-                rooms[roomCode] = {
-                    createdAt: now,
-                    lastActive: now,
-                    users: 0,
-                    creatorId: socket.id, // 첫 입장자를 생성자로 설정
-                    drawingEnabled: true
-                };
-                roomInfo = rooms[roomCode];
-                logToFile(`소켓 연결에서 새 방 생성: ${roomCode}, 생성자: ${socket.id}`);
+                reply({ error: '방 정보를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            if (!roomInfo.inviteId || (data && data.regenerate)) {
+                roomInfo.inviteId = roomAccess.createInviteId();
                 
-                // Redis에 방 정보 저장 (비동기로 처리)
-                if (isRedisAvailable()) {
-                    const roomKey = `room:${roomCode}`;
-                    
-                    redisClient.hSet(roomKey, {
-                        createdAt: now,
-                        lastActive: now,
-                        users: 0,
-                        creatorId: socket.id,
-                        drawingEnabled: 'true'
-                    }).then(() => {
-                        return redisClient.expire(roomKey, 24 * 60 * 60);
-                    }).then(() => {
-                        console.log(`Redis에 방 정보 저장 완료: ${roomCode}`);
-                    }).catch(error => {
-                        console.error(`Redis 방 정보 저장 오류:`, error);
-                        logToFile(`Redis 방 정보 저장 오류: ${error.message}`);
-                    });
+                if (isStorageAvailable()) {
+                    await saveRoomFields(roomCode, { inviteId: roomInfo.inviteId });
                 }
+                logToFile(`방 ${roomCode} 초대 링크 ${data && data.regenerate ? '재발급' : '발급'} (요청자: ${socket.id})`);
             }
             
-            // 새 방에 입장
-            socket.join(roomCode);
-            currentRoom = roomCode;
-            userRooms.set(socket.id, roomCode);
-            
-            // 방 정보 업데이트 (실제 참가자 수 확인)
-            updateRoomInfo(roomCode);
+            reply({ token: await roomAccess.issueInvite(roomCode, roomInfo.inviteId) });
+        } catch (error) {
+            console.error(`초대 링크 발급 오류:`, error);
+            logToFile(`초대 링크 발급 오류: ${error.message}`);
+            reply({ error: '초대 링크를 만드는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 대기실 사용 설정 (방장 전용) - { enabled }, 끄면 기다리던 참가자는 모두 입장
+    socket.on('setWaitingRoom', async (data) => {
+        try {
+            if (!currentRoom || !requireHost('방장만 대기실을 설정할 수 있습니다.')) return;
             
-            // 현재 방의 실제 참가자 수 가져오기
-            const sockets = io.sockets.adapter.rooms.get(roomCode);
-            const actualUsers = sockets ? sockets.size : 0;
+            const roomCode = currentRoom;
+            const roomInfo = rooms[roomCode];
+            if (!roomInfo) {
+                socket.emit('error', { message: '방 정보를 찾을 수 없습니다.' });
+                return;
+            }
             
-            logToFile(`사용자 ${socket.id}가 방 ${roomCode}에 입장 (현재 인원: ${actualUsers}명)`);
+            const enabled = !!(data && data.enabled);
+            roomInfo.waitingRoom = enabled;
             
-            // 클라이언트에 연결 확인 메시지 전송 (방 정보 추가)
-            socket.emit('roomJoined', { 
-                roomCode,
-                id: socket.id, 
-                timestamp: Date.now(),
-                users: actualUsers,
-                domain: DOMAIN,
-                isCreator: socket.id === roomInfo.creatorId, // 생성자 여부
-                drawingEnabled: roomInfo.drawingEnabled // 그리기 활성화 상태
-            });
+            if (isStorageAvailable()) {
+                await saveRoomFields(roomCode, { waitingRoom: enabled ? 'true' : 'false' });
+            }
             
-            // 방의 다른 사용자들에게 새 사용자 입장 알림
-            socket.to(roomCode).emit('userJoined', {
-                id: socket.id,
-                users: actualUsers,
-                timestamp: Date.now()
-            });
+            io.to(roomCode).emit('waitingRoomChanged', { enabled, changedBy: participantId });
+            logToFile(`방 ${roomCode} 대기실 ${enabled ? '사용' : '사용 안 함'} (요청자: ${socket.id})`);
             
-            // 방의 그리기 데이터 전송 (오류 처리 강화)
-            try {
-                if (isRedisAvailable()) {
-                    const pointsKey = `room:${roomCode}:points`;
-                    const pointsData = await redisClient.lRange(pointsKey, 0, -1);
-                    
-                    // JSON 문자열을 객체로 변환
-                    const drawingPoints = pointsData.map(point => {
-                        try {
-                            return JSON.parse(point);
-                        } catch (e) {
-                            console.error('그리기 데이터 파싱 오류:', e);
-                            return null;
-                        }
-                    }).filter(point => point !== null);
-                    
-                    socket.emit('loadDrawing', drawingPoints);
-                    logToFile(`${drawingPoints.length}개의 그리기 데이터를 클라이언트에 전송했습니다.`);
-                } else {
-                    socket.emit('loadDrawing', []);
+            if (!enabled) {
+                for (const { id } of await getWaitingList(roomCode)) {
+                    await resolveWaitingParticipant(roomCode, id, true);
                 }
-            } catch (error) {
-                console.error(`그리기 데이터 로드 오류:`, error);
-                logToFile(`그리기 데이터 로드 오류: ${error.message}`);
-                socket.emit('loadDrawing', []);
+            }
+        } catch (error) {
+            console.error(`대기실 설정 오류:`, error);
+            logToFile(`대기실 설정 오류: ${error.message}`);
+            socket.emit('error', { message: '대기실 설정을 바꾸는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 대기 중인 참가자 승인/거절 (방장 전용) - { participantId }
+    async function resolveWaiting(data, admitted) {
+        try {
+            if (!currentRoom || !requireHost('방장만 대기 중인 참가자의 입장을 승인하거나 거절할 수 있습니다.')) return;
+            
+            const targetId = data && data.participantId;
+            if (typeof targetId !== 'string' || !(await resolveWaitingParticipant(currentRoom, targetId, admitted))) {
+                socket.emit('error', { message: '대기 중인 참가자를 찾을 수 없습니다.' });
+            }
+        } catch (error) {
+            console.error(`대기실 처리 오류:`, error);
+            logToFile(`대기실 처리 오류: ${error.message}`);
+            socket.emit('error', { message: '대기 중인 참가자를 처리하는 중 오류가 발생했습니다.' });
+        }
+    }
+    
+    socket.on('admitParticipant', (data) => resolveWaiting(data, true));
+    socket.on('denyParticipant', (data) => resolveWaiting(data, false));
+    
+    // 방 설정 변경 (방장 전용) - 바꿀 항목만 전달, 응답: { settings } 또는 { error }
+    socket.on('updateRoomSettings', async (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        
+        try {
+            if (!currentRoom || !requireHost('방장만 방 설정을 바꿀 수 있습니다.')) {
+                reply({ error: '방장만 방 설정을 바꿀 수 있습니다.' });
+                return;
+            }
+            
+            const roomInfo = rooms[currentRoom];
+            if (!roomInfo) {
+                reply({ error: '방 정보를 찾을 수 없습니다.' });
+                return;
             }
             
-            // 방의 이미지 데이터 전송 (오류 처리 강화)
+            let update;
             try {
-                if (isRedisAvailable()) {
-                    console.log(`방 ${roomCode}의 이미지 데이터 로드 시도`);
-                    const imagesKey = `room:${roomCode}:images`;
-                    const imagesData = await redisClient.lRange(imagesKey, 0, -1);
-                    
-                    // JSON 문자열을 객체로 변환
-                    const images = imagesData.map(image => {
-                        try {
-                            return JSON.parse(image);
-                        } catch (e) {
-                            console.error('이미지 데이터 파싱 오류:', e);
-                            return null;
-                        }
-                    }).filter(image => image !== null);
-                    
-                    console.log(`방 ${roomCode}에서 로드한 이미지 개수: ${images.length}`);
-                    
-                    if (images.length > 0) {
-                        socket.emit('loadImages', images);
-                        logToFile(`${images.length}개의 이미지 데이터를 클라이언트에 전송했습니다.`);
-                    } else {
-                        logToFile(`방 ${roomCode}에 저장된 이미지가 없습니다.`);
-                    }
-                } else {
-                    socket.emit('loadImages', []);
-                }
+                update = validateSettingsUpdate(data);
             } catch (error) {
-                console.error(`이미지 데이터 로드 오류:`, error);
-                logToFile(`이미지 데이터 로드 오류: ${error.message}`);
-                socket.emit('loadImages', []);
+                if (error.code !== 'INVALID_ROOM_SETTINGS') throw error;
+                
+                reply({ error: error.message });
+                return;
+            }
+            
+            reply({ settings: await applyRoomSettings(currentRoom, roomInfo, update, participantId) });
+        } catch (error) {
+            console.error(`방 설정 변경 오류:`, error);
+            logToFile(`방 설정 변경 오류: ${error.message}`);
+            reply({ error: '방 설정을 바꾸는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 방 보관 기간 연장/정책 변경 (방장 전용) - { policy } 생략 시 현재 정책으로 연장, 응답: { retention } 또는 { error }
+    socket.on('extendRoom', async (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        
+        try {
+            if (!currentRoom || !requireHost('방장만 보관 기간을 바꿀 수 있습니다.')) {
+                reply({ error: '방장만 보관 기간을 바꿀 수 있습니다.' });
+                return;
+            }
+            
+            const roomInfo = rooms[currentRoom];
+            if (!roomInfo) {
+                reply({ error: '방 정보를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            const policy = (data && data.policy) || getRetention(roomInfo);
+            if (!isValidRetention(policy)) {
+                reply({ error: '보관 정책이 올바르지 않습니다.' });
+                return;
+            }
+            
+            reply({ retention: await setRoomRetention(currentRoom, roomInfo, policy, participantId) });
+        } catch (error) {
+            console.error(`방 보관 기간 연장 오류:`, error);
+            logToFile(`방 보관 기간 연장 오류: ${error.message}`);
+            reply({ error: '보관 기간을 바꾸는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 방 삭제 (방장 전용) - 모든 참가자에게 roomDeleted를 보내고 연결 종료
+    socket.on('deleteRoom', async (data, callback) => {
+        const reply = typeof callback === 'function' ? callback : () => {};
+        
+        try {
+            if (!currentRoom || !requireHost('방장만 방을 삭제할 수 있습니다.')) {
+                reply({ error: '방장만 방을 삭제할 수 있습니다.' });
+                return;
+            }
+            
+            const roomCode = currentRoom;
+            logToFile(`방장이 방 삭제 요청: ${roomCode} (${socket.id})`);
+            
+            reply({ success: true });
+            await deleteRoom(roomCode, 'deleted');
+        } catch (error) {
+            console.error(`방 삭제 오류:`, error);
+            logToFile(`방 삭제 오류: ${error.message}`);
+            reply({ error: '방을 삭제하는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 스트로크 시작 - { id, tool, color, size, points: [[x, y], ...] }
+    // 스트로크 이벤트(strokeBegin, strokeAppend, strokeEnd)는 이진 형식 메시지(wireCodec.js)로도 받음
+    socket.on('strokeBegin', (message) => {
+        const data = readDrawingMessage('strokeBegin', message);
+        if (!data || typeof data.id !== 'string' || data.id.length > 64) return;
+        if (!canDraw() || pendingStrokeBegins.has(data.id)) return;
+        
+        const begin = beginStroke(currentRoom, data).finally(() => pendingStrokeBegins.delete(data.id));
+        pendingStrokeBegins.set(data.id, begin);
+    });
+    
+    // 스트로크 시작 - 방에서 처음 쓰는 ID인지 확인한 뒤 그리는 중인 스트로크로 등록하고 방송
+    async function beginStroke(roomCode, data) {
+        try {
+            if (!(await claimItemIds(roomCode, [data.id]))) {
+                socket.emit('error', { message: '이미 사용된 스트로크 ID입니다.' });
+                return;
+            }
+            if (currentRoom !== roomCode) return;
+            
+            if (!activeStrokes.has(currentRoom)) {
+                activeStrokes.set(currentRoom, new Map());
+            }
+            
+            const strokes = activeStrokes.get(currentRoom);
+            if (strokes.has(data.id)) return;
+            
+            const stroke = {
+                id: data.id,
+                userId: participantId,
+                tool: STROKE_TOOLS.includes(data.tool) ? data.tool : 'pen',
+                color: typeof data.color === 'string' ? data.color.slice(0, 32) : '#000000',
+                size: Math.min(Math.max(Number(data.size) || 3, 1), 100),
+                points: sanitizePoints(data.points).slice(0, MAX_STROKE_POINTS),
+                times: [],
+                createdAt: Date.now()
+            };
+            stroke.times = stroke.points.map(() => 0);
+            
+            strokes.set(stroke.id, stroke);
+            ownStrokeIds.add(stroke.id);
+            
+            // 같은 방의 다른 사용자에게 스트로크 시작 브로드캐스트
+            broadcastDrawing(currentRoom, 'strokeBegin', stroke);
+            
+            // 종료하지 않은 스트로크가 쌓이지 않도록 가장 오래된 스트로크부터 완성 처리
+            if (ownStrokeIds.size > MAX_OPEN_STROKES) {
+                const [oldestId] = ownStrokeIds;
+                
+                finishOwnStroke(roomCode, oldestId)
+                    .then(sendHistoryState)
+                    .catch(error => logToFile(`스트로크 완성 처리 오류: ${error.message}`));
             }
         } catch (error) {
-            console.error(`방 입장 오류:`, error);
-            logToFile(`방 입장 오류: ${error.message}`);
-            socket.emit('error', { message: '방 입장 중 오류가 발생했습니다.' });
+            console.error(`스트로크 시작 처리 오류:`, error);
+            logToFile(`스트로크 시작 처리 오류: ${error.message}`);
+        }
+    }
+    
+    // 스트로크 좌표 추가 - { id, points: [[x, y], ...] }
+    socket.on('strokeAppend', async (message) => {
+        try {
+            const data = readDrawingMessage('strokeAppend', message);
+            if (!data || !currentRoom) return;
+            
+            // 시작을 처리하는 중이면 기다렸다가 받은 순서대로 추가
+            const pending = pendingStrokeBegins.get(data.id);
+            if (pending) await pending;
+            
+            const stroke = getOwnActiveStroke(data.id);
+            if (!stroke || !canDraw()) return;
+            
+            const points = sanitizePoints(data.points)
+                .slice(0, MAX_STROKE_POINTS - stroke.points.length);
+            if (points.length === 0) return;
+            
+            // 서버 수신 시간 기록 (타임랩스 재생용)
+            const elapsed = Date.now() - stroke.createdAt;
+            stroke.points.push(...points);
+            stroke.times.push(...points.map(() => elapsed));
+            
+            broadcastDrawing(currentRoom, 'strokeAppend', { id: stroke.id, points });
+        } catch (error) {
+            console.error(`스트로크 좌표 처리 오류:`, error);
+            logToFile(`스트로크 좌표 처리 오류: ${error.message}`);
+        }
+    });
+    
+    // 스트로크 종료 - { id }
+    // 응답: { seq } - 완성한 스트로크의 보드 변경 순번
+    socket.on('strokeEnd', async (message, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
+        try {
+            const data = readDrawingMessage('strokeEnd', message);
+            if (!data || !currentRoom) return;
+            
+            const pending = pendingStrokeBegins.get(data.id);
+            if (pending) await pending;
+            
+            const roomCode = currentRoom;
+            if (!getOwnActiveStroke(data.id)) return;
+            
+            // 순번만 매기고 바로 종료 방송 - 스트로크, 타임라인, 실행 취소용 작업 기록은 그 뒤에 저장
+            ownStrokeIds.delete(data.id);
+            const finished = await finishActiveStroke(roomCode, data.id);
+            if (!finished) return;
+            
+            broadcastDrawing(roomCode, 'strokeEnd', { id: data.id, seq: finished.seq });
+            reply({ seq: finished.seq });
+            
+            await recordFinishedStroke(roomCode, finished);
+            await recordAction(roomCode, participantId, { type: 'stroke', id: data.id });
+            await sendHistoryState();
+        } catch (error) {
+            console.error(`스트로크 종료 처리 오류:`, error);
+            logToFile(`스트로크 종료 처리 오류: ${error.message}`);
         }
     });
     
-    // 그리기 데이터 요청 처리
-    socket.on('requestDrawingData', async () => {
+    // 이 소켓이 그리던 스트로크 완성 처리 (종료 이벤트 없이 끝내는 경우)
+    async function finishOwnStroke(roomCode, strokeId) {
+        ownStrokeIds.delete(strokeId);
+        
+        const finished = await finishActiveStroke(roomCode, strokeId);
+        if (!finished) return;
+        
+        broadcastDrawing(roomCode, 'strokeEnd', { id: strokeId, seq: finished.seq });
+        
+        await recordFinishedStroke(roomCode, finished);
+        await recordAction(roomCode, participantId, { type: 'stroke', id: strokeId });
+    }
+    
+    // 이 소켓이 그리던 스트로크를 모두 완성 처리 (연결 종료, 방 이동 시)
+    async function finishOwnStrokes(roomCode) {
+        const strokeIds = [...ownStrokeIds];
+        ownStrokeIds.clear();
+        
+        for (const strokeId of strokeIds) {
+            await finishOwnStroke(roomCode, strokeId);
+        }
+    }
+    
+    // 실행 취소/다시 실행 가능 여부를 본인에게 전송
+    async function sendHistoryState() {
         try {
-            if (!currentRoom) return;
+            if (!currentRoom || !isStorageAvailable()) return;
             
-            const drawingPoints = await getDrawingPoints(currentRoom);
-            socket.emit('loadDrawing', drawingPoints);
-            logToFile(`요청에 따라 ${drawingPoints.length}개의 그리기 데이터를 클라이언트에 전송했습니다.`);
+            socket.emit('historyState', await getHistoryState(currentRoom, participantId));
         } catch (error) {
-            logToFile(`그리기 데이터 요청 오류: ${error.message}`);
-            socket.emit('error', { message: '그리기 데이터 로드 중 오류가 발생했습니다.' });
+            logToFile(`작업 기록 상태 조회 오류: ${error.message}`);
         }
-    });
+    }
     
-    // 이미지 데이터 요청 처리
-    socket.on('requestImageData', async () => {
+    // 내 작업 실행 취소/다시 실행 - 결과는 방 전체에 전송
+    async function handleHistory(undo) {
         try {
-            if (!currentRoom) {
-                socket.emit('error', { message: '방에 입장하지 않은 상태입니다. 페이지를 새로고침해 주세요.' });
+            if (!currentRoom || !isStorageAvailable()) return;
+            if (!requireDraw()) return;
+            
+            const roomCode = currentRoom;
+            const fromKey = `room:${roomCode}:${undo ? 'undo' : 'redo'}:${participantId}`;
+            const toKey = `room:${roomCode}:${undo ? 'redo' : 'undo'}:${participantId}`;
+            
+            const actionData = await storage.rPop(fromKey);
+            if (!actionData) {
+                await sendHistoryState();
                 return;
             }
             
-            console.log(`이미지 데이터 요청: 방 ${currentRoom}, 사용자 ${socket.id}`);
+            const action = JSON.parse(actionData);
             
-            const images = await getImages(currentRoom);
-            console.log(`요청에 의해 로드한 이미지 개수: ${images.length}`);
+            // 지우기와 이미지 작업은 방 설정의 권한도 확인 (방장 전용이면 되돌리거나 다시 실행하지 않고 목록에 남김)
+            if (ACTION_PERMISSIONS[action.type] && !requireDraw(action.type)) {
+                await storage.rPush(fromKey, actionData);
+                return;
+            }
             
-            socket.emit('loadImages', images);
-            logToFile(`요청에 따라 ${images.length}개의 이미지 데이터를 클라이언트에 전송했습니다.`);
+            // 적용하지 못하면 작업을 원래 목록에 되돌려 다시 시도할 수 있게 함
+            let result;
+            try {
+                result = await applyHistoryAction(roomCode, action, undo);
+            } catch (error) {
+                await storage.rPush(fromKey, actionData);
+                throw error;
+            }
+            
+            await storage.rPush(toKey, actionData);
+            await storage.lTrim(toKey, -MAX_HISTORY_ACTIONS, -1);
+            await expireRoomKey(roomCode, toKey);
+            markBoardChanged(roomCode);
+            
+            const seq = await appendTimeline(roomCode, { type: TIMELINE_HISTORY_TYPES[result.event], ...result.data });
+            io.to(roomCode).emit(result.event, { ...result.data, changedBy: participantId, seq });
+            logToFile(`방 ${roomCode}에서 ${undo ? '실행 취소' : '다시 실행'}: ${action.type} ${action.id} (요청자: ${socket.id})`);
+            
+            await sendHistoryState();
         } catch (error) {
-            console.error(`이미지 데이터 요청 오류:`, error);
-            logToFile(`이미지 데이터 요청 오류: ${error.message}`);
-            socket.emit('error', { message: '이미지 데이터 로드 중 오류가 발생했습니다.' });
+            console.error(`실행 취소/다시 실행 오류:`, error);
+            logToFile(`실행 취소/다시 실행 오류: ${error.message}`);
+            socket.emit('error', { message: '실행 취소/다시 실행 중 오류가 발생했습니다.' });
         }
-    });
+    }
     
-    // 그리기 권한 제어 이벤트 추가
-    socket.on('toggleDrawing', async (enabled) => {
+    // 실행 취소 (Ctrl+Z)
+    socket.on('undo', () => handleHistory(true));
+    
+    // 다시 실행 (Ctrl+Shift+Z)
+    socket.on('redo', () => handleHistory(false));
+    
+    // 이미지 분할 업로드 시작/이어 올리기 - { uploadId?, hash, size, mimeType }
+    // 응답: { uploadId, chunkSize, totalChunks, received: [받은 청크 번호] } 또는 이미 있는 이미지면 { hash, complete: true }
+    socket.on('imageUploadStart', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
         try {
             if (!currentRoom) {
-                socket.emit('error', { message: '방에 입장하지 않은 상태입니다.' });
+                reply({ error: '방에 입장하지 않은 상태입니다. 페이지를 새로고침해 주세요.' });
                 return;
             }
             
-            // 방 정보 확인
-            const roomInfo = rooms[currentRoom];
-            
-            if (!roomInfo) {
-                socket.emit('error', { message: '방 정보를 찾을 수 없습니다.' });
-                return;
+            if (!data) return reply({ error: '업로드 정보가 없습니다.' });
+            if (!canDraw('image')) {
+                const denial = drawDenial('image');
+                return reply({ error: denial.message, code: denial.code });
             }
             
-            // 생성자 ID 확인 (소켓 ID 또는 IP 기반 생성자 ID)
-            const isCreator = socket.id === roomInfo.creatorId || 
-                             (socket.handshake.headers['x-creator-id'] === roomInfo.creatorId);
-            
-            // 생성자만 그리기 권한을 제어할 수 있음
-            if (!isCreator) {
-                socket.emit('error', { message: '방 생성자만 그리기 권한을 제어할 수 있습니다.' });
-                return;
+            // 같은 이미지가 이미 올라와 있으면 청크를 보내지 않음
+            const existingHash = await findRoomImageBlob(currentRoom, data.hash);
+            if (existingHash) {
+                return reply({ hash: existingHash, complete: true });
             }
             
-            console.log(`방 ${currentRoom}의 그리기 권한 변경: ${enabled ? '활성화' : '비활성화'} (요청자: ${socket.id})`);
-            logToFile(`방 ${currentRoom}의 그리기 권한 변경: ${enabled ? '활성화' : '비활성화'} (요청자: ${socket.id})`);
-            
-            // 그리기 상태 업데이트
-            roomInfo.drawingEnabled = enabled;
+            const { upload, received } = await startImageUpload(currentRoom, participantId, data);
             
-            // Redis에도 업데이트
-            if (isRedisAvailable()) {
-                const roomKey = `room:${currentRoom}`;
-                await redisClient.hSet(roomKey, 'drawingEnabled', enabled ? 'true' : 'false');
+            if (received.length === 0) {
+                logToFile(`방 ${currentRoom}에서 이미지 업로드 시작: ${upload.id} (${upload.size} bytes, 청크 ${upload.totalChunks}개, 사용자: ${socket.id})`);
+            } else {
+                logToFile(`방 ${currentRoom}에서 이미지 업로드 이어 올리기: ${upload.id} (받은 청크 ${received.length}/${upload.totalChunks}개)`);
             }
             
-            // 방의 모든 사용자에게 그리기 상태 변경 알림
-            io.to(currentRoom).emit('drawingPermissionChanged', {
-                enabled: enabled,
-                changedBy: socket.id
+            reply({
+                uploadId: upload.id,
+                chunkSize: upload.chunkSize,
+                totalChunks: upload.totalChunks,
+                received
             });
-            
-            logToFile(`방 ${currentRoom}의 그리기 권한이 ${enabled ? '활성화' : '비활성화'}되었습니다. (변경자: ${socket.id})`);
         } catch (error) {
-            console.error(`그리기 권한 제어 오류:`, error);
-            logToFile(`그리기 권한 제어 오류: ${error.message}`);
-            socket.emit('error', { message: '그리기 권한 제어 중 오류가 발생했습니다.' });
+            if (error.code === 'INVALID_UPLOAD') return reply({ error: error.message });
+            if (isImageError(error)) return reply({ error: error.message, code: error.code });
+            
+            console.error(`이미지 업로드 시작 오류:`, error);
+            logToFile(`이미지 업로드 시작 오류: ${error.message}`);
+            reply({ error: '이미지 업로드 중 오류가 발생했습니다.' });
         }
     });
-
-    // 그리기 이벤트 수신 및 브로드캐스트 - 권한 체크 추가
-    socket.on('draw', async (data) => {
+    
+    // 이미지 청크 수신 - { uploadId, index, data } (청크마다 응답하여 클라이언트가 실패한 청크만 다시 보냄)
+    socket.on('imageChunk', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
         try {
-            if (!currentRoom) return;
+            const upload = data && await getImageUpload(data.uploadId);
             
-            // 방 정보 확인
-            const roomInfo = rooms[currentRoom];
-            
-            if (!roomInfo) {
-                console.log(`방 정보를 찾을 수 없음: ${currentRoom}`);
-                return;
+            if (!upload || upload.roomCode !== currentRoom) {
+                return reply({ error: '업로드 정보를 찾을 수 없습니다. 다시 올려 주세요.', expired: true });
             }
             
-            // 그리기가 비활성화되었고, 생성자가 아니면 그리기 무시
-            if (roomInfo.drawingEnabled === false && socket.id !== roomInfo.creatorId) {
-                console.log(`그리기 권한 없음: ${socket.id} (방: ${currentRoom})`);
-                return;
+            // 업로드하는 동안 역할이나 이미지 권한이 바뀌었을 수 있으므로 다시 확인
+            if (!canDraw('image')) {
+                const denial = drawDenial('image');
+                return reply({ error: denial.message, code: denial.code });
             }
             
-            // Redis에 그리기 데이터 저장
-            await saveDrawingPoint(currentRoom, data);
-            
-            // 같은 방의 다른 사용자에게 그리기 데이터 브로드캐스트
-            socket.to(currentRoom).emit('draw', data);
+            await saveImageChunk(upload, data.index, data.data);
+            reply({ index: data.index });
         } catch (error) {
-            console.error(`그리기 데이터 처리 오류:`, error);
-            logToFile(`그리기 데이터 처리 오류: ${error.message}`);
+            if (error.code === 'INVALID_UPLOAD') return reply({ error: error.message });
+            
+            console.error(`이미지 청크 처리 오류:`, error);
+            logToFile(`이미지 청크 처리 오류: ${error.message}`);
+            reply({ error: '이미지 청크 처리 중 오류가 발생했습니다.' });
         }
     });
-
-    // 이미지 청크 처리
-    socket.on('imageChunk', async (data) => {
+    
+    // 이미지 업로드 완료 - { uploadId }
+    // 청크를 합쳐 해시를 확인하고 저장한 뒤 { hash } 응답 (빠진 청크가 있으면 { missing })
+    // 보드에는 응답받은 해시로 pasteImage 를 보내 추가한다.
+    socket.on('imageUploadComplete', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
         try {
-            if (!currentRoom) {
-                socket.emit('error', { message: '방에 입장하지 않은 상태입니다. 페이지를 새로고침해 주세요.' });
-                return;
-            }
+            const upload = data && await getImageUpload(data.uploadId);
             
-            const { chunkIndex, totalChunks } = data;
+            if (!upload || upload.roomCode !== currentRoom) {
+                return reply({ error: '업로드 정보를 찾을 수 없습니다. 다시 올려 주세요.', expired: true });
+            }
             
-            // 첫 번째 청크일 때만 로그 기록
-            if (chunkIndex === 0) {
-                console.log(`이미지 청크 수신 시작: 방 ${currentRoom}, 사용자 ${socket.id}, 총 ${totalChunks}개 청크`);
-                logToFile(`방 ${currentRoom}에서 이미지 청크 수신 시작 (사용자: ${socket.id}, 총 청크: ${totalChunks}개)`);
+            // 업로드하는 동안 역할이나 이미지 권한이 바뀌었을 수 있으므로 다시 확인
+            if (!canDraw('image')) {
+                const denial = drawDenial('image');
+                return reply({ error: denial.message, code: denial.code });
             }
             
-            // 마지막 청크일 때 로그 기록
-            if (chunkIndex === totalChunks - 1) {
-                console.log(`이미지 청크 수신 완료: 방 ${currentRoom}, 사용자 ${socket.id}`);
-                logToFile(`방 ${currentRoom}에서 이미지 청크 수신 완료 (사용자: ${socket.id})`);
+            const { blob, missing } = await completeImageUpload(upload);
+            
+            if (missing) {
+                return reply({ missing });
             }
             
-            // 같은 방의 다른 사용자에게 청크 전달 (자신 제외)
-            socket.to(currentRoom).emit('imageChunk', data);
+            console.log(`이미지 업로드 완료: 방 ${currentRoom}, ${blob.hash} (${Math.round(blob.size / 1024)}KB)`);
+            logToFile(`방 ${currentRoom}에서 이미지 업로드 완료: ${upload.id} -> ${blob.hash} (${blob.size} bytes${blob.deduplicated ? ', 중복' : ''})`);
             
+            reply({ hash: blob.hash });
         } catch (error) {
-            console.error(`이미지 청크 처리 오류:`, error);
-            logToFile(`이미지 청크 처리 오류: ${error.message}`);
-            socket.emit('error', { message: '이미지 청크 처리 중 오류가 발생했습니다.' });
+            if (error.code === 'INVALID_UPLOAD') {
+                logToFile(`이미지 업로드 검증 실패: ${data.uploadId} - ${error.message}`);
+                return reply({ error: error.message, expired: true });
+            }
+            if (isImageError(error)) {
+                logToFile(`이미지 업로드 거부: ${data.uploadId} - ${error.code}`);
+                return reply({ error: error.message, code: error.code });
+            }
+            
+            console.error(`이미지 업로드 완료 처리 오류:`, error);
+            logToFile(`이미지 업로드 완료 처리 오류: ${error.message}`);
+            reply({ error: '이미지 업로드 중 오류가 발생했습니다.' });
         }
     });
 
     // 이미지 붙여넣기 이벤트 수신 및 브로드캐스트
-    socket.on('pasteImage', async (data) => {
+    // 이미지 파일은 먼저 POST /api/rooms/:roomCode/images 로 업로드하고 해시와 위치만 전송 - { id, hash, x, y, width, height }
+    // 응답: { seq } - 붙여넣은 이미지의 보드 변경 순번
+    socket.on('pasteImage', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
         try {
             if (!currentRoom) {
                 socket.emit('error', { message: '방에 입장하지 않은 상태입니다. 페이지를 새로고침해 주세요.' });
                 return;
             }
             
+            if (!data || !requireDraw('image')) return;
+            
             console.log(`이미지 붙여넣기 요청 수신: 방 ${currentRoom}, 사용자 ${socket.id}`);
-            logToFile(`방 ${currentRoom}에서 이미지 붙여넣기 요청 수신 (사용자: ${socket.id})`);
+            logToFile(`방 ${currentRoom}에서 이미지 붙여넣기 요청 수신 (사용자: ${socket.id}, 해시: ${data.hash})`);
             
-            // 사용자 ID 확인
-            if (!data.userId) {
-                data.userId = socket.id;
+            // 이 방에 업로드된 이미지인지 확인
+            if (!(await hasRoomImageBlob(currentRoom, data.hash))) {
+                socket.emit('error', { message: '이미지를 찾을 수 없습니다. 다시 붙여넣어 주세요.' });
+                return;
             }
             
-            // 타임스탬프 추가
-            if (!data.timestamp) {
-                data.timestamp = Date.now();
+            // 이미지 ID 확인 (클라이언트에서 생성한 ID가 없으면 서버에서 생성) - 방에서 이미 쓴 ID는 받지 않음
+            const imageId = typeof data.id === 'string' && data.id.length <= 64 ? data.id : crypto.randomUUID();
+            if (!(await claimItemIds(currentRoom, [imageId]))) {
+                socket.emit('error', { message: '이미 사용된 이미지 ID입니다.' });
+                return;
             }
             
-            // 이미지 데이터 크기 확인
-            const imageSize = data.imageData ? data.imageData.length : 0;
-            console.log(`이미지 데이터 크기: ${Math.round(imageSize / 1024)}KB`);
-            
-            // 이미지 데이터가 너무 크면 로그에 전체 데이터를 기록하지 않음
-            const logData = { ...data };
-            if (logData.imageData && logData.imageData.length > 100) {
-                logData.imageData = `${logData.imageData.substring(0, 100)}... (${logData.imageData.length} bytes)`;
-            }
+            const now = Date.now();
+            const image = {
+                id: imageId,
+                // 사용자 ID는 항상 서버에서 설정 (실행 취소 시 작성자 확인에 사용)
+                userId: participantId,
+                hash: data.hash,
+                x: Number(data.x) || 0,
+                y: Number(data.y) || 0,
+                width: Number(data.width) || 0,
+                height: Number(data.height) || 0,
+                timestamp: Number(data.timestamp) || now,
+                createdAt: now
+            };
             
-            // 메모리에 이미지 데이터 저장
-            const saved = await saveImage(currentRoom, data);
+            const saved = await saveImage(currentRoom, image);
             
             if (saved) {
                 console.log(`이미지 저장 성공: 방 ${currentRoom}`);
                 
-                // 같은 방의 다른 사용자에게 이미지 데이터 브로드캐스트 (자신 제외)
-                socket.to(currentRoom).emit('pasteImage', data);
-                logToFile(`방 ${currentRoom}에 pasteImage 이벤트 브로드캐스트 완료 (이미지 크기: ${data.width}x${data.height})`);
+                // 실행 취소할 수 있도록 작업 기록
+                await recordAction(currentRoom, participantId, { type: 'image', id: image.id });
+                const seq = await appendTimeline(currentRoom, { type: 'image', t: image.createdAt, image });
+                await touchRoomImageBlobs(currentRoom);
+                await sendHistoryState();
+                
+                // 같은 방의 다른 사용자에게 이미지 위치와 해시 브로드캐스트 (자신 제외)
+                socket.to(currentRoom).emit('pasteImage', { ...image, seq });
+                reply({ seq });
+                logToFile(`방 ${currentRoom}에 pasteImage 이벤트 브로드캐스트 완료 (이미지 크기: ${image.width}x${image.height})`);
             } else {
                 console.error(`이미지 저장 실패: 방 ${currentRoom}`);
                 socket.emit('error', { message: '이미지 저장 중 오류가 발생했습니다.' });
@@ -1016,7 +4362,10 @@ io.on('connection', (socket) => {
     });
 
     // 캔버스 지우기 이벤트 수신 및 브로드캐스트 - 모든 사용자가 지울 수 있도록 수정
-    socket.on('clearCanvas', async () => {
+    // 응답: { seq } - 지우기의 보드 변경 순번
+    socket.on('clearCanvas', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        
         try {
             if (!currentRoom) return;
             
@@ -1028,16 +4377,24 @@ io.on('connection', (socket) => {
                 return;
             }
             
-            // 방 생성자 확인 코드 제거 - 모든 사용자가 지울 수 있도록 함
+            // 편집 권한이 있는 참가자만 지울 수 있음 (방 설정에 따라 방장만)
+            if (!requireDraw('clear')) return;
             
             logToFile(`방 ${currentRoom}에서 캔버스 지우기 요청 수신 (요청자: ${socket.id})`);
             
-            // Redis에서 그리기 및 이미지 데이터 삭제
-            await clearDrawingPoints(currentRoom);
-            await clearImages(currentRoom);
+            // 지우기 전 체크포인트 저장 (방장이 기록 패널에서 복원 가능)
+            await createCheckpoint(currentRoom, { kind: 'clear', createdBy: participantId });
+            
+            // 스트로크 및 이미지 데이터를 보관 후 삭제 (실행 취소 시 복원)
+            const clearId = crypto.randomUUID();
+            await archiveAndClearBoard(currentRoom, clearId);
+            await recordAction(currentRoom, participantId, { type: 'clear', id: clearId });
+            const seq = await appendTimeline(currentRoom, { type: 'clear' });
+            await sendHistoryState();
             
             // 같은 방의 다른 사용자에게 캔버스 지우기 이벤트 브로드캐스트
-            socket.to(currentRoom).emit('clearCanvas', { clearedBy: socket.id });
+            socket.to(currentRoom).emit('clearCanvas', { clearedBy: participantId, seq });
+            reply({ seq });
             logToFile(`방 ${currentRoom}에 clearCanvas 이벤트 브로드캐스트 완료`);
         } catch (error) {
             console.error(`캔버스 지우기 오류:`, error);
@@ -1046,69 +4403,146 @@ io.on('connection', (socket) => {
         }
     });
 
-    // 연결 상태 확인 핑
-    socket.on('ping', (callback) => {
-        if (typeof callback === 'function') {
-            // 현재 방의 실제 참가자 수 가져오기
-            const roomCode = userRooms.get(socket.id);
-            let roomUsers = 0;
-            
-            if (roomCode) {
-                const sockets = io.sockets.adapter.rooms.get(roomCode);
-                roomUsers = sockets ? sockets.size : 0;
-                
-                // 방 정보 업데이트
-                if (rooms[roomCode] && rooms[roomCode].users !== roomUsers) {
-                    rooms[roomCode].users = roomUsers;
-                }
+    // 체크포인트 목록 요청 (방장 전용)
+    socket.on('listCheckpoints', async () => {
+        try {
+            if (!currentRoom || !requireHost('방장만 보드 기록을 볼 수 있습니다.')) return;
+            
+            const checkpoints = await getCheckpoints(currentRoom);
+            socket.emit('checkpointList', checkpoints.reverse());
+        } catch (error) {
+            console.error(`체크포인트 목록 조회 오류:`, error);
+            logToFile(`체크포인트 목록 조회 오류: ${error.message}`);
+            socket.emit('error', { message: '보드 기록을 불러오는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 수동 체크포인트 저장 (방장 전용) - { name }
+    socket.on('createCheckpoint', async (data) => {
+        try {
+            if (!currentRoom || !requireHost('방장만 체크포인트를 저장할 수 있습니다.')) return;
+            
+            const name = data && typeof data.name === 'string' ? data.name.trim().slice(0, 50) : '';
+            const checkpoint = await createCheckpoint(currentRoom, { kind: 'manual', name, createdBy: participantId });
+            
+            if (!checkpoint) {
+                socket.emit('error', { message: '빈 보드는 체크포인트로 저장할 수 없습니다.' });
+                return;
             }
             
-            callback({
-                id: socket.id,
-                connectedClients: connectedClients,
-                roomUsers: roomUsers
-            });
-        } else {
-            // 현재 방의 실제 참가자 수 가져오기
-            const roomCode = userRooms.get(socket.id);
-            let roomUsers = 0;
+            const checkpoints = await getCheckpoints(currentRoom);
+            socket.emit('checkpointList', checkpoints.reverse());
+        } catch (error) {
+            console.error(`체크포인트 저장 오류:`, error);
+            logToFile(`체크포인트 저장 오류: ${error.message}`);
+            socket.emit('error', { message: '체크포인트 저장 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 체크포인트 미리보기 (방장 전용) - { id }
+    socket.on('previewCheckpoint', async (data) => {
+        try {
+            if (!currentRoom || !data || !requireHost('방장만 보드 기록을 볼 수 있습니다.')) return;
             
-            if (roomCode) {
-                const sockets = io.sockets.adapter.rooms.get(roomCode);
-                roomUsers = sockets ? sockets.size : 0;
-                
-                // 방 정보 업데이트
-                if (rooms[roomCode] && rooms[roomCode].users !== roomUsers) {
-                    rooms[roomCode].users = roomUsers;
-                }
+            const snapshot = await getCheckpointData(currentRoom, data.id);
+            
+            if (!snapshot) {
+                socket.emit('error', { message: '체크포인트를 찾을 수 없습니다.' });
+                return;
+            }
+            
+            socket.emit('checkpointPreview', { id: data.id, ...snapshot });
+        } catch (error) {
+            console.error(`체크포인트 미리보기 오류:`, error);
+            logToFile(`체크포인트 미리보기 오류: ${error.message}`);
+            socket.emit('error', { message: '체크포인트를 불러오는 중 오류가 발생했습니다.' });
+        }
+    });
+    
+    // 체크포인트 복원 (방장 전용) - { id }
+    socket.on('restoreCheckpoint', async (data) => {
+        try {
+            if (!currentRoom || !data || !requireHost('방장만 보드를 복원할 수 있습니다.')) return;
+            
+            const roomCode = currentRoom;
+            
+            // 복원도 되돌릴 수 있도록 현재 보드를 먼저 저장
+            await createCheckpoint(roomCode, { kind: 'restore', createdBy: participantId });
+            
+            const snapshot = await restoreCheckpoint(roomCode, data.id);
+            
+            if (!snapshot) {
+                socket.emit('error', { message: '체크포인트를 찾을 수 없습니다.' });
+                return;
             }
             
-            socket.emit('pong', {
+            const seq = await appendTimeline(roomCode, { type: 'board', ...snapshot });
+            io.to(roomCode).emit('boardRestored', { checkpointId: data.id, ...snapshot, restoredBy: participantId, seq });
+            logToFile(`방 ${roomCode}의 보드를 체크포인트 ${data.id}로 복원 (요청자: ${socket.id})`);
+            
+            const checkpoints = await getCheckpoints(roomCode);
+            socket.emit('checkpointList', checkpoints.reverse());
+        } catch (error) {
+            console.error(`체크포인트 복원 오류:`, error);
+            logToFile(`체크포인트 복원 오류: ${error.message}`);
+            socket.emit('error', { message: '보드 복원 중 오류가 발생했습니다.' });
+        }
+    });
+
+    // 타임랩스 재생용 타임라인 요청 - data: { offset }, 한 번에 한 쪽씩 보내고 클라이언트가 nextOffset으로 다음 쪽을 요청
+    socket.on('requestTimeline', async (data) => {
+        try {
+            if (!currentRoom) return;
+            
+            const offset = Math.max(0, parseInt(data && data.offset, 10) || 0);
+            const { events, nextOffset } = await getTimelinePage(currentRoom, offset);
+            socket.emit('timeline', { events, offset, nextOffset, serverTime: Date.now() });
+            logToFile(`요청에 따라 ${events.length}개의 타임라인 이벤트를 클라이언트에 전송했습니다. (시작 위치: ${offset})`);
+        } catch (error) {
+            console.error(`타임라인 요청 오류:`, error);
+            logToFile(`타임라인 요청 오류: ${error.message}`);
+            socket.emit('error', { message: '다시 보기 데이터를 불러오는 중 오류가 발생했습니다.' });
+        }
+    });
+
+    // 연결 상태 확인 핑
+    socket.on('ping', async (callback) => {
+        try {
+            // 현재 방의 실제 참가자 수 가져오기 (모든 인스턴스)
+            const roomUsers = currentRoom ? await updateRoomUsers(currentRoom) : 0;
+            
+            const status = {
                 id: socket.id,
                 connectedClients: connectedClients,
                 roomUsers: roomUsers
-            });
+            };
+            
+            if (typeof callback === 'function') {
+                callback(status);
+            } else {
+                socket.emit('pong', status);
+            }
+        } catch (error) {
+            logToFile(`핑 처리 오류: ${error.message}`);
         }
     });
 
     // 방 정보 요청 처리
-    socket.on('requestRoomInfo', () => {
-        const roomCode = userRooms.get(socket.id);
-        if (roomCode) {
-            // 현재 방의 실제 참가자 수 가져오기
-            const sockets = io.sockets.adapter.rooms.get(roomCode);
-            const actualUsers = sockets ? sockets.size : 0;
+    socket.on('requestRoomInfo', async () => {
+        try {
+            const roomCode = currentRoom;
+            if (!roomCode) return;
             
-            // 방 정보 업데이트
-            if (rooms[roomCode]) {
-                rooms[roomCode].users = actualUsers;
-            }
+            // 현재 방의 실제 참가자 수 가져오기 (모든 인스턴스)
+            const actualUsers = await updateRoomUsers(roomCode);
             
             socket.emit('roomInfo', {
                 roomCode: roomCode,
                 users: actualUsers,
                 createdAt: rooms[roomCode] ? rooms[roomCode].createdAt : Date.now()
             });
+        } catch (error) {
+            logToFile(`방 정보 요청 오류: ${error.message}`);
         }
     });
 
@@ -1138,8 +4572,11 @@ io.on('connection', (socket) => {
         try {
             // 방에서 나가기 처리
             if (currentRoom) {
-                // userRooms 맵에서 사용자 정보 제거
-                userRooms.delete(socket.id);
+                // 그리던 스트로크가 있으면 완성하여 저장
+                await finishOwnStrokes(currentRoom);
+                
+                // 참가자 소켓 제거 (유예 시간 안에 다시 연결하면 같은 참가자로 유지)
+                await leaveParticipant(currentRoom);
                 
                 // 방 정보 확인
                 const roomInfo = rooms[currentRoom];
@@ -1148,15 +4585,14 @@ io.on('connection', (socket) => {
                     return;
                 }
                 
-                // 방 정보 업데이트 (실제 참가자 수 확인)
-                updateRoomInfo(currentRoom);
-                
-                // 현재 방의 실제 참가자 수 가져오기
-                const sockets = io.sockets.adapter.rooms.get(currentRoom);
-                const actualUsers = sockets ? sockets.size : 0;
+                // 방 정보 업데이트 (모든 인스턴스의 실제 참가자 수 확인)
+                const actualUsers = await updateRoomUsers(currentRoom);
                 
                 logToFile(`사용자 ${socket.id}가 방 ${currentRoom}에서 연결 끊김 (이유: ${reason}) (현재 인원: ${actualUsers}명)`);
             } else {
+                // 대기실에서 기다리던 중이면 대기 목록에서 제거
+                await leaveWaitingRoom();
+                
                 logToFile(`사용자 연결 끊김: ${socket.id} (이유: ${reason}) (현재 연결: ${connectedClients}명)`);
             }
         } catch (error) {
@@ -1168,6 +4604,9 @@ io.on('connection', (socket) => {
     socket.emit('connectionEstablished', {
         message: '서버에 연결되었습니다.',
         socketId: socket.id,
+        participantId,
+        participantToken: socket.data.participantToken, // 새로 발급한 경우에만 포함 (브라우저에 저장)
+        wire: binaryWire ? 'binary' : 'json', // 그리기 데이터 전송 형식
         timestamp: new Date().toISOString()
     });
 });
@@ -1179,6 +4618,49 @@ setInterval(() => {
     logToFile(`메모리 사용량: ${Math.round(memoryUsage.heapUsed / 1024 / 1024)}MB / ${Math.round(memoryUsage.heapTotal / 1024 / 1024)}MB`);
 }, 300000); // 5분마다 실행
 
+// 만료된 키 처리 - 방 정보 키가 만료되면 메모리에서 방 정보 삭제
+// (스트로크, 체크포인트 등 방 데이터 키는 마지막 변경 시점 기준으로 따로 만료되므로 방 정보는 남겨 둔다)
+function handleExpiredKey(key) {
+    logToFile(`저장소 키 만료됨: ${key}`);
+    
+    if (key.startsWith('room:')) {
+        const parts = key.split(':');
+        if (parts.length === 2) {
+            const roomCode = parts[1];
+            
+            // 메모리에서 방 정보 삭제
+            if (rooms[roomCode]) {
+                delete rooms[roomCode];
+                strokeSnapshotCache.delete(roomCode);
+                logToFile(`만료된 방 정보 삭제: ${roomCode}`);
+            }
+        }
+    }
+}
+
+// Socket.IO Redis 어댑터 설정 - 다른 인스턴스에 연결된 소켓에도 방송하고, 인스턴스 사이에 이벤트 전달(notifyInstances)
+// 여러 인스턴스 앞의 로드 밸런서는 같은 클라이언트의 HTTP 롱 폴링 요청을 같은 인스턴스로 보내야 한다 (sticky session).
+// 로드 밸런서 뒤에서는 입장 실패 제한이 클라이언트 IP를 구분하도록 TRUST_PROXY도 설정한다.
+async function setupRedisAdapter() {
+    const { createAdapter } = require('@socket.io/redis-adapter');
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    
+    for (const client of [pubClient, subClient]) {
+        client.on('error', (err) => {
+            console.error(`Redis 어댑터 연결 오류: ${err}`);
+            logToFile(`Redis 어댑터 연결 오류: ${err}`);
+        });
+    }
+    
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    
+    io.adapter(createAdapter(pubClient, subClient));
+    clustered = true;
+    
+    logToFile(`Socket.IO Redis 어댑터 설정 완료 (인스턴스: ${INSTANCE_ID})`);
+}
+
 // Redis 키 만료 모니터링 설정
 async function setupRedisExpireMonitoring() {
     try {
@@ -1188,23 +4670,7 @@ async function setupRedisExpireMonitoring() {
         
         // 키 만료 이벤트 구독
         await subscriber.configSet('notify-keyspace-events', 'Ex');
-        await subscriber.subscribe('__keyevent@0__:expired', (message) => {
-            logToFile(`Redis 키 만료됨: ${message}`);
-            
-            // 방 관련 키가 만료된 경우 처리
-            if (message.startsWith('room:')) {
-                const parts = message.split(':');
-                if (parts.length >= 2) {
-                    const roomCode = parts[1];
-                    
-                    // 메모리에서 방 정보 삭제
-                    if (rooms[roomCode]) {
-                        delete rooms[roomCode];
-                        logToFile(`만료된 방 정보 삭제: ${roomCode}`);
-                    }
-                }
-            }
-        });
+        await subscriber.subscribe('__keyevent@0__:expired', handleExpiredKey);
         
         logToFile('Redis 키 만료 모니터링 설정 완료');
     } catch (error) {
@@ -1217,83 +4683,162 @@ setInterval(async () => {
     console.log(`현재 연결된 클라이언트: ${connectedClients}명`);
     console.log(`활성화된 방 수: ${Object.keys(rooms).length}개`);
     
-    // 방 참가자 수 검증 및 수정
+    // 방 참가자 수 검증 및 수정 (모든 인스턴스가 각자 확인하므로 알림은 이 인스턴스의 소켓에만 전송)
     for (const [roomCode, room] of Object.entries(rooms)) {
-        // 실제 방에 연결된 소켓 수 계산
-        const sockets = io.sockets.adapter.rooms.get(roomCode);
-        const actualUsers = sockets ? sockets.size : 0;
+        // 실제 방의 참가자 수 계산 (모든 인스턴스)
+        let actualUsers;
+        try {
+            actualUsers = await presence.count(roomCode);
+        } catch (error) {
+            logToFile(`방 참가자 수 조회 오류: ${error.message}`);
+            continue;
+        }
         
-        // 항상 실제 연결된 사용자 수로 업데이트
+        // 항상 실제 참가자 수로 업데이트
         if (room.users !== actualUsers) {
             console.log(`방 ${roomCode}의 사용자 수 업데이트: ${room.users} -> ${actualUsers}`);
             room.users = actualUsers;
             
-            // Redis에도 업데이트
+            // 저장소에도 업데이트
             try {
                 const roomKey = `room:${roomCode}`;
-                const exists = await redisClient.exists(roomKey);
+                const exists = await storage.exists(roomKey);
                 
                 if (exists) {
-                    await redisClient.hSet(roomKey, 'users', actualUsers);
-                    await redisClient.hSet(roomKey, 'lastActive', Date.now());
+                    await storage.hSet(roomKey, 'users', actualUsers);
+                    await storage.hSet(roomKey, 'lastActive', Date.now());
                     
-                    // 사용자가 있으면 만료 시간 제거, 없으면 2시간 설정
-                    if (actualUsers > 0) {
-                        await redisClient.persist(roomKey);
-                    } else {
-                        await redisClient.expire(roomKey, 2 * 60 * 60);
+                    // 임시 방은 사용자가 있으면 만료 시간 제거, 없으면 2시간 후 만료 (아래 정리 작업이 1시간 후 먼저 삭제)
+                    // 기간/영구 보관 방은 참가자 수와 관계없이 보관 정책의 만료 시간 유지
+                    if (getRetention(room) === 'ephemeral') {
+                        if (actualUsers > 0) {
+                            await storage.persist(roomKey);
+                        } else {
+                            await storage.expire(roomKey, 2 * 60 * 60);
+                        }
                     }
                 }
             } catch (error) {
-                logToFile(`Redis 방 정보 업데이트 오류: ${error.message}`);
+                logToFile(`방 정보 업데이트 오류: ${error.message}`);
             }
             
-            // 방의 모든 사용자에게 업데이트된 사용자 수 알림
-            io.to(roomCode).emit('userCountUpdated', {
+            // 이 인스턴스에 연결된 방 사용자에게 업데이트된 사용자 수 알림
+            io.local.to(roomCode).emit('userCountUpdated', {
                 users: actualUsers
             });
         }
     }
     
-    // 빈 방 정리 (선택 사항)
+    // 만료된 방 정리 및 만료 임박 경고
     for (const [roomCode, room] of Object.entries(rooms)) {
-        if (room.users <= 0) {
-            // 마지막 활동 시간이 1시간 이상 지난 빈 방 삭제
-            const inactiveTime = Date.now() - room.lastActive;
-            if (inactiveTime > 60 * 60 * 1000) { // 1시간
-                console.log(`비활성 방 삭제: ${roomCode} (마지막 활동: ${new Date(room.lastActive).toISOString()})`);
-                
-                try {
-                    // Redis에서 방 관련 데이터 삭제
-                    const roomKey = `room:${roomCode}`;
-                    const pointsKey = `room:${roomCode}:points`;
-                    const imagesKey = `room:${roomCode}:images`;
-                    
-                    await redisClient.del(roomKey);
-                    await redisClient.del(pointsKey);
-                    await redisClient.del(imagesKey);
-                    
-                    // 메모리에서 방 정보 삭제
-                    delete rooms[roomCode];
-                    
-                    logToFile(`비활성 방 데이터 삭제 완료: ${roomCode}`);
-                } catch (error) {
-                    logToFile(`방 데이터 삭제 오류: ${error.message}`);
-                }
+        // 보관 정책에 따른 만료 (임시 방은 비어 있고 마지막 활동 후 1시간, 기간 보관 방은 만료 시각)
+        if (isRoomExpired(room)) {
+            console.log(`만료된 방 삭제: ${roomCode} (보관 정책: ${getRetention(room)}, 마지막 활동: ${new Date(room.lastActive).toISOString()})`);
+            
+            try {
+                await deleteRoom(roomCode, 'expired');
+            } catch (error) {
+                logToFile(`방 데이터 삭제 오류: ${error.message}`);
             }
+            continue;
+        }
+        
+        // 만료 전에 한 번 경고 (연장하면 다시 경고할 수 있도록 setRoomRetention, 다른 인스턴스는 reloadRoomInfo에서 초기화)
+        if (!room.expiryWarned && isExpiringSoon(room)) {
+            room.expiryWarned = true;
+            io.local.to(roomCode).emit('roomExpiryWarning', describeRetention(room));
+            logToFile(`방 만료 임박 경고: ${roomCode}`);
         }
     }
 }, 60000); // 1분마다 실행
 
+// 참가자 현황 정리 - 이 인스턴스의 신호를 기록하고, 신호가 끊긴 인스턴스의 소켓과 재연결 유예 시간이 지난 참가자를 정리
+setInterval(async () => {
+    if (!isStorageAvailable()) return;
+    
+    try {
+        await presence.heartbeat();
+        
+        for (const { roomCode, participantId, participant } of await presence.sweep()) {
+            await announceParticipantLeft(roomCode, participantId, participant);
+        }
+    } catch (error) {
+        logToFile(`참가자 현황 정리 오류: ${error.message}`);
+    }
+}, 15000); // 15초마다 실행
+
+// 보관 중인 방 정리 - 메모리에 올라오지 않은 기간 보관 방도 만료되면 삭제하고, 남은 방은 이미지 블롭 만료 시간 연장
+setInterval(async () => {
+    if (!isStorageAvailable()) return;
+    
+    try {
+        const roomCodes = await storage.sMembers(RETAINED_ROOMS_KEY);
+        
+        for (const roomCode of roomCodes) {
+            const room = await getRoomInfo(roomCode);
+            
+            if (!room) {
+                await storage.sRem(RETAINED_ROOMS_KEY, roomCode);
+                continue;
+            }
+            
+            if (isRoomExpired(room)) {
+                await deleteRoom(roomCode, 'expired');
+            } else {
+                await touchRoomImageBlobs(roomCode);
+            }
+        }
+    } catch (error) {
+        logToFile(`보관 중인 방 정리 오류: ${error.message}`);
+    }
+}, 60 * 60 * 1000); // 1시간마다 실행
+
+// 활동 중인 보드 자동 체크포인트 저장
+setInterval(async () => {
+    const now = Date.now();
+    
+    for (const [roomCode, activity] of boardActivity) {
+        // 방이 사라졌으면 기록 정리
+        if (!rooms[roomCode]) {
+            boardActivity.delete(roomCode);
+            continue;
+        }
+        
+        // 마지막 체크포인트 이후 변경이 있고 저장 주기가 지난 경우만 저장
+        if (activity.changedAt > activity.checkpointAt && now - activity.checkpointAt >= CHECKPOINT_INTERVAL) {
+            activity.checkpointAt = now;
+            await createCheckpoint(roomCode, { kind: 'auto' });
+        }
+    }
+}, 60000); // 1분마다 확인
+
+// 오래 쓰는 보드의 스트로크 압축 - 이 인스턴스가 아는 방 중 최근 스트로크가 많이 쌓인 방
+// 이 인스턴스에 접속한 참가자가 없는 방은 압축 스냅샷 캐시를 비움
+setInterval(async () => {
+    if (!isStorageAvailable()) return;
+    
+    for (const roomCode of Object.keys(rooms)) {
+        try {
+            await compactStrokes(roomCode);
+            
+            if (!io.sockets.adapter.rooms.has(roomCode)) {
+                strokeSnapshotCache.delete(roomCode);
+            }
+        } catch (error) {
+            logToFile(`스트로크 압축 오류 (${roomCode}): ${error.message}`);
+        }
+    }
+}, 60000); // 1분마다 확인
+
 // 서버 종료 시 정리
 process.on('SIGINT', async () => {
     logToFile('서버 종료 중...');
     
     try {
-        await redisClient.quit();
-        logToFile('Redis 연결 종료됨');
+        await storage.quit();
+        logToFile(`저장소 연결 종료됨 (${storage.type})`);
     } catch (error) {
-        logToFile(`Redis 연결 종료 오류: ${error.message}`);
+        logToFile(`저장소 연결 종료 오류: ${error.message}`);
     }
     
     logFile.end();
@@ -1307,7 +4852,10 @@ server.listen(PORT, () => {
     console.log(`도메인: ${DOMAIN}`);
     
     // Redis 상태 확인
-    if (!isRedisAvailable()) {
+    if (REDIS_DISABLED) {
+        console.log('저장소: 인메모리 (서버 재시작 시 데이터가 사라집니다)');
+        logToFile('저장소: 인메모리 (서버 재시작 시 데이터가 사라집니다)');
+    } else if (!isStorageAvailable()) {
         console.error('경고: Redis 연결이 활성화되지 않았습니다. 서버가 제대로 작동하지 않을 수 있습니다.');
         logToFile('경고: Redis 연결이 활성화되지 않았습니다. 서버가 제대로 작동하지 않을 수 있습니다.');
         
@@ -1356,6 +4904,14 @@ server.listen(PORT, () => {
 
 // 오류 처리 미들웨어 추가
 app.use((err, req, res, next) => {
+    // 요청 본문 오류 (JSON 형식 오류, 크기 초과)
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'JSON 형식이 올바르지 않습니다.' });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: '요청 크기가 너무 큽니다.' });
+    }
+    
     console.error('서버 오류:', err);
     logToFile(`서버 오류: ${err.message}\n${err.stack}`);
     
@@ -1463,6 +5019,8 @@ async function checkRedisConnection() {
 
 // Redis 연결 상태 주기적 확인
 setInterval(async () => {
+    if (REDIS_DISABLED) return;
+    
     const isConnected = await checkRedisConnection();
     console.log(`Redis 연결 상태 확인: ${isConnected ? '정상' : '비정상'}`);
     
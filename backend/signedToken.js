@@ -0,0 +1,41 @@
+// 서명된 토큰 - 방장, 참가자, 초대, 접근 토큰이 함께 사용하는 서명/검증
+// 토큰 형식: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 서명)
+// payload의 type으로 토큰 종류를 구분하여 다른 종류의 토큰으로 쓰지 못하게 한다.
+
+const crypto = require('crypto');
+
+function createTokenSigner({ getSecret }) {
+    async function sign(encodedPayload) {
+        const secret = await getSecret();
+        return crypto.createHmac('sha256', secret).update(encodedPayload).digest('base64url');
+    }
+
+    return {
+        // payload에 서명하여 토큰 생성
+        async encode(payload) {
+            const encoded = Buffer.from(JSON.stringify({ ...payload, iat: Date.now() })).toString('base64url');
+            return `${encoded}.${await sign(encoded)}`;
+        },
+
+        // 서명 검증 후 payload 반환 - 형식이나 서명이 틀리면 null
+        async decode(token, type) {
+            if (typeof token !== 'string' || token.length > 1024) return null;
+
+            const [encoded, signature] = token.split('.');
+            if (!encoded || !signature) return null;
+
+            const expected = Buffer.from(await sign(encoded));
+            const actual = Buffer.from(signature);
+            if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+            try {
+                const payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+                return payload && payload.type === type ? payload : null;
+            } catch (error) {
+                return null;
+            }
+        }
+    };
+}
+
+module.exports = { createTokenSigner };
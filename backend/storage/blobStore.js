@@ -0,0 +1,209 @@
+// 이미지 블롭 저장소 - 내용의 SHA-256 해시를 키로 저장하여 같은 이미지는 한 번만 저장한다.
+// disk: 파일로 저장 (BLOB_DIR), redis: 키-값 저장소의 blob:<hash> 해시에 base64로 저장
+// 두 저장소 모두 put/get/has/touch 를 제공하고, 마지막 사용(touch) 후 ttl이 지나면 삭제된다.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BLOB_TTL = 24 * 60 * 60; // 24시간 (초)
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+// 블롭 해시 계산 (SHA-256 hex)
+function hashBlob(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function isValidHash(hash) {
+    return typeof hash === 'string' && HASH_PATTERN.test(hash);
+}
+
+// 디스크 블롭 저장소 - <dir>/<hash 앞 2자리>/<hash> 파일과 <hash>.json 메타데이터
+function createDiskBlobStore(options = {}) {
+    const dir = options.dir;
+    const ttl = options.ttl || DEFAULT_BLOB_TTL;
+    const sweepInterval = options.sweepInterval || 60 * 60 * 1000; // 1시간마다 만료 파일 정리
+
+    function blobPath(hash) {
+        return path.join(dir, hash.slice(0, 2), hash);
+    }
+
+    // 만료된 블롭 파일 정리 (수정 시간 기준)
+    async function sweep() {
+        const expiredBefore = Date.now() - ttl * 1000;
+        let removed = 0;
+
+        let prefixes;
+        try {
+            prefixes = await fs.promises.readdir(dir);
+        } catch (error) {
+            if (error.code === 'ENOENT') return 0;
+            throw error;
+        }
+
+        for (const prefix of prefixes) {
+            const prefixDir = path.join(dir, prefix);
+            const files = await fs.promises.readdir(prefixDir).catch(() => []);
+
+            for (const file of files) {
+                if (!isValidHash(file)) continue;
+
+                const filePath = path.join(prefixDir, file);
+                const stat = await fs.promises.stat(filePath).catch(() => null);
+
+                if (stat && stat.mtimeMs < expiredBefore) {
+                    await fs.promises.rm(filePath, { force: true });
+                    await fs.promises.rm(`${filePath}.json`, { force: true });
+                    removed++;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    const sweepTimer = setInterval(() => {
+        sweep().then(removed => {
+            if (removed > 0) {
+                console.log(`만료된 이미지 블롭 ${removed}개 삭제`);
+            }
+        }).catch(error => {
+            console.error('이미지 블롭 정리 오류:', error);
+        });
+    }, sweepInterval);
+    sweepTimer.unref();
+
+    return {
+        type: 'disk',
+
+        async put(buffer, mimeType) {
+            const hash = hashBlob(buffer);
+            const filePath = blobPath(hash);
+
+            if (await this.touch(hash)) {
+                return { hash, size: buffer.length, mimeType, deduplicated: true };
+            }
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+            // 다른 요청이 같은 파일을 읽는 중에 덮어쓰지 않도록 임시 파일에 쓴 뒤 이름 변경
+            const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+            await fs.promises.writeFile(tempPath, buffer);
+            await fs.promises.writeFile(`${filePath}.json`, JSON.stringify({ mimeType, size: buffer.length }));
+            await fs.promises.rename(tempPath, filePath);
+
+            return { hash, size: buffer.length, mimeType, deduplicated: false };
+        },
+
+        async get(hash) {
+            if (!isValidHash(hash)) return null;
+
+            try {
+                const filePath = blobPath(hash);
+                const [data, meta] = await Promise.all([
+                    fs.promises.readFile(filePath),
+                    fs.promises.readFile(`${filePath}.json`, 'utf8')
+                ]);
+
+                return { data, ...JSON.parse(meta) };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async has(hash) {
+            if (!isValidHash(hash)) return false;
+
+            return fs.promises.access(blobPath(hash)).then(() => true, () => false);
+        },
+
+        // 만료 시간 연장 (파일 수정 시간 갱신)
+        async touch(hash) {
+            if (!isValidHash(hash)) return false;
+
+            const now = new Date();
+            return fs.promises.utimes(blobPath(hash), now, now).then(() => true, () => false);
+        },
+
+        sweep,
+
+        async close() {
+            clearInterval(sweepTimer);
+        }
+    };
+}
+
+// 키-값 저장소(Redis 또는 인메모리) 블롭 저장소 - blob:<hash> 해시 { mimeType, size, data(base64) }
+function createRedisBlobStore(options = {}) {
+    const storage = options.storage;
+    const ttl = options.ttl || DEFAULT_BLOB_TTL;
+
+    function blobKey(hash) {
+        return `blob:${hash}`;
+    }
+
+    return {
+        type: 'redis',
+
+        async put(buffer, mimeType) {
+            const hash = hashBlob(buffer);
+
+            if (await this.touch(hash)) {
+                return { hash, size: buffer.length, mimeType, deduplicated: true };
+            }
+
+            await storage.hSet(blobKey(hash), {
+                mimeType,
+                size: buffer.length,
+                data: buffer.toString('base64')
+            });
+            await storage.expire(blobKey(hash), ttl);
+
+            return { hash, size: buffer.length, mimeType, deduplicated: false };
+        },
+
+        async get(hash) {
+            if (!isValidHash(hash)) return null;
+
+            const blob = await storage.hGetAll(blobKey(hash));
+            if (!blob || !blob.data) return null;
+
+            return {
+                data: Buffer.from(blob.data, 'base64'),
+                mimeType: blob.mimeType,
+                size: parseInt(blob.size) || 0
+            };
+        },
+
+        async has(hash) {
+            if (!isValidHash(hash)) return false;
+
+            return (await storage.exists(blobKey(hash))) > 0;
+        },
+
+        // 만료 시간 연장
+        async touch(hash) {
+            if (!isValidHash(hash)) return false;
+
+            return !!(await storage.expire(blobKey(hash), ttl));
+        },
+
+        async sweep() {
+            return 0; // 키 만료(TTL)로 자동 삭제
+        },
+
+        async close() {}
+    };
+}
+
+// 블롭 저장소 선택 - BLOB_STORE=disk 이면 디스크, 아니면 키-값 저장소 사용
+function createBlobStore({ type, dir, storage, ttl }) {
+    if (type === 'disk') {
+        return createDiskBlobStore({ dir, ttl });
+    }
+
+    return createRedisBlobStore({ storage, ttl });
+}
+
+module.exports = { createBlobStore, createDiskBlobStore, createRedisBlobStore, hashBlob, isValidHash };
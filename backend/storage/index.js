@@ -0,0 +1,15 @@
+// 저장소 선택 - REDIS_DISABLED=true 이면 인메모리 저장소, 아니면 Redis 저장소 사용
+
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+const { createBlobStore, hashBlob, isValidHash } = require('./blobStore');
+
+function createStorage({ redisDisabled, getRedisClient, isRedisReady }) {
+    if (redisDisabled) {
+        return createMemoryStore();
+    }
+
+    return createRedisStore(getRedisClient, isRedisReady);
+}
+
+module.exports = { createStorage, createMemoryStore, createRedisStore, createBlobStore, hashBlob, isValidHash };
@@ -0,0 +1,345 @@
+// 인메모리 저장소 - Redis 없이 서버를 실행할 때 사용
+// 서버에서 사용하는 Redis 명령만 같은 이름과 반환값으로 구현하고, 키 만료(TTL)를 지원한다.
+
+function createMemoryStore(options = {}) {
+    const sweepInterval = options.sweepInterval || 10000; // 10초마다 만료 키 정리
+
+    // key -> { type: 'string' | 'hash' | 'list' | 'set', value, expiresAt }
+    const entries = new Map();
+    const expiredListeners = [];
+
+    // 만료된 키 삭제 및 알림
+    function expireEntry(key) {
+        entries.delete(key);
+
+        for (const listener of expiredListeners) {
+            try {
+                listener(key);
+            } catch (error) {
+                console.error('키 만료 처리 오류:', error);
+            }
+        }
+    }
+
+    // 만료 여부를 확인하며 항목 조회
+    function getEntry(key) {
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            expireEntry(key);
+            return null;
+        }
+
+        return entry;
+    }
+
+    // 지정한 타입의 항목 조회 (없으면 생성)
+    function getOrCreateEntry(key, type, createValue) {
+        let entry = getEntry(key);
+
+        if (entry && entry.type !== type) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+
+        if (!entry) {
+            entry = { type, value: createValue(), expiresAt: null };
+            entries.set(key, entry);
+        }
+
+        return entry;
+    }
+
+    // 지정한 타입의 항목 조회 (없으면 null)
+    function getTypedEntry(key, type) {
+        const entry = getEntry(key);
+
+        if (entry && entry.type !== type) {
+            throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+        }
+
+        return entry;
+    }
+
+    // 빈 컬렉션은 Redis처럼 키 자체를 삭제
+    function removeIfEmpty(key, entry) {
+        const size = entry.value instanceof Map || entry.value instanceof Set
+            ? entry.value.size
+            : entry.value.length;
+
+        if (size === 0) {
+            entries.delete(key);
+        }
+    }
+
+    // Redis 리스트 인덱스(음수 허용)를 배열 범위로 변환
+    function normalizeRange(length, start, stop) {
+        let from = start < 0 ? length + start : start;
+        let to = stop < 0 ? length + stop : stop;
+
+        from = Math.max(from, 0);
+        to = Math.min(to, length - 1);
+
+        return [from, to];
+    }
+
+    // 주기적으로 만료된 키 정리 (키 만료 이벤트 발생)
+    const sweepTimer = setInterval(() => {
+        const now = Date.now();
+
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) {
+                expireEntry(key);
+            }
+        }
+    }, sweepInterval);
+    sweepTimer.unref();
+
+    return {
+        type: 'memory',
+
+        isAvailable() {
+            return true;
+        },
+
+        // 키 만료 이벤트 구독
+        onKeyExpired(listener) {
+            expiredListeners.push(listener);
+        },
+
+        async exists(key) {
+            return getEntry(key) ? 1 : 0;
+        },
+
+        async del(keys) {
+            let removed = 0;
+
+            for (const key of [].concat(keys)) {
+                if (getEntry(key)) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+
+            return removed;
+        },
+
+        async expire(key, seconds) {
+            const entry = getEntry(key);
+            if (!entry) return 0;
+
+            entry.expiresAt = Date.now() + seconds * 1000;
+            return 1;
+        },
+
+        async persist(key) {
+            const entry = getEntry(key);
+            if (!entry || entry.expiresAt === null) return 0;
+
+            entry.expiresAt = null;
+            return 1;
+        },
+
+        async ttl(key) {
+            const entry = getEntry(key);
+            if (!entry) return -2;
+            if (entry.expiresAt === null) return -1;
+
+            return Math.max(0, Math.ceil((entry.expiresAt - Date.now()) / 1000));
+        },
+
+        async get(key) {
+            const entry = getTypedEntry(key, 'string');
+            return entry ? entry.value : null;
+        },
+
+        // options: { EX (초), NX (키가 없을 때만 저장, 저장하지 않으면 null 반환) }
+        async set(key, value, options = {}) {
+            if (options.NX && getEntry(key)) return null;
+
+            entries.set(key, {
+                type: 'string',
+                value: String(value),
+                expiresAt: options.EX ? Date.now() + options.EX * 1000 : null
+            });
+
+            return 'OK';
+        },
+
+        async hSet(key, field, value) {
+            const entry = getOrCreateEntry(key, 'hash', () => new Map());
+            const fields = typeof field === 'object' ? Object.entries(field) : [[field, value]];
+            let added = 0;
+
+            for (const [name, fieldValue] of fields) {
+                if (!entry.value.has(name)) added++;
+                entry.value.set(name, String(fieldValue));
+            }
+
+            return added;
+        },
+
+        async hGet(key, field) {
+            const entry = getTypedEntry(key, 'hash');
+            if (!entry || !entry.value.has(field)) return null;
+
+            return entry.value.get(field);
+        },
+
+        async hGetAll(key) {
+            const entry = getTypedEntry(key, 'hash');
+            return entry ? Object.fromEntries(entry.value) : {};
+        },
+
+        async hIncrBy(key, field, increment) {
+            const entry = getOrCreateEntry(key, 'hash', () => new Map());
+            const value = (parseInt(entry.value.get(field), 10) || 0) + increment;
+
+            entry.value.set(field, String(value));
+            return value;
+        },
+
+        async hKeys(key) {
+            const entry = getTypedEntry(key, 'hash');
+            return entry ? [...entry.value.keys()] : [];
+        },
+
+        async hDel(key, fields) {
+            const entry = getTypedEntry(key, 'hash');
+            if (!entry) return 0;
+
+            let removed = 0;
+            for (const field of [].concat(fields)) {
+                if (entry.value.delete(field)) removed++;
+            }
+
+            removeIfEmpty(key, entry);
+            return removed;
+        },
+
+        async rPush(key, values) {
+            const entry = getOrCreateEntry(key, 'list', () => []);
+
+            for (const value of [].concat(values)) {
+                entry.value.push(String(value));
+            }
+
+            return entry.value.length;
+        },
+
+        // 여러 값을 앞에 추가 (Redis LPUSH와 같이 마지막 값이 맨 앞)
+        async lPush(key, values) {
+            const entry = getOrCreateEntry(key, 'list', () => []);
+
+            for (const value of [].concat(values)) {
+                entry.value.unshift(String(value));
+            }
+
+            return entry.value.length;
+        },
+
+        async rPop(key) {
+            const entry = getTypedEntry(key, 'list');
+            if (!entry) return null;
+
+            const value = entry.value.pop();
+            removeIfEmpty(key, entry);
+            return value;
+        },
+
+        async lRange(key, start, stop) {
+            const entry = getTypedEntry(key, 'list');
+            if (!entry) return [];
+
+            const [from, to] = normalizeRange(entry.value.length, start, stop);
+            return from > to ? [] : entry.value.slice(from, to + 1);
+        },
+
+        async lLen(key) {
+            const entry = getTypedEntry(key, 'list');
+            return entry ? entry.value.length : 0;
+        },
+
+        async lTrim(key, start, stop) {
+            const entry = getTypedEntry(key, 'list');
+            if (!entry) return 'OK';
+
+            const [from, to] = normalizeRange(entry.value.length, start, stop);
+            entry.value = from > to ? [] : entry.value.slice(from, to + 1);
+
+            removeIfEmpty(key, entry);
+            return 'OK';
+        },
+
+        // checkKey의 값이 expected와 같을 때만 lTrim (redisStore.js의 Lua 스크립트와 같은 동작, 없는 키는 빈 문자열로 비교)
+        async lTrimIfEqual(key, start, stop, checkKey, expected) {
+            const entry = getTypedEntry(checkKey, 'string');
+            if ((entry ? entry.value : '') !== (expected || '')) return false;
+
+            const list = getTypedEntry(key, 'list');
+            if (list) {
+                const [from, to] = normalizeRange(list.value.length, start, stop);
+                list.value = from > to ? [] : list.value.slice(from, to + 1);
+                removeIfEmpty(key, list);
+            }
+
+            return true;
+        },
+
+        async sAdd(key, members) {
+            const entry = getOrCreateEntry(key, 'set', () => new Set());
+            let added = 0;
+
+            for (const member of [].concat(members)) {
+                if (!entry.value.has(String(member))) {
+                    entry.value.add(String(member));
+                    added++;
+                }
+            }
+
+            return added;
+        },
+
+        async sRem(key, members) {
+            const entry = getTypedEntry(key, 'set');
+            if (!entry) return 0;
+
+            let removed = 0;
+            for (const member of [].concat(members)) {
+                if (entry.value.delete(String(member))) removed++;
+            }
+
+            removeIfEmpty(key, entry);
+            return removed;
+        },
+
+        async sMembers(key) {
+            const entry = getTypedEntry(key, 'set');
+            return entry ? [...entry.value] : [];
+        },
+
+        async sIsMember(key, member) {
+            const entry = getTypedEntry(key, 'set');
+            return entry && entry.value.has(String(member)) ? 1 : 0;
+        },
+
+        async incr(key) {
+            const entry = getOrCreateEntry(key, 'string', () => '0');
+            const value = parseInt(entry.value, 10) + 1;
+
+            entry.value = String(value);
+            return value;
+        },
+
+        async ping() {
+            return 'PONG';
+        },
+
+        async quit() {
+            clearInterval(sweepTimer);
+            entries.clear();
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,57 @@
+// Redis 저장소 - 서버가 재연결 시 클라이언트를 교체하므로 getClient로 현재 클라이언트를 가져온다.
+
+const COMMANDS = [
+    'exists', 'del', 'expire', 'persist', 'ttl',
+    'get', 'set',
+    'hSet', 'hGet', 'hGetAll', 'hIncrBy', 'hKeys', 'hDel',
+    'lPush', 'rPush', 'rPop', 'lRange', 'lLen', 'lTrim',
+    'sAdd', 'sRem', 'sMembers', 'sIsMember',
+    'incr', 'ping'
+];
+
+// checkKey의 값이 기대한 값일 때만 리스트를 자르는 스크립트 (확인과 자르기 사이에 다른 명령이 끼어들지 않음)
+const TRIM_IF_EQUAL_SCRIPT = `
+if (redis.call('GET', KEYS[2]) or '') ~= ARGV[3] then
+    return 0
+end
+redis.call('LTRIM', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+function createRedisStore(getClient, isReady) {
+    const store = {
+        type: 'redis',
+
+        isAvailable() {
+            const client = getClient();
+            return !!(isReady() && client && client.isOpen);
+        },
+
+        // Redis 키 만료 이벤트는 서버의 keyspace 알림 구독(setupRedisExpireMonitoring)에서 처리
+        onKeyExpired() {},
+
+        // checkKey의 값이 expected와 같을 때만 lTrim - 잘랐으면 true (없는 키는 빈 문자열로 비교)
+        async lTrimIfEqual(key, start, stop, checkKey, expected) {
+            const trimmed = await getClient().eval(TRIM_IF_EQUAL_SCRIPT, {
+                keys: [key, checkKey],
+                arguments: [String(start), String(stop), expected || '']
+            });
+            return trimmed === 1;
+        },
+
+        async quit() {
+            const client = getClient();
+            if (client && client.isOpen) {
+                await client.quit();
+            }
+        }
+    };
+
+    for (const command of COMMANDS) {
+        store[command] = (...args) => getClient()[command](...args);
+    }
+
+    return store;
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,68 @@
+// 스트로크 좌표 단순화 - 완성된 스트로크를 저장하기 전에 거의 직선 위에 있는 좌표를 줄인다 (Ramer-Douglas-Peucker)
+// 허용 오차(px) 안에서 모양이 같은 좌표만 빼므로 다시 그려도 차이가 보이지 않는다.
+// 첫 좌표와 마지막 좌표는 항상 남기고, 남긴 좌표의 times(타임랩스 재생 시간)도 함께 남긴다.
+
+const SIMPLIFY_TOLERANCE = 0.75;
+
+// 선분(start-end)과 점 사이의 거리
+function distanceToSegment(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const lengthSquared = dx * dx + dy * dy;
+
+    if (lengthSquared === 0) {
+        return Math.hypot(point[0] - start[0], point[1] - start[1]);
+    }
+
+    const t = Math.max(0, Math.min(1, ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / lengthSquared));
+    return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+// 남길 좌표 표시 (재귀 대신 구간 스택 사용 - 좌표가 많아도 호출 스택이 깊어지지 않음)
+function simplifyPoints(points, tolerance) {
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+
+    const ranges = [[0, points.length - 1]];
+    while (ranges.length > 0) {
+        const [first, last] = ranges.pop();
+        let maxDistance = 0;
+        let index = -1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = distanceToSegment(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+
+        if (index !== -1 && maxDistance > tolerance) {
+            keep[index] = true;
+            ranges.push([first, index], [index, last]);
+        }
+    }
+
+    return keep;
+}
+
+// 스트로크 단순화 - 줄일 좌표가 없으면 받은 스트로크를 그대로 반환
+function simplifyStroke(stroke, tolerance = SIMPLIFY_TOLERANCE) {
+    if (stroke.points.length <= 2) return stroke;
+
+    const keep = simplifyPoints(stroke.points, tolerance);
+    const points = stroke.points.filter((point, i) => keep[i]);
+    if (points.length === stroke.points.length) return stroke;
+
+    const times = stroke.times && stroke.times.length === stroke.points.length
+        ? stroke.times.filter((time, i) => keep[i])
+        : stroke.times;
+
+    return { ...stroke, points, times };
+}
+
+module.exports = {
+    SIMPLIFY_TOLERANCE,
+    simplifyStroke
+};
@@ -0,0 +1,48 @@
+// 블롭 저장소 - 해시 키, 중복 제거, 디스크/키-값 저장소의 같은 동작
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createBlobStore, hashBlob, isValidHash } = require('../storage');
+
+test('해시 형식', () => {
+    const hash = hashBlob(Buffer.from('abc'));
+
+    assert.strictEqual(hash, 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    assert.strictEqual(isValidHash(hash), true);
+    assert.strictEqual(isValidHash('../etc/passwd'), false);
+    assert.strictEqual(isValidHash(hash.toUpperCase()), false);
+});
+
+for (const type of ['redis', 'disk']) {
+    test(`${type} 블롭 저장소`, async (t) => {
+        let blobs;
+
+        if (type === 'disk') {
+            const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'blobs-'));
+            blobs = createBlobStore({ type, dir });
+            t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+        } else {
+            const storage = createMemoryStore();
+            blobs = createBlobStore({ type, storage });
+            t.after(() => storage.quit());
+        }
+        t.after(() => blobs.close());
+
+        const data = Buffer.from([1, 2, 3, 4]);
+        const first = await blobs.put(data, 'image/png');
+        assert.strictEqual(first.hash, hashBlob(data));
+        assert.strictEqual(first.deduplicated, false);
+        assert.strictEqual((await blobs.put(data, 'image/png')).deduplicated, true);
+
+        const blob = await blobs.get(first.hash);
+        assert.deepStrictEqual(blob.data, data);
+        assert.strictEqual(blob.mimeType, 'image/png');
+        assert.strictEqual(await blobs.has(first.hash), true);
+
+        assert.strictEqual(await blobs.get('0'.repeat(64)), null);
+        assert.strictEqual(await blobs.get('not-a-hash'), null);
+    });
+}
@@ -0,0 +1,74 @@
+// 보드 파일 (.wboard.json) - 만들기, 검증, 이전 버전 변환
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BOARD_FILE_VERSION, createBoardFile, parseBoardFile, assignImportIds } = require('../boardFile');
+
+const IMAGE_DATA = 'data:image/png;base64,iVBORw0KGgo=';
+
+const board = {
+    strokes: [{ id: 's1', userId: 'u1', tool: 'pen', color: '#000000', size: 3, points: [[0, 0], [5, 5]], times: [0, 16], createdAt: 20 }],
+    images: [{ id: 'i1', imageData: IMAGE_DATA, x: 1, y: 2, width: 30, height: 40, createdAt: 10 }]
+};
+
+test('만든 파일을 다시 읽기', () => {
+    const file = createBoardFile(board, { roomCode: '123456', title: '수업', description: '1교시', settings: { penColor: '#ff0000', unknown: 1 } });
+    assert.strictEqual(file.version, BOARD_FILE_VERSION);
+    assert.strictEqual(file.board.strokes[0].userId, undefined);
+
+    const parsed = parseBoardFile(JSON.parse(JSON.stringify(file)));
+    assert.deepStrictEqual(parsed.metadata, { title: '수업', description: '1교시' });
+    assert.deepStrictEqual(parsed.settings, { penColor: '#ff0000' });
+    assert.deepStrictEqual(parsed.strokes[0].points, [[0, 0], [5, 5]]);
+    assert.strictEqual(parsed.images[0].imageData, IMAGE_DATA);
+});
+
+test('버전 1 파일은 제목 없이 변환', () => {
+    const parsed = parseBoardFile({
+        format: 'wboard',
+        version: 1,
+        metadata: { title: '화이트보드 123456' },
+        settings: { drawingEnabled: false },
+        board: { strokes: [], images: [] }
+    });
+
+    assert.deepStrictEqual(parsed.metadata, { title: '', description: '' });
+    assert.deepStrictEqual(parsed.settings, { drawingEnabled: false });
+});
+
+test('잘못된 파일은 INVALID_BOARD_FILE 오류', () => {
+    const valid = createBoardFile(board, { roomCode: '123456' });
+    const withBoard = changes => ({ ...valid, board: { ...valid.board, ...changes } });
+
+    for (const file of [
+        null,
+        { format: 'other' },
+        { ...valid, version: 'x' },
+        { ...valid, version: BOARD_FILE_VERSION + 1 },
+        { ...valid, board: null },
+        withBoard({ strokes: [{ points: [] }] }),
+        withBoard({ strokes: [{ points: [[0, 'x']] }] }),
+        withBoard({ images: [{ ...board.images[0], imageData: 'data:text/html;base64,AAAA' }] }),
+        withBoard({ images: [{ ...board.images[0], width: 0 }] })
+    ]) {
+        assert.throws(() => parseBoardFile(file), { code: 'INVALID_BOARD_FILE' });
+    }
+});
+
+test('잘못된 스트로크 속성은 기본값으로', () => {
+    const file = createBoardFile(board, { roomCode: '123456' });
+    file.board.strokes[0] = { tool: 'laser', color: 'red', size: 1000, points: [[1, 2]], times: [1, 2] };
+
+    const [stroke] = parseBoardFile(file).strokes;
+    assert.deepStrictEqual(stroke, { tool: 'pen', color: '#000000', size: 100, points: [[1, 2]], times: [0], createdAt: 0 });
+});
+
+test('불러올 항목에 새 ID를 주고 그린 순서 유지', () => {
+    const parsed = parseBoardFile(createBoardFile(board, { roomCode: '123456' }));
+    const { strokes, images } = assignImportIds(parsed, 1000);
+
+    assert.notStrictEqual(strokes[0].id, 's1');
+    assert.strictEqual(images[0].createdAt, 1000);
+    assert.strictEqual(images[0].timestamp, 1000);
+    assert.strictEqual(strokes[0].createdAt, 1001);
+});
@@ -0,0 +1,124 @@
+// 인메모리 저장소 - Redis와 같은 반환값, 키 만료(TTL), NX, 조건부 자르기
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMemoryStore } = require('../storage');
+
+function createStore(t) {
+    const store = createMemoryStore();
+    t.after(() => store.quit());
+    return store;
+}
+
+test('문자열 저장과 NX', async (t) => {
+    const store = createStore(t);
+
+    assert.strictEqual(await store.get('a'), null);
+    assert.strictEqual(await store.set('a', 1), 'OK');
+    assert.strictEqual(await store.get('a'), '1');
+
+    // 키가 있으면 NX 저장은 null을 반환하고 값을 바꾸지 않음
+    assert.strictEqual(await store.set('a', 2, { NX: true }), null);
+    assert.strictEqual(await store.get('a'), '1');
+    assert.strictEqual(await store.set('b', 2, { NX: true }), 'OK');
+});
+
+test('키 만료 (EX, expire, persist, ttl)', async (t) => {
+    const store = createStore(t);
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+
+    const expired = [];
+    store.onKeyExpired(key => expired.push(key));
+
+    await store.set('a', 'x', { EX: 10 });
+    await store.rPush('list', ['1']);
+    assert.strictEqual(await store.ttl('a'), 10);
+    assert.strictEqual(await store.ttl('list'), -1);
+    assert.strictEqual(await store.ttl('missing'), -2);
+
+    assert.strictEqual(await store.expire('list', 5), 1);
+    assert.strictEqual(await store.expire('missing', 5), 0);
+
+    now += 5000;
+    assert.strictEqual(await store.lLen('list'), 0);
+    assert.strictEqual(await store.get('a'), 'x');
+    assert.deepStrictEqual(expired, ['list']);
+
+    assert.strictEqual(await store.persist('a'), 1);
+    now += 60000;
+    assert.strictEqual(await store.get('a'), 'x');
+    assert.strictEqual(await store.ttl('a'), -1);
+
+    // 만료된 키에는 NX 저장 가능
+    await store.set('b', 'old', { EX: 1 });
+    now += 1000;
+    assert.strictEqual(await store.set('b', 'new', { NX: true }), 'OK');
+});
+
+test('해시와 카운터', async (t) => {
+    const store = createStore(t);
+
+    assert.strictEqual(await store.hSet('h', { a: 1, b: 'x' }), 2);
+    assert.strictEqual(await store.hSet('h', 'a', 2), 0);
+    assert.deepStrictEqual(await store.hGetAll('h'), { a: '2', b: 'x' });
+    assert.strictEqual(await store.hIncrBy('h', 'n', 5), 5);
+    assert.strictEqual(await store.hIncrBy('h', 'n', -2), 3);
+    assert.strictEqual(await store.hDel('h', ['a', 'b', 'n']), 3);
+
+    // 빈 해시는 키가 삭제됨
+    assert.strictEqual(await store.exists('h'), 0);
+    assert.strictEqual(await store.incr('c'), 1);
+    assert.strictEqual(await store.incr('c'), 2);
+});
+
+test('리스트 (rPush, lPush, lRange, lTrim)', async (t) => {
+    const store = createStore(t);
+
+    await store.rPush('l', ['c', 'd']);
+    await store.lPush('l', ['b', 'a']);
+    assert.deepStrictEqual(await store.lRange('l', 0, -1), ['a', 'b', 'c', 'd']);
+    assert.deepStrictEqual(await store.lRange('l', -2, -1), ['c', 'd']);
+    assert.deepStrictEqual(await store.lRange('l', 3, 10), ['d']);
+    assert.deepStrictEqual(await store.lRange('l', 5, 10), []);
+
+    await store.lTrim('l', 1, -1);
+    assert.deepStrictEqual(await store.lRange('l', 0, -1), ['b', 'c', 'd']);
+    assert.strictEqual(await store.rPop('l'), 'd');
+
+    await store.lTrim('l', 5, -1);
+    assert.strictEqual(await store.exists('l'), 0);
+});
+
+test('lTrimIfEqual은 확인 키가 같을 때만 자름', async (t) => {
+    const store = createStore(t);
+    await store.rPush('l', ['1', '2', '3']);
+
+    // 없는 키는 빈 문자열(또는 null)과 같음
+    assert.strictEqual(await store.lTrimIfEqual('l', 1, -1, 'gen', null), true);
+    assert.deepStrictEqual(await store.lRange('l', 0, -1), ['2', '3']);
+
+    await store.set('gen', '1');
+    assert.strictEqual(await store.lTrimIfEqual('l', 1, -1, 'gen', '0'), false);
+    assert.deepStrictEqual(await store.lRange('l', 0, -1), ['2', '3']);
+
+    assert.strictEqual(await store.lTrimIfEqual('l', 1, -1, 'gen', '1'), true);
+    assert.deepStrictEqual(await store.lRange('l', 0, -1), ['3']);
+});
+
+test('다른 타입의 키에 명령하면 WRONGTYPE 오류', async (t) => {
+    const store = createStore(t);
+    await store.set('s', 'x');
+
+    await assert.rejects(store.rPush('s', ['1']), /WRONGTYPE/);
+    await assert.rejects(store.hGet('s', 'a'), /WRONGTYPE/);
+});
+
+test('집합', async (t) => {
+    const store = createStore(t);
+
+    assert.strictEqual(await store.sAdd('s', ['a', 'b', 'a']), 2);
+    assert.strictEqual(await store.sIsMember('s', 'a'), 1);
+    assert.strictEqual(await store.sRem('s', ['a', 'c']), 1);
+    assert.deepStrictEqual(await store.sMembers('s'), ['b']);
+});
@@ -0,0 +1,58 @@
+// 서명된 토큰 (방장, 참가자 토큰)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTokenSigner } = require('../signedToken');
+const { createHostTokens } = require('../hostToken');
+const { createParticipantTokens } = require('../participantToken');
+
+const getSecret = async () => 'test-secret';
+
+test('서명한 토큰을 같은 종류로만 검증', async () => {
+    const signer = createTokenSigner({ getSecret });
+    const token = await signer.encode({ type: 'invite', roomCode: '123456' });
+    const payload = await signer.decode(token, 'invite');
+
+    assert.strictEqual(payload.roomCode, '123456');
+    assert.strictEqual(typeof payload.iat, 'number');
+    assert.strictEqual(await signer.decode(token, 'host'), null);
+});
+
+test('변조하거나 다른 비밀 키로 서명한 토큰은 거부', async () => {
+    const signer = createTokenSigner({ getSecret });
+    const token = await signer.encode({ type: 'invite', roomCode: '123456' });
+    const [, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ type: 'invite', roomCode: '999999' })).toString('base64url');
+
+    assert.strictEqual(await signer.decode(`${forged}.${signature}`, 'invite'), null);
+
+    const other = createTokenSigner({ getSecret: async () => 'other-secret' });
+    assert.strictEqual(await other.decode(token, 'invite'), null);
+
+    for (const bad of [null, '', 'abc', 'a.b.c', `${token}x`, 'x'.repeat(2000)]) {
+        assert.strictEqual(await signer.decode(bad, 'invite'), null);
+    }
+});
+
+test('방장 토큰은 방 코드와 방장 ID가 모두 맞아야 함', async () => {
+    const hostTokens = createHostTokens({ getSecret });
+    const hostId = hostTokens.createHostId();
+    const token = await hostTokens.issue('123456', hostId);
+
+    assert.strictEqual(await hostTokens.verify(token, '123456', hostId), true);
+    assert.strictEqual(await hostTokens.verify(token, '654321', hostId), false);
+    assert.strictEqual(await hostTokens.verify(token, '123456', hostTokens.createHostId()), false);
+    assert.strictEqual(await hostTokens.verify(token, '123456', null), false);
+});
+
+test('참가자 토큰', async () => {
+    const participantTokens = createParticipantTokens({ getSecret });
+    const { participantId, token } = await participantTokens.issue();
+
+    assert.strictEqual(await participantTokens.verify(token), participantId);
+    assert.strictEqual(await participantTokens.verify(undefined), null);
+
+    // 방장 토큰을 참가자 토큰으로 쓸 수 없음
+    const hostToken = await createHostTokens({ getSecret }).issue('123456', participantId);
+    assert.strictEqual(await participantTokens.verify(hostToken), null);
+});
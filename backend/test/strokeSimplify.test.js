@@ -0,0 +1,43 @@
+// 스트로크 좌표 단순화
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { simplifyStroke } = require('../strokeSimplify');
+
+test('직선 위의 좌표를 빼고 times도 함께 줄임', () => {
+    const stroke = { id: 's1', points: [[0, 0], [1, 1], [2, 2], [3, 3], [4, 0]], times: [0, 10, 20, 30, 40] };
+    const simplified = simplifyStroke(stroke);
+
+    assert.deepStrictEqual(simplified.points, [[0, 0], [3, 3], [4, 0]]);
+    assert.deepStrictEqual(simplified.times, [0, 30, 40]);
+    assert.strictEqual(simplified.id, 's1');
+});
+
+test('허용 오차보다 먼 좌표는 남김', () => {
+    const stroke = { points: [[0, 0], [5, 0.5], [10, 1.5], [15, 0]] };
+
+    assert.deepStrictEqual(simplifyStroke(stroke, 0.75).points, [[0, 0], [10, 1.5], [15, 0]]);
+    assert.deepStrictEqual(simplifyStroke(stroke, 0.1).points, stroke.points);
+});
+
+test('줄일 좌표가 없으면 같은 객체', () => {
+    const short = { points: [[0, 0], [5, 5]] };
+    const curve = { points: [[0, 0], [5, 5], [10, 0]] };
+
+    assert.strictEqual(simplifyStroke(short), short);
+    assert.strictEqual(simplifyStroke(curve), curve);
+});
+
+test('첫 좌표와 마지막 좌표가 같은 닫힌 선', () => {
+    const stroke = { points: [[0, 0], [10, 0], [10, 10], [0, 0]] };
+
+    assert.deepStrictEqual(simplifyStroke(stroke).points, stroke.points);
+});
+
+test('좌표가 많아도 동작', () => {
+    const points = Array.from({ length: 10000 }, (_, i) => [i, i % 2]);
+    const simplified = simplifyStroke({ points });
+
+    assert.deepStrictEqual(simplified.points[0], [0, 0]);
+    assert.deepStrictEqual(simplified.points[simplified.points.length - 1], [9999, 1]);
+});
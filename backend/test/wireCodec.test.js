@@ -0,0 +1,55 @@
+// 그리기 데이터 이진 형식 - 인코딩 후 디코딩하면 같은 내용 (좌표는 정수로 반올림)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { encodeMessage, decodeMessage, isBinaryMessage } = require('../../frontend/wireCodec');
+
+const stroke = {
+    id: 's1',
+    tool: 'pen',
+    color: '#ff0000',
+    size: 4,
+    createdAt: 1700000000123,
+    points: [[10, 10], [12, 8], [-5, 300]]
+};
+
+test('스트로크 메시지 왕복', () => {
+    for (const [event, data] of [
+        ['strokeBegin', stroke],
+        ['strokeBegin', { ...stroke, id: '한글', tool: 'eraser', color: '#123456', inProgress: true }],
+        ['strokeBegin', { ...stroke, color: 'rgba(0, 0, 0, 0.5)' }],
+        ['strokeAppend', { id: 's1', points: [[1, 2], [3, 4]] }],
+        ['strokeEnd', { id: 's1', seq: 300 }],
+        ['strokeEnd', { id: 's1', seq: null }],
+        ['strokes', [stroke, { ...stroke, id: 's2', points: [] }]]
+    ]) {
+        const message = encodeMessage(event, data);
+        assert.ok(isBinaryMessage(message));
+        assert.deepStrictEqual(decodeMessage(message), { event, data });
+    }
+});
+
+test('좌표는 정수로 반올림하고 작성자와 시간은 보내지 않음', () => {
+    const message = encodeMessage('strokeBegin', { ...stroke, userId: 'u1', times: [0, 5, 9], points: [[1.4, 2.6]] });
+    const { data } = decodeMessage(message);
+
+    assert.deepStrictEqual(data.points, [[1, 3]]);
+    assert.strictEqual(data.userId, undefined);
+    assert.strictEqual(data.times, undefined);
+});
+
+test('Node.js Buffer로 받은 메시지도 풀기', () => {
+    const message = encodeMessage('strokeAppend', { id: 's1', points: [[1, 2]] });
+    const buffer = Buffer.concat([Buffer.from([9, 9]), Buffer.from(message)]).subarray(2);
+
+    assert.deepStrictEqual(decodeMessage(buffer).data, { id: 's1', points: [[1, 2]] });
+});
+
+test('잘못된 메시지는 INVALID_WIRE_MESSAGE 오류', () => {
+    const message = encodeMessage('strokeBegin', stroke);
+
+    for (const bad of [new Uint8Array([]), new Uint8Array([99]), message.subarray(0, message.length - 1), Uint8Array.from([...message, 0])]) {
+        assert.throws(() => decodeMessage(bad), { code: 'INVALID_WIRE_MESSAGE' });
+    }
+    assert.throws(() => encodeMessage('pasteImage', {}), { code: 'INVALID_WIRE_MESSAGE' });
+});
@@ -0,0 +1,325 @@
+// 그리기 데이터 이진 형식 - 스트로크 작업을 JSON 대신 작은 이진 메시지로 주고받는다.
+// 브라우저(room.html의 <script src="/wireCodec.js">, 전역 WireCodec)와 서버(require)가 같은 파일을 쓴다.
+//
+// 연결할 때 클라이언트가 handshake auth의 wire 항목으로 WIRE_FORMAT을 보내고,
+// 서버가 connectionEstablished의 wire: 'binary'로 확인한 경우에만 사용한다. 확인받지 못하면 JSON을 그대로 쓴다.
+// (이미지는 이미 imageChunk로 원본 바이트를 나누어 보내고 pasteImage에는 해시만 담으므로 여기서 다루지 않는다)
+//
+// 메시지: [종류 1바이트][내용]
+//   1 strokeBegin  - 스트로크
+//   2 strokeAppend - 문자열 id, 좌표 목록
+//   3 strokeEnd    - 문자열 id, varint seq (순번이 없으면 0)
+//   4 strokes      - varint 개수, 스트로크 × 개수 (보드 동기화의 스트로크 목록)
+// 스트로크: 문자열 id, 플래그(1: 지우개, 2: 그리는 중), 색, 굵기(1바이트), createdAt(float64), 좌표 목록
+// 좌표 목록: varint 개수, 정수(px)로 반올림한 첫 좌표 x, y, 이후는 앞 좌표와의 차이 (모두 zigzag varint)
+// 색: 팔레트 번호(1바이트), 팔레트에 없는 #rrggbb는 0xfe + RGB 3바이트, 그 밖의 형식은 0xff + 문자열
+// 문자열: varint 바이트 수 + UTF-8
+// 작성자(userId)와 좌표 수신 시간(times)은 화면에 그릴 때 쓰지 않으므로 보내지 않는다. (타임랩스 재생은 JSON 타임라인 사용)
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.WireCodec = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const WIRE_FORMAT = 'binary-1';
+
+    const MESSAGE_TYPES = { strokeBegin: 1, strokeAppend: 2, strokeEnd: 3, strokes: 4 };
+    const MESSAGE_EVENTS = Object.keys(MESSAGE_TYPES).reduce((events, event) => {
+        events[MESSAGE_TYPES[event]] = event;
+        return events;
+    }, {});
+
+    // 자주 쓰는 색 (번호 1바이트로 전송) - 순서를 바꾸면 이전 형식과 호환되지 않으므로 뒤에만 추가
+    const COLOR_PALETTE = [
+        '#000000', '#ffffff', '#ff0000', '#00ff00', '#0000ff', '#ffff00', '#ff00ff', '#00ffff',
+        '#808080', '#c0c0c0', '#800000', '#008000', '#000080', '#ffa500', '#800080', '#a52a2a'
+    ];
+    const COLOR_RGB = 0xfe;
+    const COLOR_STRING = 0xff;
+
+    const FLAG_ERASER = 1;
+    const FLAG_IN_PROGRESS = 2;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    // 잘못된 이진 메시지 오류
+    function wireError(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_WIRE_MESSAGE';
+        return error;
+    }
+
+    // 이진 데이터 여부 (브라우저의 ArrayBuffer/Uint8Array, Node.js의 Buffer)
+    function isBinaryMessage(value) {
+        return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+    }
+
+    function toBytes(value) {
+        if (value instanceof ArrayBuffer) return new Uint8Array(value);
+        return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    }
+
+    // 메시지 작성기
+    function createWriter() {
+        const bytes = [];
+
+        const writer = {
+            byte(value) {
+                bytes.push(value & 0xff);
+            },
+
+            // 부호 없는 가변 길이 정수 (7비트씩, 2^53까지)
+            varint(value) {
+                let rest = Math.max(0, Math.floor(value)) || 0;
+                while (rest >= 0x80) {
+                    bytes.push((rest % 0x80) | 0x80);
+                    rest = Math.floor(rest / 0x80);
+                }
+                bytes.push(rest);
+            },
+
+            // 부호 있는 정수 (zigzag: 0, -1, 1, -2 ... -> 0, 1, 2, 3 ...)
+            signed(value) {
+                writer.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+            },
+
+            float64(value) {
+                const view = new DataView(new ArrayBuffer(8));
+                view.setFloat64(0, value);
+                for (let i = 0; i < 8; i++) bytes.push(view.getUint8(i));
+            },
+
+            string(value) {
+                const data = encoder.encode(String(value));
+                writer.varint(data.length);
+                for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+            },
+
+            finish() {
+                return Uint8Array.from(bytes);
+            }
+        };
+
+        return writer;
+    }
+
+    // 메시지 읽기 - 남은 바이트보다 길게 읽으면 INVALID_WIRE_MESSAGE 오류
+    function createReader(bytes) {
+        let offset = 0;
+
+        function take(length) {
+            if (offset + length > bytes.length) {
+                throw wireError('이진 메시지가 잘렸습니다.');
+            }
+            const start = offset;
+            offset += length;
+            return start;
+        }
+
+        const reader = {
+            byte() {
+                return bytes[take(1)];
+            },
+
+            varint() {
+                let value = 0;
+                let scale = 1;
+                for (let i = 0; i < 8; i++) {
+                    const byte = reader.byte();
+                    value += (byte & 0x7f) * scale;
+                    if (byte < 0x80) return value;
+                    scale *= 0x80;
+                }
+                throw wireError('정수 형식이 올바르지 않습니다.');
+            },
+
+            signed() {
+                const value = reader.varint();
+                return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+            },
+
+            float64() {
+                const start = take(8);
+                return new DataView(bytes.buffer, bytes.byteOffset + start, 8).getFloat64(0);
+            },
+
+            string() {
+                const length = reader.varint();
+                const start = take(length);
+                return decoder.decode(bytes.subarray(start, start + length));
+            },
+
+            done() {
+                return offset === bytes.length;
+            }
+        };
+
+        return reader;
+    }
+
+    function writePoints(writer, points) {
+        const list = Array.isArray(points) ? points : [];
+        writer.varint(list.length);
+
+        let lastX = 0;
+        let lastY = 0;
+        for (const point of list) {
+            const x = Math.round(point[0]) || 0;
+            const y = Math.round(point[1]) || 0;
+            writer.signed(x - lastX);
+            writer.signed(y - lastY);
+            lastX = x;
+            lastY = y;
+        }
+    }
+
+    function readPoints(reader) {
+        const count = reader.varint();
+        const points = [];
+
+        let x = 0;
+        let y = 0;
+        for (let i = 0; i < count; i++) {
+            x += reader.signed();
+            y += reader.signed();
+            points.push([x, y]);
+        }
+
+        return points;
+    }
+
+    function writeColor(writer, color) {
+        const value = typeof color === 'string' ? color.toLowerCase() : '#000000';
+        const index = COLOR_PALETTE.indexOf(value);
+
+        if (index !== -1) {
+            writer.byte(index);
+        } else if (/^#[0-9a-f]{6}$/.test(value)) {
+            writer.byte(COLOR_RGB);
+            for (let i = 1; i < 7; i += 2) {
+                writer.byte(parseInt(value.slice(i, i + 2), 16));
+            }
+        } else {
+            writer.byte(COLOR_STRING);
+            writer.string(color);
+        }
+    }
+
+    function readColor(reader) {
+        const type = reader.byte();
+
+        if (type === COLOR_RGB) {
+            let color = '#';
+            for (let i = 0; i < 3; i++) {
+                color += reader.byte().toString(16).padStart(2, '0');
+            }
+            return color;
+        }
+        if (type === COLOR_STRING) return reader.string();
+        if (type < COLOR_PALETTE.length) return COLOR_PALETTE[type];
+
+        throw wireError('색 형식이 올바르지 않습니다.');
+    }
+
+    function writeStroke(writer, stroke) {
+        writer.string(stroke.id);
+        writer.byte((stroke.tool === 'eraser' ? FLAG_ERASER : 0) | (stroke.inProgress ? FLAG_IN_PROGRESS : 0));
+        writeColor(writer, stroke.color);
+        writer.byte(Math.min(Math.max(Math.round(Number(stroke.size)) || 0, 0), 255));
+        writer.float64(Number(stroke.createdAt) || 0);
+        writePoints(writer, stroke.points);
+    }
+
+    function readStroke(reader) {
+        const id = reader.string();
+        const flags = reader.byte();
+
+        const stroke = {
+            id,
+            tool: flags & FLAG_ERASER ? 'eraser' : 'pen',
+            color: readColor(reader),
+            size: reader.byte(),
+            createdAt: reader.float64(),
+            points: readPoints(reader)
+        };
+        if (flags & FLAG_IN_PROGRESS) stroke.inProgress = true;
+
+        return stroke;
+    }
+
+    // 메시지 만들기 - event: strokeBegin | strokeAppend | strokeEnd | strokes
+    function encodeMessage(event, data) {
+        const type = MESSAGE_TYPES[event];
+        if (!type) {
+            throw wireError(`이진 형식으로 보낼 수 없는 이벤트입니다: ${event}`);
+        }
+
+        const writer = createWriter();
+        writer.byte(type);
+
+        switch (event) {
+            case 'strokeBegin':
+                writeStroke(writer, data);
+                break;
+            case 'strokeAppend':
+                writer.string(data.id);
+                writePoints(writer, data.points);
+                break;
+            case 'strokeEnd':
+                writer.string(data.id);
+                writer.varint(data.seq || 0);
+                break;
+            case 'strokes':
+                writer.varint(data.length);
+                for (const stroke of data) writeStroke(writer, stroke);
+                break;
+        }
+
+        return writer.finish();
+    }
+
+    // 메시지 풀기 - { event, data }, 형식이 잘못되었으면 INVALID_WIRE_MESSAGE 오류
+    function decodeMessage(message) {
+        const reader = createReader(toBytes(message));
+        const event = MESSAGE_EVENTS[reader.byte()];
+        if (!event) {
+            throw wireError('알 수 없는 메시지 종류입니다.');
+        }
+
+        let data;
+        switch (event) {
+            case 'strokeBegin':
+                data = readStroke(reader);
+                break;
+            case 'strokeAppend':
+                data = { id: reader.string(), points: readPoints(reader) };
+                break;
+            case 'strokeEnd':
+                data = { id: reader.string(), seq: reader.varint() || null };
+                break;
+            case 'strokes': {
+                const count = reader.varint();
+                data = [];
+                for (let i = 0; i < count; i++) data.push(readStroke(reader));
+                break;
+            }
+        }
+
+        if (!reader.done()) {
+            throw wireError('메시지 뒤에 남은 데이터가 있습니다.');
+        }
+
+        return { event, data };
+    }
+
+    return {
+        WIRE_FORMAT,
+        COLOR_PALETTE,
+        isBinaryMessage,
+        encodeMessage,
+        decodeMessage
+    };
+});